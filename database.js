@@ -27,9 +27,26 @@ const sequelize = new Sequelize(process.env.DATABASE_URL, {
     }
 });
 
+// Export the connection before importing models - each model file requires
+// it from this module, so it must be available while they load
+module.exports.sequelize = sequelize;
+
 // Import models once at module level to prevent re-importing
 const User = require('./models/User');
 const Dependent = require('./models/Dependent');
+const TaxReturn = require('./models/TaxReturn');
+const Document = require('./models/Document');
+const W2Form = require('./models/W2Form');
+const Spouse = require('./models/Spouse');
+const AuditLog = require('./models/AuditLog');
+const RefreshToken = require('./models/RefreshToken');
+const AccountToken = require('./models/AccountToken');
+const RateLimitCounter = require('./models/RateLimitCounter');
+const LoginFailure = require('./models/LoginFailure');
+const ClientAccess = require('./models/ClientAccess');
+const FormVersion = require('./models/FormVersion');
+
+const { pendingMigrations } = require('./services/migrations');
 
 // Set up associations once at module level
 let associationsSet = false;
@@ -42,6 +59,10 @@ const setupAssociations = () => {
     // Clear any existing associations
     User.associations = {};
     Dependent.associations = {};
+    TaxReturn.associations = {};
+    W2Form.associations = {};
+    Spouse.associations = {};
+    Document.associations = {};
     
     // Set up new associations
     User.hasMany(Dependent, { 
@@ -54,6 +75,82 @@ const setupAssociations = () => {
         foreignKey: 'userId', 
         as: 'dependentUser' // Changed alias to be unique
     });
+
+    User.hasMany(W2Form, {
+        foreignKey: 'userId',
+        as: 'userW2Forms',
+        onDelete: 'CASCADE'
+    });
+
+    W2Form.belongsTo(User, {
+        foreignKey: 'userId',
+        as: 'w2FormUser'
+    });
+
+    User.hasMany(TaxReturn, {
+        foreignKey: 'userId',
+        as: 'userTaxReturns',
+        onDelete: 'CASCADE'
+    });
+
+    TaxReturn.belongsTo(User, {
+        foreignKey: 'userId',
+        as: 'taxReturnUser'
+    });
+
+    TaxReturn.hasMany(W2Form, {
+        foreignKey: 'taxReturnId',
+        as: 'returnW2Forms',
+        onDelete: 'CASCADE'
+    });
+
+    W2Form.belongsTo(TaxReturn, {
+        foreignKey: 'taxReturnId',
+        as: 'w2FormTaxReturn'
+    });
+
+    TaxReturn.hasOne(Spouse, {
+        foreignKey: 'taxReturnId',
+        as: 'returnSpouse',
+        onDelete: 'CASCADE'
+    });
+
+    Spouse.belongsTo(TaxReturn, {
+        foreignKey: 'taxReturnId',
+        as: 'spouseTaxReturn'
+    });
+
+    User.hasMany(Document, {
+        foreignKey: 'userId',
+        as: 'userDocuments',
+        onDelete: 'CASCADE'
+    });
+
+    Document.belongsTo(User, {
+        foreignKey: 'userId',
+        as: 'documentUser'
+    });
+
+    Document.hasMany(W2Form, {
+        foreignKey: 'documentId',
+        as: 'documentW2Forms',
+        onDelete: 'SET NULL'
+    });
+
+    W2Form.belongsTo(Document, {
+        foreignKey: 'documentId',
+        as: 'w2FormDocument'
+    });
+
+    ClientAccess.belongsTo(User, {
+        foreignKey: 'clientId',
+        as: 'accessClient'
+    });
+
+    ClientAccess.belongsTo(User, {
+        foreignKey: 'preparerId',
+        as: 'accessPreparer'
+    });
     
     associationsSet = true;
     console.log('✅ Model associations set up successfully');
@@ -72,19 +169,20 @@ const connectDB = async () => {
         // Set up associations
         setupAssociations();
         
-        // Sync all models together (Sequelize handles dependency order)
-        console.log('🔄 Syncing all database models...');
-        
-        await sequelize.sync({ 
-            alter: process.env.NODE_ENV === 'production',
-            force: false // Never force in production
-        });
+        // The schema is changed only by migrations (services/migrations), never
+        // from the models. Refuse to run against a schema the code doesn't match.
+        const pending = await pendingMigrations();
+        if (pending.length) {
+            const error = new Error(`${pending.length} pending database migration(s): ${pending.join(', ')}. Apply them with \`npm run migrate\`.`);
+            error.pendingMigrations = pending;
+            throw error;
+        }
         
-        console.log('🎉 All models synchronized successfully!');
+        console.log('✅ Database schema is up to date');
         
         // Verify tables exist
         const [userCount] = await sequelize.query("SELECT COUNT(*) as count FROM \"Users\"");
-        const [depCount] = await sequelize.query("SELECT COUNT(*) as count FROM \"Dependents\"");
+        const [depCount] = await sequelize.query("SELECT COUNT(*) as count FROM dependents");
         
         console.log(`📊 Users table: ${userCount[0].count} records`);
         console.log(`📊 Dependents table: ${depCount[0].count} records`);
@@ -92,23 +190,9 @@ const connectDB = async () => {
         return true;
         
     } catch (error) {
-        console.error('❌ Database connection/sync failed:', error.message);
-        
-        // If it's a table doesn't exist error, try force sync once
-        if (error.message.includes('does not exist') && process.env.NODE_ENV === 'production') {
-            console.log('🔄 Attempting force sync to create missing tables...');
-            try {
-                await sequelize.sync({ force: true });
-                console.log('✅ Force sync completed successfully!');
-                return true;
-            } catch (forceError) {
-                console.error('❌ Force sync also failed:', forceError.message);
-                throw forceError;
-            }
-        }
-        
+        console.error('❌ Database connection failed:', error.message);
         throw error;
     }
 };
 
-module.exports = { sequelize, connectDB, User, Dependent };
+module.exports = { sequelize, connectDB, User, Dependent, TaxReturn, W2Form, Spouse, Document, AuditLog, RefreshToken, AccountToken, RateLimitCounter, LoginFailure, ClientAccess, FormVersion };
@@ -1,7 +1,92 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
+const { findActiveGrant } = require('../services/clientAccess');
+const { recordAudit } = require('../services/audit');
 
-const auth = async (req, res, next) => {
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Record each request a preparer makes for a client once it has been
+// answered, as done by the preparer (actorId) on the client's account
+const auditDelegatedRequest = (req, res) => {
+    res.on('finish', () => {
+        recordAudit(req, {
+            action: 'delegate.request',
+            details: {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                scope: req.user.delegation.scope,
+                grantId: req.user.delegation.grantId,
+                status: res.statusCode
+            }
+        }).catch(error => console.error('Delegation audit error:', error));
+    });
+};
+
+// A preparer acting for a client sends X-Client-Id. Only routes that opt in
+// with auth.delegable(scope) accept it, and only if the client granted the
+// preparer that scope. req.user then describes the client, so routes
+// scoped to req.user.userId work unchanged, with the preparer in
+// req.user.actorId.
+const actAsClient = async (req, res, user, scope) => {
+    const clientId = req.header('X-Client-Id');
+
+    if (!scope) {
+        res.status(403).json({
+            success: false,
+            message: 'This action cannot be taken on behalf of a client'
+        });
+        return false;
+    }
+
+    if (user.role !== 'preparer') {
+        res.status(403).json({
+            success: false,
+            message: 'Only tax preparers can act on behalf of clients'
+        });
+        return false;
+    }
+
+    const grant = UUID_PATTERN.test(clientId) ? await findActiveGrant(user.id, clientId) : null;
+    const client = grant ? await User.findByPk(clientId, { attributes: { exclude: ['password'] } }) : null;
+    if (!client) {
+        res.status(403).json({
+            success: false,
+            message: 'You do not have access to this client'
+        });
+        return false;
+    }
+
+    if (!grant.scopes.includes(scope)) {
+        res.status(403).json({
+            success: false,
+            message: `Your access to this client does not include ${scope}`
+        });
+        return false;
+    }
+
+    req.user = {
+        ...req.user,
+        userId: client.id,
+        email: client.email,
+        emailVerified: Boolean(client.emailVerifiedAt),
+        firstName: client.firstName,
+        lastName: client.lastName,
+        role: client.role,
+        actorId: user.id,
+        delegation: {
+            grantId: grant.id,
+            scope,
+            preparerEmail: user.email
+        }
+    };
+    auditDelegatedRequest(req, res);
+    return true;
+};
+
+// Build the middleware. scope names the part of a client's return the route
+// works on, for routes a preparer may use on a client's behalf.
+const authenticate = (scope = null) => async (req, res, next) => {
     try {
         // Get token from header
         const token = req.header('Authorization');
@@ -29,6 +114,16 @@ const auth = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(actualToken, process.env.JWT_SECRET);
 
+        // Access tokens belong to a server-side session (services/sessions);
+        // once it is logged out or revoked the token stops working. Tokens
+        // issued before sessions existed have no session and are refused.
+        if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended, please log in again'
+            });
+        }
+
         // Check if user still exists
         const user = await User.findByPk(decoded.userId, {
             attributes: { exclude: ['password'] }
@@ -41,14 +136,28 @@ const auth = async (req, res, next) => {
             });
         }
 
+        if (user.lockedAt) {
+            return res.status(423).json({
+                success: false,
+                message: 'This account has been locked. Please contact support.'
+            });
+        }
+
         // Add user info to request object
         req.user = {
             userId: decoded.userId,
+            sessionId: decoded.sid,
             email: user.email,
+            emailVerified: Boolean(user.emailVerifiedAt),
             firstName: user.firstName,
-            lastName: user.lastName
+            lastName: user.lastName,
+            role: user.role
         };
 
+        if (req.header('X-Client-Id') && !(await actAsClient(req, res, user, scope))) {
+            return;
+        }
+
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -74,4 +183,9 @@ const auth = async (req, res, next) => {
     }
 };
 
+const auth = authenticate();
+
+// auth that also lets a preparer with the given scope act for a client
+auth.delegable = (scope) => authenticate(scope);
+
 module.exports = auth;
\ No newline at end of file
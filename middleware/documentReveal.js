@@ -0,0 +1,34 @@
+const { query } = require('express-validator');
+
+const reasonRule = query('reason')
+    .trim()
+    .notEmpty().withMessage('Give a reason for revealing identifiers')
+    .isLength({ max: 500 }).withMessage('The reason can be at most 500 characters');
+
+// Generated documents print identifiers masked unless downloaded with
+// ?reveal=true. Revealing them follows the same rules as
+// POST /api/dashboard/reveal: a reason (?reason=) is required, and a
+// preparer acting for a client can't. Must run after auth; the reveal
+// itself is recorded by services/audit auditDocumentReveal.
+const checkDocumentReveal = async (req, res, next) => {
+    if (req.query.reveal !== 'true') return next();
+
+    if (req.user.delegation) {
+        return res.status(403).json({
+            success: false,
+            message: 'Identifiers cannot be revealed on behalf of a client'
+        });
+    }
+
+    const result = await reasonRule.run(req);
+    if (!result.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: result.array()
+        });
+    }
+    next();
+};
+
+module.exports = checkDocumentReveal;
@@ -0,0 +1,64 @@
+const { sequelize } = require('../database');
+const { recordSecurityEvent } = require('../services/audit');
+
+// Fixed-window rate limit per client IP, counted in Postgres
+// (models/RateLimitCounter). Sets the IETF RateLimit-* headers; when several
+// limits apply to a route the headers describe the tightest one. Over the
+// limit the request gets 429 with Retry-After.
+//
+// Counting failures never blocks a request: if the database is unavailable
+// the request goes through.
+const rateLimit = ({ name, limit, windowSeconds, message = 'Too many requests, please try again later' }) => async (req, res, next) => {
+    try {
+        const now = new Date();
+        const [rows] = await sequelize.query(`
+            INSERT INTO rate_limit_counters (key, count, "windowStart")
+            VALUES (:key, 1, :now)
+            ON CONFLICT (key) DO UPDATE SET
+                count = CASE WHEN rate_limit_counters."windowStart" <= :windowCutoff THEN 1 ELSE rate_limit_counters.count + 1 END,
+                "windowStart" = CASE WHEN rate_limit_counters."windowStart" <= :windowCutoff THEN :now ELSE rate_limit_counters."windowStart" END
+            RETURNING count, "windowStart"
+        `, {
+            replacements: {
+                key: `${name}:${req.ip}`,
+                now,
+                windowCutoff: new Date(now.getTime() - windowSeconds * 1000)
+            }
+        });
+
+        const { count, windowStart } = rows[0];
+        const remaining = Math.max(0, limit - count);
+        const reset = Math.max(0, Math.ceil((new Date(windowStart).getTime() + windowSeconds * 1000 - now.getTime()) / 1000));
+
+        const current = res.locals.rateLimit;
+        if (!current || remaining < current.remaining) {
+            res.locals.rateLimit = { remaining };
+            res.set({
+                'RateLimit-Limit': String(limit),
+                'RateLimit-Remaining': String(remaining),
+                'RateLimit-Reset': String(reset),
+                'RateLimit-Policy': `${limit};w=${windowSeconds}`
+            });
+        }
+
+        if (count > limit) {
+            // One security log entry per client per window
+            if (count === limit + 1) {
+                await recordSecurityEvent(req, 'rate_limited', { details: { limit: name, ip: req.ip } });
+            }
+
+            res.set('Retry-After', String(reset));
+            return res.status(429).json({
+                success: false,
+                message
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Rate limit error:', error);
+        next();
+    }
+};
+
+module.exports = rateLimit;
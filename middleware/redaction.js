@@ -0,0 +1,16 @@
+const { redact, stripMaskedIdentifiers } = require('../services/redaction');
+
+// Mask SSNs, EINs and account numbers in every JSON response, and ignore
+// masked values sent back in request bodies. A route that has to return a
+// full identifier (the audited reveal endpoint) sets
+// res.locals.revealIdentifiers.
+const redaction = (req, res, next) => {
+    if (req.body) stripMaskedIdentifiers(req.body);
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.locals.revealIdentifiers ? body : redact(body));
+
+    next();
+};
+
+module.exports = redaction;
@@ -0,0 +1,12 @@
+// Only let users with one of the given roles through. Must run after auth.
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to do this'
+        });
+    }
+    next();
+};
+
+module.exports = requireRole;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const { parseTaxYear } = require('../services/taxYear');
+const { findOrCreateTaxReturn, FINALIZED_MESSAGE } = require('../services/taxReturns');
+const { TaxReturn } = require('../database');
+
+// The response to a change refused because the return is finalized
+const finalizedConflict = (res) => res.status(409).json({
+    success: false,
+    message: FINALIZED_MESSAGE
+});
+
+// Resolve the tax return a request works on from its taxYear - route param,
+// query string or body, defaulting to the current filing year - and put it on
+// req.taxYear / req.taxReturn. Must run after auth (and after multer for
+// multipart bodies).
+//
+// With create: false a missing return leaves req.taxReturn null, so read-only
+// routes don't start returns as a side effect. With editable: true a
+// finalized return is refused with 409, for routes that change it.
+const taxReturn = ({ create = true, editable = false } = {}) => async (req, res, next) => {
+    try {
+        const rawYear = req.params.taxYear ?? req.query.taxYear ?? (req.body && req.body.taxYear);
+        const taxYear = parseTaxYear(rawYear);
+
+        if (!taxYear) {
+            if (req.file) fs.unlink(req.file.path, () => {});
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid tax year'
+            });
+        }
+
+        req.taxYear = taxYear;
+        req.taxReturn = create
+            ? await findOrCreateTaxReturn(req.user.userId, taxYear)
+            : await TaxReturn.findOne({ where: { userId: req.user.userId, taxYear } });
+
+        if (editable && req.taxReturn && req.taxReturn.finalizedAt) {
+            if (req.file) fs.unlink(req.file.path, () => {});
+            return finalizedConflict(res);
+        }
+
+        next();
+    } catch (error) {
+        console.error('Tax return middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading tax return'
+        });
+    }
+};
+
+taxReturn.finalizedConflict = finalizedConflict;
+
+module.exports = taxReturn;
@@ -0,0 +1,79 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Create uploads directories if they don't exist
+const uploadsDir = path.join(__dirname, '..', 'uploads', 'w9-forms');
+const w2UploadsDir = path.join(__dirname, '..', 'uploads', 'w2-forms');
+
+if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+}
+if (!fs.existsSync(w2UploadsDir)) {
+    fs.mkdirSync(w2UploadsDir, { recursive: true });
+}
+
+// Configure multer for W-9 file uploads
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, uploadsDir);
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'w9-' + req.user.userId + '-' + uniqueSuffix + path.extname(file.originalname));
+    }
+});
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: function (req, file, cb) {
+        const allowedTypes = /jpeg|jpg|png|pdf|doc|docx/;
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+
+        if (mimetype && extname) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Only images, PDFs, and Word documents are allowed'));
+        }
+    }
+});
+
+// Configure multer for W-2 file uploads
+const w2Storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, w2UploadsDir);
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'w2-' + req.user.userId + '-' + uniqueSuffix + path.extname(file.originalname));
+    }
+});
+
+const uploadW2 = multer({
+    storage: w2Storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: function (req, file, cb) {
+        const allowedTypes = /jpeg|jpg|png|pdf|doc|docx/;
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+
+        if (mimetype && extname) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Only images, PDFs, and Word documents are allowed'));
+        }
+    }
+});
+
+module.exports = {
+    upload,
+    uploadW2,
+    uploadsDir,
+    w2UploadsDir
+};
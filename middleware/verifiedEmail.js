@@ -0,0 +1,14 @@
+// Only users who have verified their email address may upload tax
+// documents. Checks multipart requests only, so the same route can still
+// take JSON (e.g. a W-2 entered by hand). Must run after auth and before
+// multer, so files from unverified users are never stored.
+const requireVerifiedEmailForUploads = (req, res, next) => {
+    if (!req.is('multipart/form-data') || req.user.emailVerified) return next();
+
+    res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before uploading documents'
+    });
+};
+
+module.exports = requireVerifiedEmailForUploads;
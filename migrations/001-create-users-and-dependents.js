@@ -0,0 +1,172 @@
+// The original schema: users and their dependents. Dependents were declared
+// as referencing a "users" table, which doesn't exist (the table is "Users"),
+// so their foreign key is pointed at Users here.
+
+const repointDependentsForeignKey = async (schema) => {
+    const constraints = await schema.select(`
+        SELECT con.conname, con.confrelid::regclass::text AS target
+        FROM pg_constraint con
+        JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = ANY (con.conkey)
+        WHERE con.contype = 'f' AND con.conrelid = 'dependents'::regclass AND att.attname = 'userId'
+    `);
+    if (constraints.some(constraint => constraint.target === '"Users"')) return;
+
+    for (const { conname } of constraints) {
+        await schema.query(`ALTER TABLE dependents DROP CONSTRAINT "${conname}"`);
+    }
+    await schema.query(`
+        ALTER TABLE dependents ADD CONSTRAINT "dependents_userId_fkey" FOREIGN KEY ("userId")
+        REFERENCES "Users" (id) ON UPDATE CASCADE ON DELETE CASCADE
+    `);
+};
+
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('Users', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            email: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                unique: true
+            },
+            password: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            firstName: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            lastName: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            filingStatus: {
+                type: DataTypes.ENUM('single', 'married-joint', 'married-separate', 'head-of-household', 'qualifying-widow'),
+                allowNull: true
+            },
+            taxClassification: {
+                type: DataTypes.ENUM('individual', 'sole_proprietor', 'c_corporation', 's_corporation', 'partnership', 'trust_estate', 'llc', 'other'),
+                allowNull: true
+            },
+            businessName: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            ssn: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            ein: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            address: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: {}
+            },
+            income: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: {}
+            },
+            deductions: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: {}
+            },
+            w9Uploaded: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false
+            },
+            w9UploadDate: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            w9FileName: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            w2Uploaded: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false
+            },
+            w2UploadDate: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            w2FileName: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            formCompletionStatus: {
+                type: DataTypes.ENUM('not_started', 'in_progress', 'completed'),
+                defaultValue: 'not_started'
+            },
+            lastLogin: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+
+        await schema.createTable('dependents', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            name: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            relationship: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            ssn: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            birthDate: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+
+        await repointDependentsForeignKey(schema);
+    },
+
+    down: async ({ schema }) => {
+        await schema.dropTable('dependents');
+        await schema.dropTable('Users');
+    }
+};
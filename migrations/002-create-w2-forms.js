@@ -0,0 +1,68 @@
+// Each W-2 as its own record instead of a single one in Users.income
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('w2_forms', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            taxYear: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            fileName: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            originalFileName: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            uploadDate: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            data: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                defaultValue: {}
+            },
+            extractionStatus: {
+                type: DataTypes.ENUM('pending', 'extracted', 'failed', 'manual'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            extractionMethod: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            lastExtraction: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('w2_forms', ['userId', 'taxYear']);
+    },
+
+    down: async ({ schema }) => {
+        await schema.dropTable('w2_forms');
+    }
+};
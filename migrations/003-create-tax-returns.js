@@ -0,0 +1,80 @@
+// One return per user and tax year, owning that year's W-2s
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('tax_returns', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            taxYear: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            filingStatus: {
+                type: DataTypes.ENUM('single', 'married-joint', 'married-separate', 'head-of-household', 'qualifying-widow'),
+                allowNull: true
+            },
+            income: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                defaultValue: {}
+            },
+            deductions: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                defaultValue: {}
+            },
+            dependentsClaimed: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null
+            },
+            status: {
+                type: DataTypes.ENUM('not_started', 'in_progress', 'completed'),
+                allowNull: false,
+                defaultValue: 'not_started'
+            },
+            completedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('tax_returns', ['userId', 'taxYear'], { unique: true });
+
+        await schema.addColumns('w2_forms', {
+            taxReturnId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: {
+                    model: 'tax_returns',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('w2_forms', ['taxReturnId']);
+        await schema.dropTable('tax_returns');
+    }
+};
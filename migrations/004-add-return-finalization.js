@@ -0,0 +1,19 @@
+// A return's sign-off time and the Form 1040 calculation frozen with it
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('tax_returns', {
+            finalizedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            finalCalculation: {
+                type: DataTypes.JSONB,
+                allowNull: true
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('tax_returns', ['finalizedAt', 'finalCalculation']);
+    }
+};
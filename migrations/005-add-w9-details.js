@@ -0,0 +1,16 @@
+// The rest of the W-9 beyond the columns Users already had
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('Users', {
+            w9Details: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: {}
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('Users', ['w9Details']);
+    }
+};
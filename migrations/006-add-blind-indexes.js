@@ -0,0 +1,34 @@
+// Blind indexes for looking up encrypted SSNs and EINs (services/encryption).
+// Existing plaintext values get theirs from `npm run rotate-keys`.
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('Users', {
+            ssnBlindIndex: {
+                type: DataTypes.STRING(64),
+                allowNull: true
+            },
+            einBlindIndex: {
+                type: DataTypes.STRING(64),
+                allowNull: true
+            }
+        });
+        await schema.addIndex('Users', ['ssnBlindIndex']);
+        await schema.addIndex('Users', ['einBlindIndex']);
+
+        await schema.addColumns('dependents', {
+            ssnBlindIndex: {
+                type: DataTypes.STRING(64),
+                allowNull: true
+            }
+        });
+        await schema.addIndex('dependents', ['userId', 'ssnBlindIndex']);
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeIndex('dependents', ['userId', 'ssnBlindIndex']);
+        await schema.removeColumns('dependents', ['ssnBlindIndex']);
+        await schema.removeIndex('Users', ['einBlindIndex']);
+        await schema.removeIndex('Users', ['ssnBlindIndex']);
+        await schema.removeColumns('Users', ['ssnBlindIndex', 'einBlindIndex']);
+    }
+};
@@ -0,0 +1,55 @@
+// Record of sensitive actions. userId and actorId aren't foreign keys so
+// entries outlive the records they describe.
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('audit_logs', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: true
+            },
+            actorId: {
+                type: DataTypes.UUID,
+                allowNull: true
+            },
+            action: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            entityType: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            entityId: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            details: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                defaultValue: {}
+            },
+            ipAddress: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            userAgent: {
+                type: DataTypes.STRING(512),
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('audit_logs', ['userId', 'createdAt']);
+        await schema.addIndex('audit_logs', ['action']);
+    },
+
+    down: async ({ schema }) => {
+        await schema.dropTable('audit_logs');
+    }
+};
@@ -0,0 +1,71 @@
+// Hashed refresh tokens, rotated within a family per login
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('refresh_tokens', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            familyId: {
+                type: DataTypes.UUID,
+                allowNull: false
+            },
+            tokenHash: {
+                type: DataTypes.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            usedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            replacedById: {
+                type: DataTypes.UUID,
+                allowNull: true
+            },
+            revokedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            revokedReason: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            createdByIp: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            userAgent: {
+                type: DataTypes.STRING(512),
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('refresh_tokens', ['userId']);
+        await schema.addIndex('refresh_tokens', ['familyId']);
+    },
+
+    down: async ({ schema }) => {
+        await schema.dropTable('refresh_tokens');
+    }
+};
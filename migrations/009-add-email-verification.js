@@ -0,0 +1,59 @@
+// Hashed single-use tokens for email verification and password resets, and
+// when a user verified their address
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('account_tokens', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            purpose: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            tokenHash: {
+                type: DataTypes.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            usedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('account_tokens', ['userId', 'purpose']);
+
+        await schema.addColumns('Users', {
+            emailVerifiedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('Users', ['emailVerifiedAt']);
+        await schema.dropTable('account_tokens');
+    }
+};
@@ -0,0 +1,63 @@
+// Rate limit windows and failed login counts, kept in Postgres so they hold
+// across restarts and instances
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('rate_limit_counters', {
+            key: {
+                type: DataTypes.STRING,
+                primaryKey: true
+            },
+            count: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            windowStart: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+
+        await schema.createTable('login_failures', {
+            key: {
+                type: DataTypes.STRING,
+                primaryKey: true
+            },
+            scope: {
+                type: DataTypes.ENUM('account', 'ip'),
+                allowNull: false
+            },
+            failures: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            lastFailureAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            blockedUntil: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            lockedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('login_failures', ['scope', 'lockedAt']);
+    },
+
+    down: async ({ schema }) => {
+        await schema.dropTable('login_failures');
+        await schema.dropTable('rate_limit_counters');
+    }
+};
@@ -0,0 +1,28 @@
+// TOTP two-factor authentication. The secret is encrypted by the model.
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('Users', {
+            totpSecret: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            totpEnabledAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            totpLastUsedStep: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            totpRecoveryCodes: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                defaultValue: []
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('Users', ['totpSecret', 'totpEnabledAt', 'totpLastUsedStep', 'totpRecoveryCodes']);
+    }
+};
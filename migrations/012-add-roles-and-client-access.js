@@ -0,0 +1,85 @@
+// User roles, and the access clients grant tax preparers
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('Users', {
+            role: {
+                type: DataTypes.ENUM('taxpayer', 'preparer', 'admin'),
+                allowNull: false,
+                defaultValue: 'taxpayer'
+            }
+        });
+
+        await schema.createTable('client_access', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            clientId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            preparerId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            inviteEmail: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            scopes: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                defaultValue: []
+            },
+            status: {
+                type: DataTypes.ENUM('pending', 'active', 'revoked'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            inviteTokenHash: {
+                type: DataTypes.STRING(64),
+                allowNull: true,
+                unique: true
+            },
+            inviteExpiresAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            acceptedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            revokedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('client_access', ['clientId']);
+        await schema.addIndex('client_access', ['preparerId', 'clientId']);
+    },
+
+    down: async ({ schema }) => {
+        await schema.dropTable('client_access');
+        await schema.removeColumns('Users', ['role']);
+    }
+};
@@ -0,0 +1,19 @@
+// Accounts locked by support until unlocked
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('Users', {
+            lockedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            lockReason: {
+                type: DataTypes.STRING,
+                allowNull: true
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('Users', ['lockedAt', 'lockReason']);
+    }
+};
@@ -0,0 +1,41 @@
+// Field-level changes in the audit log, and a trigger that makes audit_logs
+// append-only for every database client
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('audit_logs', {
+            changes: {
+                type: DataTypes.JSONB,
+                allowNull: true
+            },
+            route: {
+                type: DataTypes.STRING,
+                allowNull: true
+            }
+        });
+
+        await schema.query(`
+            CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_logs is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        await schema.query('DROP TRIGGER IF EXISTS audit_logs_no_change ON audit_logs');
+        await schema.query(`
+            CREATE TRIGGER audit_logs_no_change BEFORE UPDATE OR DELETE ON audit_logs
+            FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only()
+        `);
+        await schema.query('DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs');
+        await schema.query(`
+            CREATE TRIGGER audit_logs_no_truncate BEFORE TRUNCATE ON audit_logs
+            FOR EACH STATEMENT EXECUTE FUNCTION audit_logs_append_only()
+        `);
+    },
+
+    down: async ({ schema }) => {
+        await schema.query('DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs');
+        await schema.query('DROP TRIGGER IF EXISTS audit_logs_no_change ON audit_logs');
+        await schema.query('DROP FUNCTION IF EXISTS audit_logs_append_only()');
+        await schema.removeColumns('audit_logs', ['changes', 'route']);
+    }
+};
@@ -0,0 +1,58 @@
+// Versioned snapshots of W-2 and 1098 data
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('form_versions', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            formType: {
+                type: DataTypes.ENUM('w2', '1098'),
+                allowNull: false
+            },
+            formId: {
+                type: DataTypes.UUID,
+                allowNull: false
+            },
+            version: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            source: {
+                type: DataTypes.ENUM('extracted', 'generated', 'user-edited', 'preparer-edited', 'reverted'),
+                allowNull: false
+            },
+            revertedFrom: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            data: {
+                type: DataTypes.JSONB,
+                allowNull: false
+            },
+            actorId: {
+                type: DataTypes.UUID,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('form_versions', ['formType', 'formId', 'version'], { unique: true });
+        await schema.addIndex('form_versions', ['userId']);
+    },
+
+    down: async ({ schema }) => {
+        await schema.dropTable('form_versions');
+    }
+};
@@ -0,0 +1,112 @@
+// Structured dependent details for the dependency tests: relationship becomes
+// one of a fixed set instead of free text, birthDate a plain date, and the
+// residency, student, disability, income and support facts are added.
+
+const RELATIONSHIPS = [
+    'child', 'stepchild', 'foster-child', 'grandchild', 'sibling', 'half-sibling', 'step-sibling',
+    'niece-nephew', 'parent', 'stepparent', 'grandparent', 'aunt-uncle', 'in-law', 'other'
+];
+
+// Free-text relationships entered before, by the set value they mean.
+// Anything not listed becomes 'other'.
+const LEGACY_RELATIONSHIPS = {
+    child: ['child', 'son', 'daughter', 'kid'],
+    stepchild: ['stepchild', 'step-child', 'stepson', 'step-son', 'stepdaughter', 'step-daughter'],
+    'foster-child': ['foster-child', 'foster', 'foster-son', 'foster-daughter'],
+    grandchild: ['grandchild', 'grandson', 'granddaughter', 'great-grandchild', 'great-grandson', 'great-granddaughter'],
+    sibling: ['sibling', 'brother', 'sister'],
+    'half-sibling': ['half-sibling', 'half-brother', 'half-sister'],
+    'step-sibling': ['step-sibling', 'stepsibling', 'stepbrother', 'step-brother', 'stepsister', 'step-sister'],
+    'niece-nephew': ['niece-nephew', 'niece', 'nephew'],
+    parent: ['parent', 'mother', 'father', 'mom', 'dad'],
+    stepparent: ['stepparent', 'step-parent', 'stepmother', 'step-mother', 'stepfather', 'step-father'],
+    grandparent: ['grandparent', 'grandmother', 'grandfather', 'grandma', 'grandpa'],
+    'aunt-uncle': ['aunt-uncle', 'aunt', 'uncle'],
+    'in-law': ['in-law']
+};
+
+const normalize = (value) => String(value).trim().toLowerCase().replace(/[\s_/]+/g, '-');
+
+const relationshipFor = (value) => {
+    const normalized = normalize(value);
+    if (normalized.endsWith('-in-law')) return 'in-law';
+    const match = Object.entries(LEGACY_RELATIONSHIPS).find(([, names]) => names.includes(normalized));
+    return match ? match[0] : 'other';
+};
+
+const columnType = async (schema, column) => {
+    const [row] = await schema.select(`
+        SELECT udt_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'dependents' AND column_name = :column
+    `, { column });
+    return row && row.udt_name;
+};
+
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        if (await columnType(schema, 'relationship') !== 'enum_dependents_relationship') {
+            const rows = await schema.select('SELECT DISTINCT relationship FROM dependents');
+            for (const { relationship } of rows) {
+                const mapped = relationshipFor(relationship);
+                if (mapped !== relationship) {
+                    await schema.query('UPDATE dependents SET relationship = :mapped WHERE relationship = :relationship', {
+                        replacements: { mapped, relationship }
+                    });
+                }
+            }
+            await schema.query(`
+                DO $$ BEGIN
+                    CREATE TYPE "enum_dependents_relationship" AS ENUM (${RELATIONSHIPS.map(value => `'${value}'`).join(', ')});
+                EXCEPTION WHEN duplicate_object THEN NULL;
+                END $$
+            `);
+            await schema.query(`
+                ALTER TABLE dependents ALTER COLUMN relationship
+                TYPE "enum_dependents_relationship" USING relationship::"enum_dependents_relationship"
+            `);
+        }
+
+        // Birth dates were stored as midnight UTC timestamps
+        if (await columnType(schema, 'birthDate') !== 'date') {
+            await schema.query('ALTER TABLE dependents ALTER COLUMN "birthDate" TYPE DATE USING ("birthDate" AT TIME ZONE \'UTC\')::date');
+        }
+
+        await schema.addColumns('dependents', {
+            monthsLivedWithTaxpayer: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            fullTimeStudent: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            permanentlyDisabled: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            grossIncome: {
+                type: DataTypes.DECIMAL(12, 2),
+                allowNull: true
+            },
+            supportProvidedPercent: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('dependents', [
+            'monthsLivedWithTaxpayer',
+            'fullTimeStudent',
+            'permanentlyDisabled',
+            'grossIncome',
+            'supportProvidedPercent'
+        ]);
+        await schema.query('ALTER TABLE dependents ALTER COLUMN "birthDate" TYPE TIMESTAMP WITH TIME ZONE USING "birthDate" AT TIME ZONE \'UTC\'');
+        await schema.query('ALTER TABLE dependents ALTER COLUMN relationship TYPE VARCHAR(255) USING relationship::text');
+        await schema.query('DROP TYPE IF EXISTS "enum_dependents_relationship"');
+    }
+};
@@ -0,0 +1,24 @@
+// The last two facts the dependency tests need: whether the dependent paid
+// for more than half of their own support (qualifying child support test)
+// and whether they filed a joint return (joint return test).
+
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('dependents', {
+            providedOwnSupport: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            filedJointReturn: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('dependents', ['providedOwnSupport', 'filedJointReturn']);
+    }
+};
@@ -0,0 +1,16 @@
+// Answers to the filing status questionnaire, kept on each return
+
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.addColumns('tax_returns', {
+            filingStatusAnswers: {
+                type: DataTypes.JSONB,
+                allowNull: true
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('tax_returns', ['filingStatusAnswers']);
+    }
+};
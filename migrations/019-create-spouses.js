@@ -0,0 +1,80 @@
+// A spouse on each married user's return, and whether each W-2 is the
+// taxpayer's or the spouse's. Existing W-2s are the taxpayer's.
+
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('spouses', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            taxReturnId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                unique: true,
+                references: {
+                    model: 'tax_returns',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            firstName: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            lastName: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            ssn: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            ssnBlindIndex: {
+                type: DataTypes.STRING(64),
+                allowNull: true
+            },
+            birthDate: {
+                type: DataTypes.DATEONLY,
+                allowNull: true
+            },
+            occupation: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('spouses', ['userId', 'ssnBlindIndex']);
+
+        await schema.addColumns('w2_forms', {
+            owner: {
+                type: DataTypes.ENUM('taxpayer', 'spouse'),
+                allowNull: false,
+                defaultValue: 'taxpayer'
+            }
+        });
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('w2_forms', ['owner']);
+        await schema.dropTable('spouses');
+    }
+};
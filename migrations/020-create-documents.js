@@ -0,0 +1,142 @@
+// A record of every uploaded file, and which W-2 was read from which. Files
+// uploaded before are recorded from the W-2s and users' W-9 uploads that
+// name them; their size and hash weren't kept, so those stay empty.
+
+const crypto = require('crypto');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const mimeType = (fileName) => MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+
+const insertDocument = async (schema, values) => {
+    const id = crypto.randomUUID();
+    await schema.query(`
+        INSERT INTO documents (id, "userId", type, "fileName", "originalName", "mimeType", "taxYear", "uploadedAt", "createdAt", "updatedAt")
+        VALUES (:id, :userId, :type, :fileName, :originalName, :mimeType, :taxYear, :uploadedAt, NOW(), NOW())
+    `, {
+        replacements: { id, mimeType: mimeType(values.fileName), ...values }
+    });
+    return id;
+};
+
+module.exports = {
+    up: async ({ schema, DataTypes }) => {
+        await schema.createTable('documents', {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            type: {
+                type: DataTypes.ENUM('w2', 'w9'),
+                allowNull: false
+            },
+            fileName: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            originalName: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            size: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            mimeType: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sha256: {
+                type: DataTypes.STRING(64),
+                allowNull: true
+            },
+            taxYear: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            uploadedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+        await schema.addIndex('documents', ['userId', 'type', 'taxYear']);
+
+        await schema.addColumns('w2_forms', {
+            documentId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: {
+                    model: 'documents',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            }
+        });
+
+        const w2Forms = await schema.select(`
+            SELECT id, "userId", "taxYear", "fileName", "originalFileName", "uploadDate", "createdAt"
+            FROM w2_forms WHERE "fileName" IS NOT NULL AND "documentId" IS NULL
+        `);
+        for (const form of w2Forms) {
+            const documentId = await insertDocument(schema, {
+                userId: form.userId,
+                type: 'w2',
+                fileName: form.fileName,
+                originalName: form.originalFileName || form.fileName,
+                taxYear: form.taxYear,
+                uploadedAt: form.uploadDate || form.createdAt
+            });
+            await schema.query('UPDATE w2_forms SET "documentId" = :documentId WHERE id = :id', {
+                replacements: { documentId, id: form.id }
+            });
+        }
+
+        const w9Uploads = await schema.select(`
+            SELECT id, "w9FileName", "w9UploadDate", "updatedAt"
+            FROM "Users" u WHERE "w9FileName" IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM documents d WHERE d."userId" = u.id AND d."fileName" = u."w9FileName")
+        `);
+        for (const user of w9Uploads) {
+            await insertDocument(schema, {
+                userId: user.id,
+                type: 'w9',
+                fileName: user.w9FileName,
+                originalName: user.w9FileName,
+                taxYear: null,
+                uploadedAt: user.w9UploadDate || user.updatedAt
+            });
+        }
+    },
+
+    down: async ({ schema }) => {
+        await schema.removeColumns('w2_forms', ['documentId']);
+        await schema.dropTable('documents');
+    }
+};
@@ -0,0 +1,106 @@
+// W-2s uploaded before they were kept as their own records live only on the
+// user (w2FileName, and income.w2Data once extracted). Each becomes a W2Form
+// with a document for its file, on the return for the year before it was
+// uploaded - the year people file for in filing season. Its data is copied
+// as stored, so the employee's SSN stays encrypted.
+//
+// Users who already have W-2s are left alone. The moved W-2s are ordinary
+// W-2s afterwards, so going down keeps them.
+
+const crypto = require('crypto');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const mimeType = (fileName) => MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+
+// The user's return for taxYear, created if they don't have one yet
+const findOrCreateReturn = async (schema, userId, taxYear) => {
+    const [existing] = await schema.select(
+        'SELECT id FROM tax_returns WHERE "userId" = :userId AND "taxYear" = :taxYear',
+        { userId, taxYear }
+    );
+    if (existing) return existing.id;
+
+    const id = crypto.randomUUID();
+    await schema.query(`
+        INSERT INTO tax_returns (id, "userId", "taxYear", status, "createdAt", "updatedAt")
+        VALUES (:id, :userId, :taxYear, 'in_progress', NOW(), NOW())
+    `, {
+        replacements: { id, userId, taxYear }
+    });
+    return id;
+};
+
+module.exports = {
+    up: async ({ schema }) => {
+        const users = await schema.select(`
+            SELECT id, "w2FileName", "w2UploadDate", income->'w2Data' AS "w2Data",
+                income->>'lastW2Extraction' AS "lastW2Extraction", "updatedAt"
+            FROM "Users" u
+            WHERE ("w2FileName" IS NOT NULL OR jsonb_typeof(income->'w2Data') = 'object')
+            AND NOT EXISTS (SELECT 1 FROM w2_forms w WHERE w."userId" = u.id)
+        `);
+
+        for (const user of users) {
+            const uploadedAt = user.w2UploadDate || user.lastW2Extraction || user.updatedAt;
+            const taxYear = new Date(uploadedAt).getFullYear() - 1;
+            const taxReturnId = await findOrCreateReturn(schema, user.id, taxYear);
+
+            let documentId = null;
+            if (user.w2FileName) {
+                documentId = crypto.randomUUID();
+                await schema.query(`
+                    INSERT INTO documents (id, "userId", type, "fileName", "originalName", "mimeType", "taxYear", "uploadedAt", "createdAt", "updatedAt")
+                    VALUES (:id, :userId, 'w2', :fileName, :fileName, :mimeType, :taxYear, :uploadedAt, NOW(), NOW())
+                `, {
+                    replacements: {
+                        id: documentId,
+                        userId: user.id,
+                        fileName: user.w2FileName,
+                        mimeType: mimeType(user.w2FileName),
+                        taxYear,
+                        uploadedAt
+                    }
+                });
+            }
+
+            // Data read from the file counts as extracted, and data with no
+            // file left behind it as entered by hand; an upload without any
+            // is still waiting to be extracted
+            const data = user.w2Data || {};
+            const extracted = Object.keys(data).length > 0;
+            let extractionStatus = 'pending';
+            if (extracted) extractionStatus = user.w2FileName ? 'extracted' : 'manual';
+            await schema.query(`
+                INSERT INTO w2_forms (id, "userId", "taxYear", "taxReturnId", owner, "documentId", "fileName", "originalFileName",
+                    "uploadDate", data, "extractionStatus", "extractionMethod", "lastExtraction", "createdAt", "updatedAt")
+                VALUES (:id, :userId, :taxYear, :taxReturnId, 'taxpayer', :documentId, :fileName, :fileName,
+                    :uploadDate, CAST(:data AS JSONB), :extractionStatus, :extractionMethod, :lastExtraction, NOW(), NOW())
+            `, {
+                replacements: {
+                    id: crypto.randomUUID(),
+                    userId: user.id,
+                    taxYear,
+                    taxReturnId,
+                    documentId,
+                    fileName: user.w2FileName,
+                    uploadDate: user.w2FileName ? uploadedAt : null,
+                    data: JSON.stringify(data),
+                    extractionStatus,
+                    extractionMethod: data.extractionMethod || null,
+                    lastExtraction: extracted ? user.lastW2Extraction || data.extractionDate || null : null
+                }
+            });
+        }
+    },
+
+    down: async () => {}
+};
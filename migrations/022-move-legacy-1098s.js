@@ -0,0 +1,70 @@
+// 1098s generated before returns were kept per year live only on the user
+// (deductions.form1098). Each moves onto the user's return for its formYear,
+// unless that return already has a 1098, and its version history starts
+// with it: user-edited if it was edited (it has lastModified), otherwise
+// generated. Its data is copied as stored, so identifiers stay encrypted.
+//
+// The moved 1098s are ordinary ones afterwards, so going down keeps them.
+
+const crypto = require('crypto');
+
+module.exports = {
+    up: async ({ schema }) => {
+        const users = await schema.select(`
+            SELECT id, deductions->'form1098' AS "form1098",
+                deductions->>'last1098Generation' AS "last1098Generation", "updatedAt"
+            FROM "Users"
+            WHERE jsonb_typeof(deductions->'form1098') = 'object'
+        `);
+
+        for (const user of users) {
+            const form1098 = user.form1098;
+            const generatedAt = user.last1098Generation || form1098.generatedDate || user.updatedAt;
+            const taxYear = Number.isInteger(form1098.formYear)
+                ? form1098.formYear
+                : new Date(generatedAt).getFullYear() - 1;
+
+            const [existing] = await schema.select(
+                'SELECT id, deductions FROM tax_returns WHERE "userId" = :userId AND "taxYear" = :taxYear',
+                { userId: user.id, taxYear }
+            );
+            if (existing && existing.deductions && existing.deductions.form1098) continue;
+
+            const deductions = {
+                ...(existing ? existing.deductions : {}),
+                form1098,
+                last1098Generation: generatedAt
+            };
+            const taxReturnId = existing ? existing.id : crypto.randomUUID();
+            if (existing) {
+                await schema.query('UPDATE tax_returns SET deductions = CAST(:deductions AS JSONB), "updatedAt" = NOW() WHERE id = :id', {
+                    replacements: { id: taxReturnId, deductions: JSON.stringify(deductions) }
+                });
+            } else {
+                await schema.query(`
+                    INSERT INTO tax_returns (id, "userId", "taxYear", deductions, status, "createdAt", "updatedAt")
+                    VALUES (:id, :userId, :taxYear, CAST(:deductions AS JSONB), 'in_progress', NOW(), NOW())
+                `, {
+                    replacements: { id: taxReturnId, userId: user.id, taxYear, deductions: JSON.stringify(deductions) }
+                });
+            }
+
+            await schema.query(`
+                INSERT INTO form_versions (id, "userId", "formType", "formId", version, source, data, "createdAt")
+                SELECT :id, :userId, '1098', :formId, 1, :source, CAST(:data AS JSONB), :createdAt
+                WHERE NOT EXISTS (SELECT 1 FROM form_versions WHERE "formType" = '1098' AND "formId" = :formId)
+            `, {
+                replacements: {
+                    id: crypto.randomUUID(),
+                    userId: user.id,
+                    formId: taxReturnId,
+                    source: form1098.lastModified ? 'user-edited' : 'generated',
+                    data: JSON.stringify(form1098),
+                    createdAt: form1098.lastModified || generatedAt
+                }
+            });
+        }
+    },
+
+    down: async () => {}
+};
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A single-use token emailed to a user to prove they own the address, e.g.
+// to verify it or reset their password. Only a hash of the token is stored.
+const AccountToken = sequelize.define('AccountToken', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    purpose: {
+        type: DataTypes.STRING,
+        allowNull: false // see services/accountTokens PURPOSES
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'account_tokens',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'purpose'] }
+    ]
+});
+
+module.exports = AccountToken;
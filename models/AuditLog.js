@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A record of a sensitive action: who did what to whose data, from where.
+// Rows are only ever inserted; the model refuses updates and deletes, and so
+// does a database trigger (migrations/014-add-audit-trail). userId/actorId are
+// not foreign keys so the trail outlives the records it describes.
+const AuditLog = sequelize.define('AuditLog', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    // Whose data the action touched
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    // Who performed it
+    actorId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    action: {
+        type: DataTypes.STRING,
+        allowNull: false // e.g., 'identifier.reveal'
+    },
+    entityType: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    entityId: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    details: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+    },
+    // Field-level diff for data changes (services/auditTrail), e.g.
+    // [{ field: 'data.wages', from: 50000, to: 52000 }]
+    changes: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    // Route that made the change, e.g. 'PUT /api/dashboard/w2-forms/:id'
+    route: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    }
+}, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['userId', 'createdAt'] },
+        { fields: ['action'] }
+    ]
+});
+
+const refuseChange = () => {
+    throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+AuditLog.addHook('beforeUpdate', refuseChange);
+AuditLog.addHook('beforeBulkUpdate', refuseChange);
+AuditLog.addHook('beforeDestroy', refuseChange);
+AuditLog.addHook('beforeBulkDestroy', refuseChange);
+
+module.exports = AuditLog;
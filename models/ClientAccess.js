@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Access a taxpayer (client) grants a tax preparer to parts of their return.
+// Starts as an emailed invitation; once a preparer account accepts it, the
+// preparer can act on the client's data within its scopes. See
+// services/clientAccess.
+const ClientAccess = sequelize.define('ClientAccess', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    clientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    // Set when the invitation is accepted
+    preparerId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    inviteEmail: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // Parts of the return the preparer may work on, e.g. ['w2', 'dependents']
+    scopes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'active', 'revoked'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    // SHA-256 of the invitation token; cleared once accepted
+    inviteTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        unique: true
+    },
+    inviteExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'client_access',
+    timestamps: true,
+    indexes: [
+        { fields: ['clientId'] },
+        { fields: ['preparerId', 'clientId'] }
+    ]
+});
+
+module.exports = ClientAccess;
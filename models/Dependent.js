@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../database');
+const { encryptedField } = require('../services/encryption');
+const { trackChanges } = require('../services/auditTrail');
+const { RELATIONSHIPS } = require('../services/dependents');
 
 const Dependent = sequelize.define('Dependent', {
     id: {
@@ -11,7 +14,7 @@ const Dependent = sequelize.define('Dependent', {
         type: DataTypes.UUID,
         allowNull: false,
         references: {
-            model: 'users',
+            model: 'Users',
             key: 'id'
         },
         onDelete: 'CASCADE'
@@ -20,21 +23,86 @@ const Dependent = sequelize.define('Dependent', {
         type: DataTypes.STRING,
         allowNull: false
     },
+    // See services/dependents RELATIONSHIPS
     relationship: {
-        type: DataTypes.STRING,
+        type: DataTypes.ENUM(...RELATIONSHIPS),
         allowNull: false
     },
     ssn: {
         type: DataTypes.STRING,
+        allowNull: true,
+        ...encryptedField('ssn', { blindIndex: 'ssnBlindIndex' })
+    },
+    ssnBlindIndex: {
+        type: DataTypes.STRING(64),
         allowNull: true
     },
     birthDate: {
-        type: DataTypes.DATE,
+        type: DataTypes.DATEONLY,
         allowNull: true
+    },
+    // Facts the dependency tests need, null until answered
+    monthsLivedWithTaxpayer: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 0,
+            max: 12
+        }
+    },
+    fullTimeStudent: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    permanentlyDisabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    grossIncome: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        // Postgres returns decimals as strings
+        get() {
+            const value = this.getDataValue('grossIncome');
+            return value === null || value === undefined ? value : Number(value);
+        }
+    },
+    // Share of the dependent's total support for the year the taxpayer paid
+    supportProvidedPercent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 0,
+            max: 100
+        }
+    },
+    // The dependent paid for more than half of their own support
+    providedOwnSupport: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // The dependent filed a joint return for the year, other than only to
+    // claim a refund
+    filedJointReturn: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
     }
 }, {
     tableName: 'dependents',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'ssnBlindIndex'] }
+    ]
+});
+
+trackChanges(Dependent, {
+    entity: 'dependent',
+    userId: dependent => dependent.userId,
+    ignore: ['ssnBlindIndex']
 });
 
 module.exports = Dependent;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+const { trackChanges } = require('../services/auditTrail');
+const { DOCUMENT_TYPES } = require('../services/documents');
+
+// One file a user uploaded, kept under uploads/ as fileName. See
+// services/documents.
+const Document = sequelize.define('Document', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    type: {
+        type: DataTypes.ENUM(...DOCUMENT_TYPES),
+        allowNull: false
+    },
+    // The name it's stored under, generated on upload
+    fileName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // The name it was uploaded with
+    originalName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // Size in bytes and SHA-256 of the contents; unknown for files uploaded
+    // before documents were recorded
+    size: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    mimeType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    sha256: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: true // W-9s aren't for a tax year
+    },
+    uploadedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'documents',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'type', 'taxYear'] }
+    ]
+});
+
+trackChanges(Document, {
+    entity: 'document',
+    userId: document => document.userId
+});
+
+module.exports = Document;
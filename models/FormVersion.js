@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+const { encryptedJsonField } = require('../services/encryption');
+
+// A snapshot of a form's data each time it changes, so edits can be compared
+// and undone (services/formVersions). formId is the W2Form for a W-2 and the
+// TaxReturn holding it for a 1098. Versions count up from 1 per form.
+const FormVersion = sequelize.define('FormVersion', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    formType: {
+        type: DataTypes.ENUM('w2', '1098'),
+        allowNull: false
+    },
+    formId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // How this data came about; the sources are described at the top of
+    // services/formVersions
+    source: {
+        type: DataTypes.ENUM('extracted', 'generated', 'user-edited', 'preparer-edited', 'reverted'),
+        allowNull: false
+    },
+    // For reverts, the version restored
+    revertedFrom: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // The form's data as of this version. Identifiers are encrypted as on
+    // the form itself.
+    data: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        ...encryptedJsonField('data', ['employeeSSN', 'borrowerSSN', 'accountNumber'])
+    },
+    // Who made the change (a preparer acting for the user, or the user)
+    actorId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    }
+}, {
+    tableName: 'form_versions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['formType', 'formId', 'version'] },
+        { fields: ['userId'] }
+    ]
+});
+
+module.exports = FormVersion;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Failed logins for one account (by email, whether or not it exists) or one
+// IP address, and the backoff or lockout they have earned. See
+// services/loginThrottle.
+const LoginFailure = sequelize.define('LoginFailure', {
+    // 'account:<email>' or 'ip:<address>'
+    key: {
+        type: DataTypes.STRING,
+        primaryKey: true
+    },
+    scope: {
+        type: DataTypes.ENUM('account', 'ip'),
+        allowNull: false
+    },
+    failures: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    lastFailureAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // No attempts at all before this time (backoff)
+    blockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Set when the failures reached the lockout threshold
+    lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'login_failures',
+    timestamps: true,
+    indexes: [
+        { fields: ['scope', 'lockedAt'] }
+    ]
+});
+
+module.exports = LoginFailure;
@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Requests counted in a fixed window for one rate limit and client, e.g.
+// key 'signup:203.0.113.7'. Kept in Postgres so limits hold across restarts
+// and instances. See middleware/rateLimit.
+const RateLimitCounter = sequelize.define('RateLimitCounter', {
+    key: {
+        type: DataTypes.STRING,
+        primaryKey: true
+    },
+    count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    windowStart: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'rate_limit_counters',
+    timestamps: false
+});
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A refresh token issued to a signed-in session. Only a hash of the token is
+// stored. Each refresh replaces the token with a new one in the same family;
+// a family is one login, and revoking it ends that session.
+const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    familyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    // Set when the token is exchanged for a new one; using it again after
+    // that means it was stolen
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    replacedById: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedReason: {
+        type: DataTypes.STRING,
+        allowNull: true // e.g., 'logout', 'logout_all', 'reuse_detected'
+    },
+    createdByIp: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    }
+}, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['familyId'] }
+    ]
+});
+
+module.exports = RefreshToken;
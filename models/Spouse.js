@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+const { encryptedField } = require('../services/encryption');
+const { trackChanges } = require('../services/auditTrail');
+
+// The spouse on a married user's return for one tax year. See
+// services/spouses.
+const Spouse = sequelize.define('Spouse', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    taxReturnId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+            model: 'tax_returns',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    firstName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    lastName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    ssn: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        ...encryptedField('ssn', { blindIndex: 'ssnBlindIndex' })
+    },
+    ssnBlindIndex: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    birthDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    occupation: {
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+}, {
+    tableName: 'spouses',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'ssnBlindIndex'] }
+    ]
+});
+
+trackChanges(Spouse, {
+    entity: 'spouse',
+    userId: spouse => spouse.userId,
+    ignore: ['ssnBlindIndex']
+});
+
+module.exports = Spouse;
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+const { encryptedJsonField } = require('../services/encryption');
+const { trackChanges } = require('../services/auditTrail');
+
+// A user's return for one tax year. Owns the year's income documents,
+// deductions, claimed dependents, filing status and progress, so returns for
+// different years sit side by side instead of overwriting each other.
+const TaxReturn = sequelize.define('TaxReturn', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 2000,
+            max: 2100
+        }
+    },
+    filingStatus: {
+        type: DataTypes.ENUM('single', 'married-joint', 'married-separate', 'head-of-household', 'qualifying-widow'),
+        allowNull: true
+    },
+    income: {
+        type: DataTypes.JSONB, // Income other than W-2s, which live in w2_forms
+        allowNull: false,
+        defaultValue: {}
+    },
+    deductions: {
+        type: DataTypes.JSONB, // e.g., { form1098: {...}, last1098Generation: '...' }
+        allowNull: false,
+        defaultValue: {},
+        ...encryptedJsonField('deductions', ['form1098.borrowerSSN', 'form1098.accountNumber'])
+    },
+    // Ids of the user's dependents claimed on this return; null claims all
+    dependentsClaimed: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: null
+    },
+    // The filing status questionnaire (services/tax/filingStatus); null
+    // until answered
+    filingStatusAnswers: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('not_started', 'in_progress', 'completed'),
+        allowNull: false,
+        defaultValue: 'not_started'
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Set when the user signs off on the return. The Form 1040 calculation is
+    // frozen in finalCalculation so the filed PDF can always be reproduced.
+    finalizedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    finalCalculation: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    }
+}, {
+    tableName: 'tax_returns',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['userId', 'taxYear'] }
+    ]
+});
+
+// Form 1098 data lives in deductions, so its changes show up here as
+// deductions.form1098.* fields
+trackChanges(TaxReturn, {
+    entity: 'tax_return',
+    userId: taxReturn => taxReturn.userId,
+    omitValues: ['finalCalculation']
+});
+
+module.exports = TaxReturn;
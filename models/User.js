@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../database');
+const { encryptedField, encryptedJsonField } = require('../services/encryption');
+const { trackChanges } = require('../services/auditTrail');
 
 const User = sequelize.define('User', {
     id: {
@@ -19,6 +21,50 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: false,
     },
+    // Preparers can be invited to work on other users' returns
+    // (models/ClientAccess); admins run the service
+    role: {
+        type: DataTypes.ENUM('taxpayer', 'preparer', 'admin'),
+        allowNull: false,
+        defaultValue: 'taxpayer',
+    },
+    // Set when support locks the account; it can't sign in until unlocked.
+    // (Lockouts after failed logins are temporary and live in LoginFailure.)
+    lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    lockReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // Set once the user follows the link in the verification email
+    emailVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // Two-factor authentication (services/twoFactor). The secret is set at
+    // enrollment and only takes effect once confirmed (totpEnabledAt).
+    totpSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        ...encryptedField('totpSecret'),
+    },
+    totpEnabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // Time step of the last code accepted, so no code works twice
+    totpLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    totpRecoveryCodes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+    },
     firstName: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -40,13 +86,31 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: true,
     },
+    // SSN and EIN are encrypted at rest (services/encryption); the blind
+    // indexes allow lookups without decrypting
     ssn: {
         type: DataTypes.STRING,
         allowNull: true,
+        ...encryptedField('ssn', { blindIndex: 'ssnBlindIndex' }),
+    },
+    ssnBlindIndex: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
     },
     ein: {
         type: DataTypes.STRING,
         allowNull: true,
+        ...encryptedField('ein', { blindIndex: 'einBlindIndex' }),
+    },
+    einBlindIndex: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+    },
+    w9Details: {
+        type: DataTypes.JSONB, // Rest of the W-9 beyond the columns above
+        allowNull: true,
+        defaultValue: {}, // e.g., { llcTaxClassification: 'P', exemptPayeeCode: '5', certification: {...} }
+        ...encryptedJsonField('w9Details', ['accountNumbers']),
     },
     address: {
         type: DataTypes.JSONB, // Store address as a JSON object
@@ -56,12 +120,14 @@ const User = sequelize.define('User', {
     income: {
         type: DataTypes.JSONB, // Store income details as a JSON object
         allowNull: true,
-        defaultValue: {} // e.g., { w2Wages: 0, otherIncome: 0 }
+        defaultValue: {}, // e.g., { w2Wages: 0, otherIncome: 0 }
+        ...encryptedJsonField('income', ['w2Data.employeeSSN']),
     },
     deductions: {
         type: DataTypes.JSONB, // Store deductions as a JSON object
         allowNull: true,
-        defaultValue: {} // e.g., { studentLoanInterest: 0, medicalExpenses: 0 }
+        defaultValue: {}, // e.g., { studentLoanInterest: 0, medicalExpenses: 0 }
+        ...encryptedJsonField('deductions', ['form1098.borrowerSSN', 'form1098.accountNumber']),
     },
     w9Uploaded: {
         type: DataTypes.BOOLEAN,
@@ -99,7 +165,18 @@ const User = sequelize.define('User', {
     },
 }, {
     timestamps: true,
-    tableName: 'Users' // Ensure consistent table naming
+    tableName: 'Users', // Ensure consistent table naming
+    indexes: [
+        { fields: ['ssnBlindIndex'] },
+        { fields: ['einBlindIndex'] }
+    ]
+});
+
+trackChanges(User, {
+    entity: 'user',
+    userId: user => user.id,
+    ignore: ['lastLogin', 'ssnBlindIndex', 'einBlindIndex', 'totpLastUsedStep'],
+    omitValues: ['password', 'totpSecret', 'totpRecoveryCodes']
 });
 
 module.exports = User;
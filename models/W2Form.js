@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+const { encryptedJsonField } = require('../services/encryption');
+const { trackChanges } = require('../services/auditTrail');
+const { OWNERS } = require('../services/spouses');
+
+// One uploaded W-2 and the data read from it. A user can have any number of
+// W-2s per tax year (two jobs, a mid-year job change).
+const W2Form = sequelize.define('W2Form', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 2000,
+            max: 2100
+        }
+    },
+    // The return for userId/taxYear this W-2 is reported on
+    taxReturnId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'tax_returns',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    // Whose W-2 it is: the user's or their spouse's (services/spouses)
+    owner: {
+        type: DataTypes.ENUM(...OWNERS),
+        allowNull: false,
+        defaultValue: 'taxpayer'
+    },
+    // The uploaded file it was read from (models/Document)
+    documentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'documents',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    fileName: {
+        type: DataTypes.STRING,
+        allowNull: true // null for W-2s entered by hand
+    },
+    originalFileName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    uploadDate: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Extracted or entered W-2 fields, same shape as income.w2Data used to be.
+    // The employee's SSN is encrypted at rest.
+    data: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        ...encryptedJsonField('data', ['employeeSSN'])
+    },
+    extractionStatus: {
+        type: DataTypes.ENUM('pending', 'extracted', 'failed', 'manual'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    extractionMethod: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    lastExtraction: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'w2_forms',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'taxYear'] }
+    ]
+});
+
+trackChanges(W2Form, {
+    entity: 'w2',
+    userId: form => form.userId,
+    ignore: ['lastExtraction']
+});
+
+module.exports = W2Form;
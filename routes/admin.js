@@ -0,0 +1,425 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { recordAudit, recordSecurityEvent } = require('../services/audit');
+const { revokeAllSessions } = require('../services/sessions');
+const { clearAccountFailures } = require('../services/loginThrottle');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { isTwoFactorEnabled } = require('../services/twoFactor');
+const { taxReturnSummary } = require('../services/taxReturns');
+const { currentTaxYear, MIN_TAX_YEAR, MAX_TAX_YEAR } = require('../services/taxYear');
+const { adminStats } = require('../services/adminStats');
+const { findAuditEntries } = require('../services/auditTrail');
+
+const { sequelize, User, Dependent, TaxReturn, W2Form, LoginFailure, RefreshToken } = require('../database');
+
+const router = express.Router();
+
+// Support staff only. Attempts by anyone else go to the security log.
+router.use(auth, async (req, res, next) => {
+    if (req.user.role === 'admin') return next();
+
+    try {
+        await recordSecurityEvent(req, 'admin_access_denied', {
+            userId: req.user.userId,
+            details: { method: req.method, path: req.originalUrl.split('?')[0] }
+        });
+    } catch (error) {
+        console.error('Admin access audit error:', error);
+    }
+
+    res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this'
+    });
+});
+
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+const idRule = param('id').isUUID().withMessage('Invalid user id');
+
+const booleanFilter = (field) => query(field)
+    .optional()
+    .isBoolean()
+    .withMessage(`${field} must be true or false`)
+    .toBoolean();
+
+const userListAttributes = [
+    'id', 'email', 'firstName', 'lastName', 'role', 'emailVerifiedAt', 'lockedAt',
+    'w2Uploaded', 'w9Uploaded', 'lastLogin', 'createdAt'
+];
+
+// Users whose return for taxYear has a status. 'not_started' includes users
+// who haven't opened a return for the year at all.
+const completionStatusWhere = (status, taxYear) => {
+    if (status === 'not_started') {
+        return {
+            [Op.notIn]: sequelize.literal(`(SELECT "userId" FROM tax_returns WHERE "taxYear" = ${sequelize.escape(taxYear)} AND status <> 'not_started')`)
+        };
+    }
+    return {
+        [Op.in]: sequelize.literal(`(SELECT "userId" FROM tax_returns WHERE "taxYear" = ${sequelize.escape(taxYear)} AND status = ${sequelize.escape(status)})`)
+    };
+};
+
+const findTargetUser = (req) => User.findByPk(req.params.id);
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'User not found'
+});
+
+// Search users (GET /api/admin/users?email=&completionStatus=&taxYear=&w2Uploaded=&w9Uploaded=&page=&limit=)
+router.get('/users', [
+    query('email').optional().isString().trim(),
+    query('completionStatus').optional().isIn(['not_started', 'in_progress', 'completed'])
+        .withMessage('completionStatus must be not_started, in_progress or completed'),
+    query('taxYear').optional().isInt({ min: MIN_TAX_YEAR, max: MAX_TAX_YEAR })
+        .withMessage(`Tax year must be between ${MIN_TAX_YEAR} and ${MAX_TAX_YEAR}`).toInt(),
+    query('role').optional().isIn(['taxpayer', 'preparer', 'admin']).withMessage('Invalid role'),
+    booleanFilter('w2Uploaded'),
+    booleanFilter('w9Uploaded'),
+    booleanFilter('emailVerified'),
+    booleanFilter('locked'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], validate, async (req, res) => {
+    try {
+        const { email, completionStatus, role, w2Uploaded, w9Uploaded, emailVerified, locked } = req.query;
+        const taxYear = req.query.taxYear || currentTaxYear();
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 25;
+
+        const where = {};
+        if (email) where.email = { [Op.iLike]: `%${email.replace(/[\\%_]/g, '\\$&')}%` };
+        if (role) where.role = role;
+        if (w2Uploaded !== undefined) where.w2Uploaded = w2Uploaded;
+        if (w9Uploaded !== undefined) where.w9Uploaded = w9Uploaded;
+        if (emailVerified !== undefined) where.emailVerifiedAt = emailVerified ? { [Op.ne]: null } : null;
+        if (locked !== undefined) where.lockedAt = locked ? { [Op.ne]: null } : null;
+        if (completionStatus) where.id = completionStatusWhere(completionStatus, taxYear);
+
+        const { count, rows } = await User.findAndCountAll({
+            where,
+            attributes: userListAttributes,
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        await recordAudit(req, {
+            action: 'admin.users_searched',
+            userId: req.user.userId,
+            details: { filters: { email, completionStatus, taxYear, role, w2Uploaded, w9Uploaded, emailVerified, locked }, page }
+        });
+
+        res.json({
+            success: true,
+            users: rows.map(user => ({
+                id: user.id,
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                role: user.role,
+                emailVerified: Boolean(user.emailVerifiedAt),
+                locked: Boolean(user.lockedAt),
+                w2Uploaded: user.w2Uploaded,
+                w9Uploaded: user.w9Uploaded,
+                lastLogin: user.lastLogin,
+                createdAt: user.createdAt
+            })),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Admin user search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error searching users'
+        });
+    }
+});
+
+// Aggregate stats (GET /api/admin/stats?days=30)
+router.get('/stats', [
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365').toInt()
+], validate, async (req, res) => {
+    try {
+        const stats = await adminStats({ days: req.query.days || 30 });
+
+        await recordAudit(req, {
+            action: 'admin.stats_viewed',
+            userId: req.user.userId,
+            details: { days: stats.periodDays }
+        });
+
+        res.json({
+            success: true,
+            stats
+        });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading stats'
+        });
+    }
+});
+
+// One user's account and return state (GET /api/admin/users/:id)
+// Identifiers are masked like every other response (middleware/redaction).
+router.get('/users/:id', [idRule], validate, async (req, res) => {
+    try {
+        const user = await findTargetUser(req);
+        if (!user) return notFound(res);
+
+        const [taxReturns, w2Forms, dependentCount, loginFailure, activeSessions] = await Promise.all([
+            TaxReturn.findAll({ where: { userId: user.id }, order: [['taxYear', 'DESC']] }),
+            W2Form.findAll({ where: { userId: user.id } }),
+            Dependent.count({ where: { userId: user.id } }),
+            LoginFailure.findByPk(`account:${user.email.toLowerCase()}`),
+            RefreshToken.count({
+                distinct: true,
+                col: 'familyId',
+                where: { userId: user.id, revokedAt: null, usedAt: null, expiresAt: { [Op.gt]: new Date() } }
+            })
+        ]);
+
+        await recordAudit(req, {
+            action: 'admin.user_viewed',
+            userId: user.id,
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            user: {
+                id: user.id,
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                role: user.role,
+                ssn: user.ssn,
+                filingStatus: user.filingStatus,
+                emailVerified: Boolean(user.emailVerifiedAt),
+                twoFactorEnabled: isTwoFactorEnabled(user),
+                w2Uploaded: user.w2Uploaded,
+                w9Uploaded: user.w9Uploaded,
+                lastLogin: user.lastLogin,
+                createdAt: user.createdAt
+            },
+            security: {
+                locked: Boolean(user.lockedAt),
+                lockedAt: user.lockedAt,
+                lockReason: user.lockReason,
+                failedLogins: loginFailure ? loginFailure.failures : 0,
+                blockedUntil: loginFailure && loginFailure.blockedUntil > new Date() ? loginFailure.blockedUntil : null,
+                activeSessions
+            },
+            dependentCount,
+            returns: taxReturns.map(taxReturn => ({
+                ...taxReturnSummary(taxReturn, w2Forms.filter(form => form.taxReturnId === taxReturn.id)),
+                has1098: Boolean(taxReturn.deductions && taxReturn.deductions.form1098)
+            }))
+        });
+    } catch (error) {
+        console.error('Admin user detail error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading user'
+        });
+    }
+});
+
+// A user's full audit trail: data changes, sign-ins, security events and
+// actions taken on their account (GET /api/admin/users/:id/audit-log?entityType=&page=&limit=)
+router.get('/users/:id/audit-log', [
+    idRule,
+    query('entityType').optional().isString().trim(),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], validate, async (req, res) => {
+    try {
+        const user = await findTargetUser(req);
+        if (!user) return notFound(res);
+
+        const { entries, pagination } = await findAuditEntries({
+            userId: user.id,
+            entityType: req.query.entityType || undefined,
+            page: req.query.page || 1,
+            limit: req.query.limit || 50
+        });
+
+        await recordAudit(req, {
+            action: 'admin.audit_log_viewed',
+            userId: user.id,
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            entries,
+            pagination
+        });
+    } catch (error) {
+        console.error('Admin audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading audit log'
+        });
+    }
+});
+
+// Lock an account and end its sessions (POST /api/admin/users/:id/lock)
+router.post('/users/:id/lock', [
+    idRule,
+    body('reason').isString().trim().notEmpty().withMessage('A reason is required').isLength({ max: 255 })
+], validate, async (req, res) => {
+    try {
+        const user = await findTargetUser(req);
+        if (!user) return notFound(res);
+
+        if (user.id === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot lock your own account'
+            });
+        }
+
+        await user.update({ lockedAt: user.lockedAt || new Date(), lockReason: req.body.reason });
+        await revokeAllSessions(user.id, 'admin_lock');
+        await recordAudit(req, {
+            action: 'admin.user_locked',
+            userId: user.id,
+            entityType: 'User',
+            entityId: user.id,
+            details: { reason: req.body.reason }
+        });
+
+        res.json({
+            success: true,
+            message: 'Account locked and signed out everywhere'
+        });
+    } catch (error) {
+        console.error('Admin lock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error locking account'
+        });
+    }
+});
+
+// Unlock an account, including a lockout after failed logins
+// (POST /api/admin/users/:id/unlock)
+router.post('/users/:id/unlock', [idRule], validate, async (req, res) => {
+    try {
+        const user = await findTargetUser(req);
+        if (!user) return notFound(res);
+
+        await user.update({ lockedAt: null, lockReason: null });
+        await clearAccountFailures(user.email);
+        await recordAudit(req, {
+            action: 'admin.user_unlocked',
+            userId: user.id,
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Account unlocked'
+        });
+    } catch (error) {
+        console.error('Admin unlock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unlocking account'
+        });
+    }
+});
+
+// Make the user choose a new password (POST /api/admin/users/:id/force-password-reset)
+// The current password stops working, every session ends and a reset link
+// is emailed.
+router.post('/users/:id/force-password-reset', [idRule], validate, async (req, res) => {
+    try {
+        const user = await findTargetUser(req);
+        if (!user) return notFound(res);
+
+        await user.update({ password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12) });
+        await revokeAllSessions(user.id, 'admin_password_reset');
+        await sendPasswordResetEmail(user);
+        await recordAudit(req, {
+            action: 'admin.password_reset_forced',
+            userId: user.id,
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Password cleared and reset email sent'
+        });
+    } catch (error) {
+        console.error('Admin force reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error forcing password reset'
+        });
+    }
+});
+
+// Send the verification email again (POST /api/admin/users/:id/resend-verification)
+router.post('/users/:id/resend-verification', [idRule], validate, async (req, res) => {
+    try {
+        const user = await findTargetUser(req);
+        if (!user) return notFound(res);
+
+        if (user.emailVerifiedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email address is already verified'
+            });
+        }
+
+        await sendVerificationEmail(user);
+        await recordAudit(req, {
+            action: 'admin.verification_resent',
+            userId: user.id,
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('Admin resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending verification email'
+        });
+    }
+});
+
+module.exports = router;
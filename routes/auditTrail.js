@@ -0,0 +1,55 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { findAuditEntries } = require('../services/auditTrail');
+
+const router = express.Router();
+
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+const ENTITY_TYPES = ['User', 'Dependent', 'Spouse', 'W2Form', 'TaxReturn', 'Document'];
+
+// Every change made to the signed-in user's profile, dependents, spouses,
+// W-2s, 1098 data and uploaded documents, newest first, with who made it,
+// from where and the before and after value of each field
+// (GET /api/dashboard/audit-log?entityType=&page=&limit=)
+router.get('/', auth, [
+    query('entityType').optional().isIn(ENTITY_TYPES)
+        .withMessage(`entityType must be one of ${ENTITY_TYPES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], validate, async (req, res) => {
+    try {
+        const { entries, pagination } = await findAuditEntries({
+            userId: req.user.userId,
+            entityType: req.query.entityType,
+            onlyChanges: true,
+            page: req.query.page || 1,
+            limit: req.query.limit || 50
+        });
+
+        res.json({
+            success: true,
+            entries,
+            pagination
+        });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading audit log'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,144 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { startSession, refreshSession, revokeFamily, revokeAllSessions } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const { consumeAccountToken } = require('../services/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { loginBlock, recordLoginFailure, clearAccountFailures, unlockAccount, requestUnlockEmail } = require('../services/loginThrottle');
+const {
+    CHALLENGE_TTL,
+    isTwoFactorEnabled,
+    beginEnrollment,
+    confirmEnrollment,
+    resetRecoveryCodes,
+    verifySecondFactor,
+    disableTwoFactor,
+    issueChallengeToken,
+    verifyChallengeToken,
+    remainingRecoveryCodes
+} = require('../services/twoFactor');
+const rateLimit = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Per-IP limits. Every auth route shares the general one; signup and the
+// routes that send email get a tighter one of their own.
+router.use(rateLimit({ name: 'auth', limit: 100, windowSeconds: 15 * 60 }));
+const signupLimit = rateLimit({
+    name: 'signup',
+    limit: 5,
+    windowSeconds: 60 * 60,
+    message: 'Too many accounts created from this address, please try again later'
+});
+const emailLimit = rateLimit({
+    name: 'auth-email',
+    limit: 5,
+    windowSeconds: 60 * 60,
+    message: 'Too many emails requested, please try again later'
+});
+
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+// A TOTP `code` or a `recoveryCode`, for routes that ask for a second factor
+const secondFactorRules = [
+    body('code').optional().trim(),
+    body('recoveryCode').optional().trim(),
+    body('code').custom((code, { req }) => {
+        if (!code && !req.body.recoveryCode) {
+            throw new Error('An authentication code or recovery code is required');
+        }
+        return true;
+    })
+];
+
+// Finish a successful login: start a session and answer with its tokens
+const completeLogin = async (user, req, res) => {
+    await clearAccountFailures(user.email);
+
+    // Update last login
+    await user.update({ lastLogin: new Date() });
+
+    // Short-lived access token plus a refresh token for this session
+    const tokens = await startSession(user, req);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        ...tokens,
+        user: {
+            id: user.id,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            emailVerified: Boolean(user.emailVerifiedAt)
+        }
+    });
+};
+
+// Count a failed password or second factor and answer accordingly
+const loginFailedResponse = async (email, req, res, message) => {
+    const failure = await recordLoginFailure(email, req);
+    const locked = [failure.account, failure.ip].find((result) => result.locked);
+    if (locked) {
+        return loginBlockedResponse(res, {
+            scope: locked.scope,
+            locked: true,
+            retryAfter: Math.ceil((locked.blockedUntil.getTime() - Date.now()) / 1000)
+        });
+    }
+
+    return res.status(400).json({
+        success: false,
+        message
+    });
+};
+
+// Only shown once the password is right, so it doesn't reveal which emails
+// have accounts
+const accountLockedResponse = (res) => res.status(423).json({
+    success: false,
+    message: 'This account has been locked. Please contact support.'
+});
+
+// 423 for a locked account, 429 while backing off after failed logins. The
+// wording doesn't say whether the email has an account.
+const loginBlockedResponse = (res, { scope, locked, retryAfter }) => {
+    res.set('Retry-After', String(retryAfter));
+    if (locked && scope === 'account') {
+        return res.status(423).json({
+            success: false,
+            message: 'This account is temporarily locked after too many failed login attempts. Check your email for an unlock link or try again later.',
+            retryAfter
+        });
+    }
+    return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter
+    });
+};
+
 // User Registration
-router.post('/signup', [
+router.post('/signup', signupLimit, [
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
     body('firstName').optional().trim(),
-    body('lastName').optional().trim()
+    body('lastName').optional().trim(),
+    body('role').optional().isIn(['taxpayer', 'preparer']).withMessage('Role must be taxpayer or preparer')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -25,7 +151,7 @@ router.post('/signup', [
             });
         }
 
-        const { email, password, firstName, lastName } = req.body;
+        const { email, password, firstName, lastName, role } = req.body;
 
         // Check if user already exists
         const existingUser = await User.findOne({ where: { email } });
@@ -45,17 +171,27 @@ router.post('/signup', [
             email,
             password: hashedPassword,
             firstName: firstName || '',
-            lastName: lastName || ''
+            lastName: lastName || '',
+            role: role || 'taxpayer'
         });
 
+        // The account exists either way; a failed email can be resent
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
+
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
+            message: 'User registered successfully. Check your email to verify your address.',
             user: {
                 id: newUser.id,
                 email: newUser.email,
                 firstName: newUser.firstName,
-                lastName: newUser.lastName
+                lastName: newUser.lastName,
+                role: newUser.role,
+                emailVerified: false
             }
         });
 
@@ -86,51 +222,557 @@ router.post('/login', [
 
         const { email, password } = req.body;
 
-        // Find user by email
+        // Backoff and lockout are checked before the password, so a blocked
+        // attempt learns nothing even when it's right
+        const block = await loginBlock(email, req.ip);
+        if (block) {
+            return loginBlockedResponse(res, block);
+        }
+
+        // Find user by email and check password
         const user = await User.findOne({ where: { email } });
+        const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
+        if (!isPasswordValid) {
+            return loginFailedResponse(email, req, res, 'Invalid email or password');
+        }
+
+        if (user.lockedAt) {
+            return accountLockedResponse(res);
+        }
+
+        // With 2FA on, the password only earns a challenge. Failed attempts
+        // aren't cleared until the second factor passes too.
+        if (isTwoFactorEnabled(user)) {
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: issueChallengeToken(user),
+                challengeExpiresIn: CHALLENGE_TTL
+            });
+        }
+
+        await completeLogin(user, req, res);
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+// Second step of login for accounts with 2FA (POST /api/auth/login/2fa)
+// Exchanges the challenge token from /login plus a TOTP code or a recovery
+// code for a session. Wrong codes count as failed logins.
+router.post('/login/2fa', [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    ...secondFactorRules
+], validate, async (req, res) => {
+    try {
+        const userId = verifyChallengeToken(req.body.challengeToken);
+        const user = userId ? await User.findByPk(userId) : null;
+        if (!user || !isTwoFactorEnabled(user)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or has expired, please log in again'
+            });
+        }
+
+        const block = await loginBlock(user.email, req.ip);
+        if (block) {
+            return loginBlockedResponse(res, block);
+        }
+
+        if (user.lockedAt) {
+            return accountLockedResponse(res);
+        }
+
+        const method = await verifySecondFactor(user, req.body);
+        if (!method) {
+            return loginFailedResponse(user.email, req, res, 'Invalid authentication code');
+        }
+
+        if (method === 'recovery_code') {
+            await user.reload();
+            await recordAudit(req, {
+                action: 'mfa.recovery_code_used',
+                userId: user.id,
+                entityType: 'User',
+                entityId: user.id,
+                details: { remaining: remainingRecoveryCodes(user) }
+            });
+        }
+
+        await completeLogin(user, req, res);
+
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+// Exchange a refresh token for a new access token (POST /api/auth/refresh)
+// The refresh token is single use: the response carries its replacement.
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await refreshSession(req.body.refreshToken, req);
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Token refreshed',
+            ...result.tokens
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error refreshing token'
+        });
+    }
+});
+
+// Log out of this session (POST /api/auth/logout)
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeFamily(req.user.sessionId, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+// Log out of every session on every device (POST /api/auth/logout-all)
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const [tokensRevoked] = await revokeAllSessions(req.user.userId, 'logout_all');
+        await recordAudit(req, {
+            action: 'session.logout_all',
+            details: { tokensRevoked }
+        });
+
+        res.json({
+            success: true,
+            message: 'Logged out of all sessions'
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+// Send a new verification email (POST /api/auth/verify-email/request)
+router.post('/verify-email/request', emailLimit, auth, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.userId);
         if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.emailVerifiedAt) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid email or password'
+                message: 'Email address is already verified'
             });
         }
 
-        // Check password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
-        if (!isPasswordValid) {
+        await sendVerificationEmail(user);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        console.error('Verification request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending verification email'
+        });
+    }
+});
+
+// Confirm an email address with the token from the email
+// (POST /api/auth/verify-email/confirm)
+router.post('/verify-email/confirm', [
+    body('token').isString().notEmpty().withMessage('Verification token is required')
+], validate, async (req, res) => {
+    try {
+        const record = await consumeAccountToken(req.body.token, 'email_verification');
+        if (!record) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid email or password'
+                message: 'This verification link is invalid or has expired'
             });
         }
 
-        // Update last login
-        await user.update({ lastLogin: new Date() });
+        const user = await User.findByPk(record.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        if (!user.emailVerifiedAt) await user.update({ emailVerifiedAt: new Date() });
 
         res.json({
             success: true,
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName
-            }
+            message: 'Email address verified'
         });
 
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Verification confirm error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during login'
+            message: 'Server error verifying email'
+        });
+    }
+});
+
+// Ask for a password reset email (POST /api/auth/password-reset/request)
+// Always answers the same way so it can't be used to find out which emails
+// have accounts.
+router.post('/password-reset/request', emailLimit, [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findOne({ where: { email: req.body.email } });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error requesting password reset'
+        });
+    }
+});
+
+// Set a new password with the token from the email
+// (POST /api/auth/password-reset/confirm)
+// Ends every existing session, in case the old password was compromised.
+router.post('/password-reset/confirm', [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], validate, async (req, res) => {
+    try {
+        const record = await consumeAccountToken(req.body.token, 'password_reset');
+        if (!record) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        const user = await User.findByPk(record.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Following the emailed link also proves the address
+        await user.update({
+            password: await bcrypt.hash(req.body.password, 12),
+            emailVerifiedAt: user.emailVerifiedAt || new Date()
+        });
+        await revokeAllSessions(user.id, 'password_reset');
+        await clearAccountFailures(user.email);
+        await recordAudit(req, {
+            action: 'password.reset',
+            userId: user.id,
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Password reset confirm error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error resetting password'
+        });
+    }
+});
+
+// Unlock an account locked after failed logins, with the token from the
+// lockout email (POST /api/auth/unlock)
+router.post('/unlock', [
+    body('token').isString().notEmpty().withMessage('Unlock token is required')
+], validate, async (req, res) => {
+    try {
+        const user = await unlockAccount(req.body.token, req);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This unlock link is invalid or has expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Account unlocked. You can log in again.'
+        });
+
+    } catch (error) {
+        console.error('Account unlock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unlocking account'
+        });
+    }
+});
+
+// Resend the unlock email for a locked account (POST /api/auth/unlock/request)
+// Answers the same way whether or not the account exists or is locked.
+router.post('/unlock/request', emailLimit, [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], validate, async (req, res) => {
+    try {
+        await requestUnlockEmail(req.body.email);
+
+        res.json({
+            success: true,
+            message: 'If that account is locked, an unlock link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Unlock request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error requesting unlock'
+        });
+    }
+});
+
+// Start setting up 2FA (POST /api/auth/2fa/enroll)
+// Returns the secret and an otpauth:// provisioning URI for an authenticator
+// app. Nothing changes at login until the first code is confirmed.
+router.post('/2fa/enroll', auth, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (isTwoFactorEnabled(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const enrollment = await beginEnrollment(user);
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            message: 'Add this account to your authenticator app, then confirm with the code it shows',
+            ...enrollment
+        });
+
+    } catch (error) {
+        console.error('2FA enroll error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting two-factor setup'
+        });
+    }
+});
+
+// Turn 2FA on with the first code from the app (POST /api/auth/2fa/confirm)
+// Returns the recovery codes; they are not shown again.
+router.post('/2fa/confirm', auth, [
+    body('code').trim().notEmpty().withMessage('Authentication code is required')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (isTwoFactorEnabled(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (!user.totpSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'mfa.enabled',
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each works once.',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('2FA confirm error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error confirming two-factor setup'
+        });
+    }
+});
+
+// Replace the recovery codes (POST /api/auth/2fa/recovery-codes)
+router.post('/2fa/recovery-codes', auth, secondFactorRules, validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.userId);
+        if (!user || !isTwoFactorEnabled(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await verifySecondFactor(user, req.body))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = await resetRecoveryCodes(user);
+        await recordAudit(req, {
+            action: 'mfa.recovery_codes_reset',
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            message: 'New recovery codes generated; the old ones no longer work',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating recovery codes'
+        });
+    }
+});
+
+// Turn 2FA off (POST /api/auth/2fa/disable)
+// Needs the password and a current code or recovery code.
+router.post('/2fa/disable', auth, [
+    body('password').notEmpty().withMessage('Password is required'),
+    ...secondFactorRules
+], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.userId);
+        if (!user || !isTwoFactorEnabled(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(req.body.password, user.password);
+        if (!isPasswordValid || !(await verifySecondFactor(user, req.body))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid password or authentication code'
+            });
+        }
+
+        await disableTwoFactor(user);
+        await recordAudit(req, {
+            action: 'mfa.disabled',
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error disabling two-factor authentication'
         });
     }
 });
@@ -156,9 +798,12 @@ router.get('/profile', auth, async (req, res) => {
                 email: user.email,
                 firstName: user.firstName,
                 lastName: user.lastName,
+                role: user.role,
                 filingStatus: user.filingStatus,
                 taxClassification: user.taxClassification,
                 businessName: user.businessName,
+                emailVerified: Boolean(user.emailVerifiedAt),
+                twoFactorEnabled: isTwoFactorEnabled(user),
                 address: user.address,
                 income: user.income,
                 deductions: user.deductions,
@@ -0,0 +1,301 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { recordAudit } = require('../services/audit');
+const { sendMail } = require('../services/mail');
+const { preparerInvitationEmail } = require('../services/mail/messages');
+const { SCOPES, INVITATION_TTL_DAYS, invitePreparer, acceptInvitation, revokeGrant } = require('../services/clientAccess');
+
+const { User, ClientAccess } = require('../database');
+
+const router = express.Router();
+
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+const idRule = param('id').isUUID().withMessage('Invalid access id');
+
+const scopesRule = body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one scope')
+    .custom((scopes) => {
+        const unknown = scopes.filter(scope => !Object.prototype.hasOwnProperty.call(SCOPES, scope));
+        if (unknown.length) {
+            throw new Error(`Unknown scope: ${unknown.join(', ')}. Scopes are ${Object.keys(SCOPES).join(', ')}`);
+        }
+        return true;
+    })
+    .customSanitizer(scopes => [...new Set(scopes)]);
+
+const personResponse = (user) => user && {
+    id: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName
+};
+
+const grantResponse = (grant) => ({
+    id: grant.id,
+    inviteEmail: grant.inviteEmail,
+    scopes: grant.scopes,
+    status: grant.status,
+    inviteExpiresAt: grant.status === 'pending' ? grant.inviteExpiresAt : null,
+    acceptedAt: grant.acceptedAt,
+    createdAt: grant.createdAt,
+    ...(grant.accessPreparer !== undefined && { preparer: personResponse(grant.accessPreparer) }),
+    ...(grant.accessClient !== undefined && { client: personResponse(grant.accessClient) })
+});
+
+const personAttributes = ['id', 'email', 'firstName', 'lastName'];
+
+// Preparers the signed-in user has invited or given access
+// (GET /api/access/preparers)
+router.get('/preparers', auth, async (req, res) => {
+    try {
+        const grants = await ClientAccess.findAll({
+            where: { clientId: req.user.userId, status: ['pending', 'active'] },
+            include: [{ model: User, as: 'accessPreparer', attributes: personAttributes }],
+            order: [['createdAt', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            scopes: SCOPES,
+            preparers: grants.map(grantResponse)
+        });
+    } catch (error) {
+        console.error('Get preparers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Invite a preparer to work on the signed-in user's return
+// (POST /api/access/preparers)
+router.post('/preparers', auth, [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    scopesRule
+], validate, async (req, res) => {
+    try {
+        const client = await User.findByPk(req.user.userId);
+        if (req.body.email === client.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot invite yourself'
+            });
+        }
+
+        const result = await invitePreparer(client.id, req.body.email, req.body.scopes);
+        if (result.error) {
+            return res.status(409).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        await sendMail(preparerInvitationEmail(
+            client,
+            result.grant.inviteEmail,
+            result.token,
+            result.grant.scopes.map(scope => SCOPES[scope]),
+            INVITATION_TTL_DAYS
+        ));
+        await recordAudit(req, {
+            action: 'access.invited',
+            entityType: 'ClientAccess',
+            entityId: result.grant.id,
+            details: { inviteEmail: result.grant.inviteEmail, scopes: result.grant.scopes }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent',
+            access: grantResponse(result.grant)
+        });
+    } catch (error) {
+        console.error('Invite preparer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending invitation'
+        });
+    }
+});
+
+// Change what a preparer may work on (PUT /api/access/preparers/:id)
+router.put('/preparers/:id', auth, [idRule, scopesRule], validate, async (req, res) => {
+    try {
+        const grant = await ClientAccess.findOne({
+            where: { id: req.params.id, clientId: req.user.userId, status: ['pending', 'active'] }
+        });
+        if (!grant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Preparer access not found'
+            });
+        }
+
+        const previous = grant.scopes;
+        await grant.update({ scopes: req.body.scopes });
+        await recordAudit(req, {
+            action: 'access.scopes_changed',
+            entityType: 'ClientAccess',
+            entityId: grant.id,
+            details: { from: previous, to: grant.scopes }
+        });
+
+        res.json({
+            success: true,
+            message: 'Preparer access updated',
+            access: grantResponse(grant)
+        });
+    } catch (error) {
+        console.error('Update preparer access error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating preparer access'
+        });
+    }
+});
+
+// Withdraw an invitation or a preparer's access
+// (DELETE /api/access/preparers/:id)
+router.delete('/preparers/:id', auth, [idRule], validate, async (req, res) => {
+    try {
+        const grant = await ClientAccess.findOne({
+            where: { id: req.params.id, clientId: req.user.userId, status: ['pending', 'active'] }
+        });
+        if (!grant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Preparer access not found'
+            });
+        }
+
+        await revokeGrant(grant);
+        await recordAudit(req, {
+            action: 'access.revoked',
+            entityType: 'ClientAccess',
+            entityId: grant.id,
+            details: { by: 'client' }
+        });
+
+        res.json({
+            success: true,
+            message: 'Preparer access removed'
+        });
+    } catch (error) {
+        console.error('Revoke preparer access error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing preparer access'
+        });
+    }
+});
+
+// Accept an invitation with the emailed token, as a preparer signed in with
+// the invited address (POST /api/access/invitations/accept)
+router.post('/invitations/accept', auth, requireRole('preparer'), [
+    body('token').isString().notEmpty().withMessage('Invitation token is required')
+], validate, async (req, res) => {
+    try {
+        const grant = await acceptInvitation(req.body.token, { id: req.user.userId, email: req.user.email });
+        if (!grant) {
+            return res.status(400).json({
+                success: false,
+                message: 'This invitation is invalid, has expired or was sent to a different email address'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'access.accepted',
+            userId: grant.clientId,
+            entityType: 'ClientAccess',
+            entityId: grant.id,
+            details: { scopes: grant.scopes }
+        });
+
+        res.json({
+            success: true,
+            message: 'Invitation accepted',
+            access: grantResponse(grant)
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error accepting invitation'
+        });
+    }
+});
+
+// Clients the signed-in preparer can work for (GET /api/access/clients)
+// Send a client's id as X-Client-Id to act for them.
+router.get('/clients', auth, requireRole('preparer'), async (req, res) => {
+    try {
+        const grants = await ClientAccess.findAll({
+            where: { preparerId: req.user.userId, status: 'active' },
+            include: [{ model: User, as: 'accessClient', attributes: personAttributes }],
+            order: [['acceptedAt', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            clients: grants.map(grantResponse)
+        });
+    } catch (error) {
+        console.error('Get clients error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Stop working for a client (DELETE /api/access/clients/:id, the access id)
+router.delete('/clients/:id', auth, requireRole('preparer'), [idRule], validate, async (req, res) => {
+    try {
+        const grant = await ClientAccess.findOne({
+            where: { id: req.params.id, preparerId: req.user.userId, status: 'active' }
+        });
+        if (!grant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Client access not found'
+            });
+        }
+
+        await revokeGrant(grant);
+        await recordAudit(req, {
+            action: 'access.revoked',
+            userId: grant.clientId,
+            entityType: 'ClientAccess',
+            entityId: grant.id,
+            details: { by: 'preparer' }
+        });
+
+        res.json({
+            success: true,
+            message: 'Client access removed'
+        });
+    } catch (error) {
+        console.error('Remove client access error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing client access'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,95 +1,72 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const { upload, uploadW2 } = require('../middleware/upload');
+const taxReturn = require('../middleware/taxReturn');
+const requireVerifiedEmailForUploads = require('../middleware/verifiedEmail');
+const checkDocumentReveal = require('../middleware/documentReveal');
 const PDFDocument = require('pdfkit');
+const { getW2Totals, summarizeW2Forms } = require('../services/w2');
+const { extractW2Form, recordW2Version, applyW2Edits } = require('../services/w2/forms');
+const {
+    form1098Ref,
+    editSource,
+    form1098BaselineSource,
+    recordVersion,
+    findVersion,
+    listVersions,
+    versionResponse,
+    diffVersions
+} = require('../services/formVersions');
+const { w2FieldRules, validateW2 } = require('../services/w2/schema');
+const { form1098FieldRules, validate1098 } = require('../services/form1098');
+const { onlyKnownFields, fieldErrors } = require('../services/formRules');
+const { findOrCreateTaxReturn, isReturnFinalized, finalizedReturnClaiming, markInProgress, claimedDependents } = require('../services/taxReturns');
+const {
+    relationshipLabel,
+    dependentFieldRules,
+    dependentChanges,
+    ssnConflict,
+    dependentResponse
+} = require('../services/dependents');
+const { incomeOwners, findSpouse, spouseName, attributionErrors } = require('../services/spouses');
+const { calculationBlocker, calculateTaxReturn, filingStatusRejection } = require('../services/tax');
+const { FILING_STATUSES } = require('../services/tax/filingStatus');
+const { evaluateDependent } = require('../services/tax/dependents');
+const { renderForm1040Pdf } = require('../services/tax/form1040Pdf');
+const { getRuleSet, supportedTaxYears, ruleSetCitation } = require('../services/rules');
+const { parseTaxYear, MIN_TAX_YEAR, MAX_TAX_YEAR } = require('../services/taxYear');
+const { maskSSN, maskAccountNumber } = require('../services/redaction');
+const { auditDocumentReveal } = require('../services/audit');
+const { recordDocument, syncUserUploadFlags } = require('../services/documents');
 
 // Import models from database module to ensure consistency
-const { User, Dependent } = require('../database');
+const { User, Dependent, TaxReturn, W2Form } = require('../database');
 
 const router = express.Router();
 
-// Create uploads directories if they don't exist
-const uploadsDir = path.join(__dirname, '..', 'uploads', 'w9-forms');
-const w2UploadsDir = path.join(__dirname, '..', 'uploads', 'w2-forms');
-
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-}
-if (!fs.existsSync(w2UploadsDir)) {
-    fs.mkdirSync(w2UploadsDir, { recursive: true });
-}
-
-// Configure multer for W-9 file uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadsDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'w9-' + req.user.userId + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
-    },
-    fileFilter: function (req, file, cb) {
-        const allowedTypes = /jpeg|jpg|png|pdf|doc|docx/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only images, PDFs, and Word documents are allowed'));
-        }
-    }
-});
-
-// Configure multer for W-2 file uploads
-const w2Storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, w2UploadsDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'w2-' + req.user.userId + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-const uploadW2 = multer({
-    storage: w2Storage,
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
-    },
-    fileFilter: function (req, file, cb) {
-        const allowedTypes = /jpeg|jpg|png|pdf|doc|docx/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only images, PDFs, and Word documents are allowed'));
-        }
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
     }
-});
+    next();
+};
 
-// Get user profile data (GET /api/dashboard/me)
-router.get('/me', auth, async (req, res) => {
+// Get user profile data (GET /api/dashboard/me?taxYear=2024)
+router.get('/me', auth, taxReturn({ create: false }), async (req, res) => {
     try {
         const user = await User.findByPk(req.user.userId, {
             attributes: { exclude: ['password'] },
             include: [{
                 model: Dependent,
-                as: 'userDependents', // Use the correct alias
-                attributes: ['id', 'name', 'relationship', 'dob', 'ssn']
-            }]
+                as: 'userDependents' // Use the correct alias
+            }],
+            order: [[{ model: Dependent, as: 'userDependents' }, 'createdAt', 'ASC']]
         });
 
         if (!user) {
@@ -99,14 +76,28 @@ router.get('/me', auth, async (req, res) => {
             });
         }
 
+        const taxYears = await TaxReturn.findAll({
+            where: { userId: user.id },
+            attributes: ['taxYear'],
+            order: [['taxYear', 'DESC']]
+        });
+
         res.json({
             success: true,
             id: user.id,
             email: user.email,
             firstName: user.firstName,
             lastName: user.lastName,
-            filingStatus: user.filingStatus,
-            dependents: user.userDependents || [], // Use correct alias
+            filingStatus: req.taxReturn && req.taxReturn.filingStatus ? req.taxReturn.filingStatus : user.filingStatus,
+            taxYear: req.taxYear,
+            taxReturn: req.taxReturn ? {
+                id: req.taxReturn.id,
+                taxYear: req.taxReturn.taxYear,
+                filingStatus: req.taxReturn.filingStatus,
+                status: req.taxReturn.status
+            } : null,
+            taxYears: taxYears.map(row => row.taxYear),
+            dependents: (user.userDependents || []).map(dependentResponse), // Use correct alias
             w9Uploaded: user.w9Uploaded,
             w9UploadDate: user.w9UploadDate,
             w9FileName: user.w9FileName,
@@ -126,10 +117,13 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // Update user profile (PUT /api/dashboard/me)
+// filingStatus is saved on the return for taxYear and as the profile default
+// for returns started later.
 router.put('/me', auth, [
     body('firstName').optional().trim(),
     body('lastName').optional().trim(),
-    body('filingStatus').optional().isIn(['single', 'married-joint', 'married-separate', 'head-of-household'])
+    body('filingStatus').optional().isIn(FILING_STATUSES).withMessage('Invalid filing status'),
+    body('taxYear').optional().isInt({ min: MIN_TAX_YEAR, max: MAX_TAX_YEAR }).withMessage('Invalid tax year')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -151,14 +145,33 @@ router.put('/me', auth, [
 
         // Update user information
         const { firstName, lastName, filingStatus } = req.body;
+        const taxYear = parseTaxYear(req.body.taxYear);
         const updateData = {};
 
         if (firstName !== undefined) updateData.firstName = firstName;
         if (lastName !== undefined) updateData.lastName = lastName;
-        if (filingStatus !== undefined) updateData.filingStatus = filingStatus;
+        if (filingStatus !== undefined) {
+            const yearReturn = await TaxReturn.findOne({ where: { userId: user.id, taxYear } });
+            if (yearReturn && yearReturn.finalizedAt) return taxReturn.finalizedConflict(res);
+
+            const rejection = await filingStatusRejection(yearReturn, filingStatus);
+            if (rejection) {
+                return res.status(400).json({
+                    success: false,
+                    ...rejection
+                });
+            }
+            updateData.filingStatus = filingStatus;
+        }
 
         await user.update(updateData);
 
+        if (filingStatus !== undefined) {
+            const yearReturn = await findOrCreateTaxReturn(user.id, taxYear);
+            await yearReturn.update({ filingStatus });
+            await markInProgress(yearReturn);
+        }
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -168,7 +181,8 @@ router.put('/me', auth, [
                 firstName: user.firstName,
                 lastName: user.lastName,
                 filingStatus: user.filingStatus
-            }
+            },
+            taxYear
         });
 
     } catch (error) {
@@ -180,15 +194,42 @@ router.put('/me', auth, [
     }
 });
 
-// Get user's dependents (GET /api/dashboard/dependents)
-router.get('/dependents', auth, async (req, res) => {
+const taxYearRule = (location) => location('taxYear')
+    .optional()
+    .isInt({ min: MIN_TAX_YEAR, max: MAX_TAX_YEAR })
+    .withMessage('Invalid tax year');
+
+// Refuse to change dependents a finalized return claims; its Form 1040 PDF
+// lists them
+const dependentLocked = (res, message) => res.status(409).json({
+    success: false,
+    message
+});
+
+// Get user's dependents (GET /api/dashboard/dependents?taxYear=2024), each
+// with how they qualify for the tax year. qualification is null when the
+// year's rules don't cover the dependency tests.
+router.get('/dependents', auth.delegable('dependents'), [taxYearRule(query)], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const dependents = await Dependent.findAll({
             where: { userId: req.user.userId },
             order: [['createdAt', 'ASC']]
         });
 
-        res.json(dependents);
+        const ruleSet = getRuleSet(parseTaxYear(req.query.taxYear));
+        res.json(dependents.map(dependent => ({
+            ...dependentResponse(dependent),
+            qualification: ruleSet && ruleSet.dependents ? evaluateDependent(dependent, ruleSet) : null
+        })));
     } catch (error) {
         console.error('Get dependents error:', error);
         res.status(500).json({
@@ -199,42 +240,45 @@ router.get('/dependents', auth, async (req, res) => {
 });
 
 // Add dependent (POST /api/dashboard/dependents)
-router.post('/dependents', auth, [
-    body('name').notEmpty().trim().withMessage('Dependent name is required'),
-    body('relationship').optional().trim(),
-    body('dob').optional().isISO8601().withMessage('Invalid date of birth'),
-    body('ssn').optional().trim()
+router.post('/dependents', auth.delegable('dependents'), [
+    ...dependentFieldRules(),
+    onlyKnownFields()
 ], async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
+        const errors = fieldErrors(req);
+        if (errors.length) {
             return res.status(400).json({
                 success: false,
                 message: 'Validation failed',
-                errors: errors.array()
+                errors
             });
         }
 
-        const { name, relationship, dob, ssn } = req.body;
+        const lockedBy = await finalizedReturnClaiming(req.user.userId);
+        if (lockedBy) {
+            return dependentLocked(res, `Your finalized ${lockedBy.taxYear} return claims all your dependents. Reopen it to add one.`);
+        }
+
+        if (req.body.ssn) {
+            const conflict = await ssnConflict(req.user.userId, req.body.ssn);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflict
+                });
+            }
+        }
 
         // Create new dependent
         const dependent = await Dependent.create({
             userId: req.user.userId,
-            name,
-            relationship,
-            dob: dob ? new Date(dob) : null,
-            ssn
+            ...dependentChanges(req.body)
         });
 
         res.status(201).json({
             success: true,
             message: 'Dependent added successfully',
-            id: dependent.id,
-            userId: dependent.userId,
-            name: dependent.name,
-            relationship: dependent.relationship,
-            dob: dependent.dob,
-            ssn: dependent.ssn
+            ...dependentResponse(dependent)
         });
 
     } catch (error) {
@@ -246,8 +290,71 @@ router.post('/dependents', auth, [
     }
 });
 
+// Update dependent (PUT /api/dashboard/dependents/:id)
+// Fields left out are unchanged; null clears an optional one.
+router.put('/dependents/:id', auth.delegable('dependents'), [
+    param('id').isUUID().withMessage('Invalid dependent id'),
+    ...dependentFieldRules({ partial: true }),
+    onlyKnownFields()
+], async (req, res) => {
+    try {
+        const errors = fieldErrors(req);
+        if (errors.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        const dependent = await Dependent.findOne({
+            where: {
+                id: req.params.id,
+                userId: req.user.userId
+            }
+        });
+
+        if (!dependent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dependent not found'
+            });
+        }
+
+        const lockedBy = await finalizedReturnClaiming(req.user.userId, dependent.id);
+        if (lockedBy) {
+            return dependentLocked(res, `Your finalized ${lockedBy.taxYear} return claims this dependent. Reopen it to make changes.`);
+        }
+
+        if (req.body.ssn) {
+            const conflict = await ssnConflict(req.user.userId, req.body.ssn, dependent.id);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflict
+                });
+            }
+        }
+
+        await dependent.update(dependentChanges(req.body));
+
+        res.json({
+            success: true,
+            message: 'Dependent updated successfully',
+            ...dependentResponse(dependent)
+        });
+
+    } catch (error) {
+        console.error('Update dependent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Remove dependent (DELETE /api/dashboard/dependents/:id)
-router.delete('/dependents/:id', auth, async (req, res) => {
+router.delete('/dependents/:id', auth.delegable('dependents'), async (req, res) => {
     try {
         const dependent = await Dependent.findOne({
             where: {
@@ -263,6 +370,11 @@ router.delete('/dependents/:id', auth, async (req, res) => {
             });
         }
 
+        const lockedBy = await finalizedReturnClaiming(req.user.userId, dependent.id);
+        if (lockedBy) {
+            return dependentLocked(res, `Your finalized ${lockedBy.taxYear} return claims this dependent. Reopen it to remove them.`);
+        }
+
         await dependent.destroy();
 
         res.json({
@@ -280,7 +392,7 @@ router.delete('/dependents/:id', auth, async (req, res) => {
 });
 
 // Upload W-9 form (POST /api/dashboard/upload-w9)
-router.post('/upload-w9', auth, upload.single('w9Form'), async (req, res) => {
+router.post('/upload-w9', auth, requireVerifiedEmailForUploads, upload.single('w9Form'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -297,18 +409,21 @@ router.post('/upload-w9', auth, upload.single('w9Form'), async (req, res) => {
             });
         }
 
-        // Update user's W-9 upload status
-        await user.update({
-            w9Uploaded: true,
-            w9UploadDate: new Date(),
-            w9FileName: req.file.filename
+        const document = await recordDocument({
+            userId: user.id,
+            type: 'w9',
+            file: req.file
         });
 
+        // Update user's W-9 upload status
+        await syncUserUploadFlags(user.id);
+
         res.json({
             success: true,
             message: 'W-9 form uploaded successfully',
-            fileName: req.file.filename,
-            uploadDate: new Date()
+            documentId: document.id,
+            fileName: document.fileName,
+            uploadDate: document.uploadedAt
         });
 
     } catch (error) {
@@ -321,7 +436,8 @@ router.post('/upload-w9', auth, upload.single('w9Form'), async (req, res) => {
 });
 
 // Upload W-2 form (POST /api/dashboard/upload-w2)
-router.post('/upload-w2', auth, uploadW2.single('w2Form'), async (req, res) => {
+// Each upload is stored as its own W-2; see /w2-forms to manage them.
+router.post('/upload-w2', auth.delegable('w2'), requireVerifiedEmailForUploads, uploadW2.single('w2Form'), taxReturn({ editable: true }), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -330,6 +446,8 @@ router.post('/upload-w2', auth, uploadW2.single('w2Form'), async (req, res) => {
             });
         }
 
+        const taxYear = req.taxYear;
+
         const user = await User.findByPk(req.user.userId);
         if (!user) {
             return res.status(404).json({
@@ -338,18 +456,35 @@ router.post('/upload-w2', auth, uploadW2.single('w2Form'), async (req, res) => {
             });
         }
 
-        // Update user's W-2 upload status
-        await user.update({
-            w2Uploaded: true,
-            w2UploadDate: new Date(),
-            w2FileName: req.file.filename
+        const document = await recordDocument({
+            userId: user.id,
+            type: 'w2',
+            taxYear,
+            file: req.file
         });
 
+        const w2Form = await W2Form.create({
+            userId: user.id,
+            taxYear,
+            taxReturnId: req.taxReturn.id,
+            documentId: document.id,
+            fileName: document.fileName,
+            originalFileName: document.originalName,
+            uploadDate: document.uploadedAt
+        });
+
+        // Update user's W-2 upload status
+        await syncUserUploadFlags(user.id);
+        await markInProgress(req.taxReturn);
+
         res.json({
             success: true,
             message: 'W-2 form uploaded successfully',
+            w2FormId: w2Form.id,
+            documentId: document.id,
+            taxYear,
             fileName: req.file.filename,
-            uploadDate: new Date()
+            uploadDate: w2Form.uploadDate
         });
 
     } catch (error) {
@@ -361,98 +496,70 @@ router.post('/upload-w2', auth, uploadW2.single('w2Form'), async (req, res) => {
     }
 });
 
+// The W-2 a legacy single-W-2 route acts on: the one named by w2FormId,
+// otherwise the most recent upload for the tax year.
+const findTargetW2Form = (userId, w2FormId, taxYear) => W2Form.findOne({
+    where: w2FormId ? { id: w2FormId, userId } : { userId, taxYear },
+    order: [['createdAt', 'DESC']]
+});
+
 // Extract W-2 data (POST /api/dashboard/extract-w2)
-router.post('/extract-w2', auth, async (req, res) => {
+router.post('/extract-w2', auth.delegable('w2'), [
+    body('w2FormId').optional().isUUID().withMessage('Invalid W-2 id'),
+    taxYearRule(body)
+], async (req, res) => {
     try {
-        const user = await User.findByPk(req.user.userId);
-        if (!user || !user.w2FileName) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'No W-2 file found for this user. Please upload a W-2 form first.'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        // Path to the uploaded W-2 file
-        const w2Path = path.join(__dirname, '..', 'uploads', 'w2-forms', user.w2FileName);
-
-        // Check if file exists
-        if (!fs.existsSync(w2Path)) {
+        const w2Form = await findTargetW2Form(req.user.userId, req.body.w2FormId, parseTaxYear(req.body.taxYear));
+        if (!w2Form || !w2Form.fileName) {
             return res.status(404).json({
                 success: false,
-                message: 'W-2 file not found on server.'
+                message: 'No W-2 file found for this user. Please upload a W-2 form first.'
             });
         }
+        if (await isReturnFinalized(w2Form.userId, w2Form.taxYear)) return taxReturn.finalizedConflict(res);
 
-        // --- MOCKED DATA EXTRACTION ---
-        // This simulates extracting data from the W-2 form
-        const extractedData = {
-            // Employee Information
-            employeeName: user.firstName + ' ' + user.lastName || 'John Doe',
-            employeeSSN: user.ssn || '123-45-6789',
-            employeeAddress: user.address || {
-                street: '123 Main St',
-                city: 'Anytown',
-                state: 'CA',
-                zip: '12345'
-            },
-
-            // Employer Information
-            employerName: 'Sample Employer Inc.',
-            employerEIN: '12-3456789',
-            employerAddress: {
-                street: '456 Business Ave',
-                city: 'Corporate City',
-                state: 'CA',
-                zip: '54321'
-            },
-
-            // W-2 Box Data (simulated)
-            box1_wages: 65000.00,
-            box2_federalTax: 8500.00,
-            box3_socialSecurityWages: 65000.00,
-            box4_socialSecurityTax: 4030.00,
-            box5_medicareWages: 65000.00,
-            box6_medicareTax: 942.50,
-            box7_socialSecurityTips: 0.00,
-            box8_allocatedTips: 0.00,
-            box9_verificationCode: '',
-            box10_dependentCareBenefits: 0.00,
-            box11_nonqualifiedPlans: 0.00,
-            box12_codes: [],
-            box13_statutoryEmployee: false,
-            box13_retirementPlan: true,
-            box13_thirdPartySickPay: false,
-            box14_other: [],
-
-            // Additional calculated fields
-            taxableIncome: 65000.00,
-            totalTaxWithheld: 8500.00,
-            netPay: 56500.00,
-
-            // Extraction metadata
-            extractionDate: new Date(),
-            extractionMethod: 'mocked',
-            confidence: 0.95
-        };
+        const extraction = await extractW2Form(w2Form);
+        if (!extraction.data) {
+            return res.status(422).json({
+                success: false,
+                message: extraction.message,
+                extractionMethod: extraction.extractionMethod,
+                w2FormId: w2Form.id
+            });
+        }
 
-        // Store extracted data in user record
-        await user.update({
-            income: {
-                ...user.income,
-                w2Data: extractedData,
-                lastW2Extraction: new Date()
-            }
-        });
+        const extractedData = extraction.data;
 
         res.json({
             success: true,
-            message: 'W-2 data extracted successfully',
+            message: extractedData.missingRequiredFields.length || extractedData.lowConfidenceFields.length
+                ? 'W-2 data extracted. Some fields need review.'
+                : 'W-2 data extracted successfully',
             data: extractedData,
-            fileName: user.w2FileName,
-            extractionDate: new Date()
+            w2FormId: w2Form.id,
+            taxYear: w2Form.taxYear,
+            fileName: w2Form.fileName,
+            extractionDate: w2Form.lastExtraction,
+            keptEdits: extraction.keptEdits
         });
 
     } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({
+                success: false,
+                message: 'W-2 file not found on server.'
+            });
+        }
+
         console.error('W-2 extraction error:', error);
         res.status(500).json({
             success: false,
@@ -462,19 +569,23 @@ router.post('/extract-w2', auth, async (req, res) => {
     }
 });
 
-// Get extracted W-2 data (GET /api/dashboard/w2-data)
-router.get('/w2-data', auth, async (req, res) => {
+// Get extracted W-2 data (GET /api/dashboard/w2-data?taxYear=2024 or ?w2FormId=...)
+router.get('/w2-data', auth.delegable('w2'), [
+    query('w2FormId').optional().isUUID().withMessage('Invalid W-2 id'),
+    taxYearRule(query)
+], async (req, res) => {
     try {
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        const w2Data = user.income?.w2Data;
-        if (!w2Data) {
+        const w2Form = await findTargetW2Form(req.user.userId, req.query.w2FormId, parseTaxYear(req.query.taxYear));
+        if (!w2Form || w2Form.extractionStatus === 'pending' || w2Form.extractionStatus === 'failed') {
             return res.status(404).json({
                 success: false,
                 message: 'No extracted W-2 data found. Please extract W-2 data first.'
@@ -483,8 +594,11 @@ router.get('/w2-data', auth, async (req, res) => {
 
         res.json({
             success: true,
-            data: w2Data,
-            lastExtraction: user.income?.lastW2Extraction
+            data: w2Form.data,
+            w2FormId: w2Form.id,
+            taxYear: w2Form.taxYear,
+            lastExtraction: w2Form.lastExtraction,
+            totals: await getW2Totals(req.user.userId, w2Form.taxYear)
         });
 
     } catch (error) {
@@ -497,55 +611,53 @@ router.get('/w2-data', auth, async (req, res) => {
 });
 
 // Update extracted W-2 data (PUT /api/dashboard/w2-data)
-router.put('/w2-data', auth, [
-    body('box1_wages').optional().isNumeric(),
-    body('box2_federalTax').optional().isNumeric(),
-    body('employerName').optional().trim(),
+router.put('/w2-data', auth.delegable('w2'), [
+    body('w2FormId').optional().isUUID().withMessage('Invalid W-2 id'),
+    taxYearRule(body),
+    ...w2FieldRules,
+    onlyKnownFields()
 ], async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
+        const errors = fieldErrors(req);
+        if (errors.length) {
             return res.status(400).json({
                 success: false,
                 message: 'Validation failed',
-                errors: errors.array()
+                errors
             });
         }
 
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
+        const w2Form = await findTargetW2Form(req.user.userId, req.body.w2FormId, parseTaxYear(req.body.taxYear));
+        if (!w2Form || w2Form.extractionStatus === 'pending' || w2Form.extractionStatus === 'failed') {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'No W-2 data found to update. Please extract W-2 data first.'
             });
         }
+        if (await isReturnFinalized(w2Form.userId, w2Form.taxYear)) return taxReturn.finalizedConflict(res);
 
-        const currentW2Data = user.income?.w2Data;
-        if (!currentW2Data) {
-            return res.status(404).json({
+        // Update W-2 data with provided fields
+        const { w2FormId, taxYear, ...changes } = req.body;
+        const { data: updatedW2Data, edited } = applyW2Edits(w2Form.data, changes);
+
+        const crossFieldErrors = validateW2(updatedW2Data, getRuleSet(w2Form.taxYear), edited);
+        if (crossFieldErrors.length) {
+            return res.status(400).json({
                 success: false,
-                message: 'No W-2 data found to update. Please extract W-2 data first.'
+                message: 'Validation failed',
+                errors: crossFieldErrors
             });
         }
 
-        // Update W-2 data with provided fields
-        const updatedW2Data = {
-            ...currentW2Data,
-            ...req.body,
-            lastModified: new Date()
-        };
-
-        await user.update({
-            income: {
-                ...user.income,
-                w2Data: updatedW2Data
-            }
-        });
+        const previous = { data: w2Form.data, extractionStatus: w2Form.extractionStatus };
+        await w2Form.update({ data: updatedW2Data });
+        await recordW2Version(w2Form, editSource(req), { previous });
 
         res.json({
             success: true,
             message: 'W-2 data updated successfully',
-            data: updatedW2Data
+            data: updatedW2Data,
+            w2FormId: w2Form.id
         });
 
     } catch (error) {
@@ -558,24 +670,56 @@ router.put('/w2-data', auth, [
 });
 
 // Generate 1098 data (POST /api/dashboard/generate-1098)
-router.post('/generate-1098', auth, async (req, res) => {
+router.post('/generate-1098', auth.delegable('1098'), taxReturn({ editable: true }), async (req, res) => {
     try {
+        const taxYear = req.taxYear;
+
+        const ruleSet = getRuleSet(taxYear);
+        if (!ruleSet) {
+            return res.status(400).json({
+                success: false,
+                message: `No tax rules for ${taxYear}. Supported years: ${supportedTaxYears().join(', ')}`
+            });
+        }
+        const estimate = ruleSet.form1098Estimate;
+
         const user = await User.findByPk(req.user.userId);
-        if (!user || !user.income?.w2Data) {
+        // The W-2s the return's filing status reports: both people's on a
+        // joint return, otherwise the taxpayer's
+        const w2Forms = user ? await W2Form.findAll({
+            where: {
+                taxReturnId: req.taxReturn.id,
+                owner: incomeOwners(req.taxReturn.filingStatus),
+                extractionStatus: ['extracted', 'manual']
+            },
+            order: [['createdAt', 'ASC']]
+        }) : [];
+
+        if (!w2Forms.length) {
             return res.status(404).json({
                 success: false,
                 message: 'No W-2 data found. Please extract W-2 data first.'
             });
         }
 
-        // Get W-2 data for calculations
-        const w2Data = user.income.w2Data;
+        if (w2Forms.some(form => form.data.box1_wages == null)) {
+            return res.status(400).json({
+                success: false,
+                message: 'W-2 box 1 wages could not be extracted. Please enter it before generating the 1098.'
+            });
+        }
+
+        // Identity comes from the taxpayer's first W-2; income from all of them
+        const taxpayerW2 = w2Forms.find(form => form.owner === 'taxpayer');
+        const w2Data = taxpayerW2 ? taxpayerW2.data : {};
+        const w2Totals = summarizeW2Forms(w2Forms);
 
         // Calculate mortgage interest based on income
-        const estimatedMortgageInterest = Math.min(w2Data.box1_wages * 0.04, 10000);
+        const estimatedMortgageInterest = Math.min(w2Totals.wages * estimate.interestRate, estimate.maxMortgageInterest);
 
         // Generate 1098 data
         const form1098 = {
+            borrower: 'taxpayer',
             borrowerName: w2Data.employeeName || (user.firstName + ' ' + user.lastName),
             borrowerSSN: w2Data.employeeSSN || user.ssn || '123-45-6789',
             borrowerAddress: w2Data.employeeAddress || user.address || {
@@ -597,8 +741,8 @@ router.post('/generate-1098', auth, async (req, res) => {
             mortgageInterestReceived: estimatedMortgageInterest,
             pointsPaid: 0.00,
             refundOfOverpaidInterest: 0.00,
-            mortgageInsurancePremiums: w2Data.box1_wages * 0.005,
-            outstandingMortgagePrincipal: w2Data.box1_wages * 3.5,
+            mortgageInsurancePremiums: w2Totals.wages * estimate.mortgageInsuranceRate,
+            outstandingMortgagePrincipal: w2Totals.wages * estimate.principalToWagesRatio,
 
             propertyAddress: w2Data.employeeAddress || user.address || {
                 street: '123 Main St',
@@ -607,25 +751,33 @@ router.post('/generate-1098', auth, async (req, res) => {
                 zip: '12345'
             },
 
-            formYear: new Date().getFullYear(),
+            formYear: taxYear,
             generatedDate: new Date(),
             accountNumber: 'MTG-' + user.id.substring(0, 8).toUpperCase(),
 
             calculationBasis: {
-                basedOnW2Income: w2Data.box1_wages,
-                interestRate: 0.04,
-                estimationMethod: 'income_based'
+                basedOnW2Income: w2Totals.wages,
+                w2Count: w2Totals.count,
+                interestRate: estimate.interestRate,
+                estimationMethod: 'income_based',
+                ruleSet: ruleSetCitation(ruleSet)
             }
         };
 
-        // Store 1098 data in user record
-        await user.update({
+        // Store 1098 data on the year's return. Generating again replaces
+        // the data; earlier versions stay in its history.
+        const previous1098 = req.taxReturn.deductions && req.taxReturn.deductions.form1098;
+        await req.taxReturn.update({
             deductions: {
-                ...user.deductions,
+                ...req.taxReturn.deductions,
                 form1098: form1098,
                 last1098Generation: new Date()
             }
         });
+        await recordVersion(form1098Ref(req.taxReturn), req.taxReturn.deductions.form1098, 'generated', {
+            previous: previous1098 && { data: previous1098, source: form1098BaselineSource(previous1098) }
+        });
+        await markInProgress(req.taxReturn);
 
         res.json({
             success: true,
@@ -644,18 +796,10 @@ router.post('/generate-1098', auth, async (req, res) => {
     }
 });
 
-// Get 1098 data (GET /api/dashboard/1098-data)
-router.get('/1098-data', auth, async (req, res) => {
+// Get 1098 data (GET /api/dashboard/1098-data?taxYear=2024)
+router.get('/1098-data', auth.delegable('1098'), taxReturn({ create: false }), async (req, res) => {
     try {
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
-
-        const form1098 = user.deductions?.form1098;
+        const form1098 = req.taxReturn?.deductions?.form1098;
         if (!form1098) {
             return res.status(404).json({
                 success: false,
@@ -666,7 +810,8 @@ router.get('/1098-data', auth, async (req, res) => {
         res.json({
             success: true,
             data: form1098,
-            lastGeneration: user.deductions?.last1098Generation
+            taxYear: req.taxYear,
+            lastGeneration: req.taxReturn.deductions.last1098Generation
         });
 
     } catch (error) {
@@ -679,51 +824,71 @@ router.get('/1098-data', auth, async (req, res) => {
 });
 
 // Update 1098 data (PUT /api/dashboard/1098-data)
-router.put('/1098-data', auth, [
-    body('mortgageInterestReceived').optional().isNumeric(),
-    body('pointsPaid').optional().isNumeric(),
-    body('mortgageInsurancePremiums').optional().isNumeric(),
-    body('lenderName').optional().trim(),
+router.put('/1098-data', auth.delegable('1098'), [
+    taxYearRule(body),
+    ...form1098FieldRules,
+    onlyKnownFields()
 ], async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
+        const errors = fieldErrors(req);
+        if (errors.length) {
             return res.status(400).json({
                 success: false,
                 message: 'Validation failed',
-                errors: errors.array()
+                errors
             });
         }
 
-        const user = await User.findByPk(req.user.userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
+        const yearReturn = await TaxReturn.findOne({
+            where: { userId: req.user.userId, taxYear: parseTaxYear(req.body.taxYear) }
+        });
 
-        const current1098Data = user.deductions?.form1098;
+        const current1098Data = yearReturn?.deductions?.form1098;
         if (!current1098Data) {
             return res.status(404).json({
                 success: false,
                 message: 'No 1098 data found to update. Please generate 1098 form first.'
             });
         }
+        if (yearReturn.finalizedAt) return taxReturn.finalizedConflict(res);
 
         // Update 1098 data with provided fields
+        const { taxYear, ...changes } = req.body;
         const updated1098Data = {
             ...current1098Data,
-            ...req.body,
+            ...changes,
             lastModified: new Date()
         };
 
-        await user.update({
+        const crossFieldErrors = [
+            ...validate1098(updated1098Data, Object.keys(changes)),
+            ...await attributionErrors({
+                userId: req.user.userId,
+                taxYear: yearReturn.taxYear,
+                owner: updated1098Data.borrower || 'taxpayer',
+                ownerPath: 'borrower',
+                ssn: updated1098Data.borrowerSSN,
+                ssnPath: 'borrowerSSN',
+                checkSSN: changes.borrower !== undefined || changes.borrowerSSN !== undefined
+            })
+        ];
+        if (crossFieldErrors.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: crossFieldErrors
+            });
+        }
+
+        await yearReturn.update({
             deductions: {
-                ...user.deductions,
+                ...yearReturn.deductions,
                 form1098: updated1098Data
             }
         });
+        await recordVersion(form1098Ref(yearReturn), yearReturn.deductions.form1098, editSource(req), {
+            previous: { data: current1098Data, source: form1098BaselineSource(current1098Data) }
+        });
 
         res.json({
             success: true,
@@ -740,8 +905,139 @@ router.put('/1098-data', auth, [
     }
 });
 
-// Download 1098 PDF (GET /api/dashboard/download-1098)
-router.get('/download-1098', auth, async (req, res) => {
+// Form 1098 version history. Each generation and edit of a year's 1098 is
+// kept as a version; see services/formVersions.
+const find1098Return = (req, res) => {
+    if (!req.taxReturn || !req.taxReturn.deductions || !req.taxReturn.deductions.form1098) {
+        res.status(404).json({
+            success: false,
+            message: 'No 1098 data found. Please generate 1098 form first.'
+        });
+        return null;
+    }
+    return req.taxReturn;
+};
+
+const versionNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Version not found'
+});
+
+const versionRule = (location, field) => location(field).isInt({ min: 1 }).withMessage(`${field} must be a version number`).toInt();
+
+// A year's 1098 versions, oldest first
+// (GET /api/dashboard/1098-data/versions?taxYear=2024)
+router.get('/1098-data/versions', auth.delegable('1098'), taxReturn({ create: false }), async (req, res) => {
+    try {
+        const yearReturn = find1098Return(req, res);
+        if (!yearReturn) return;
+
+        res.json({
+            success: true,
+            taxYear: req.taxYear,
+            versions: await listVersions(form1098Ref(yearReturn))
+        });
+    } catch (error) {
+        console.error('List 1098 versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Field-level differences between two 1098 versions; to defaults to the
+// newest (GET /api/dashboard/1098-data/versions/diff?taxYear=2024&from=1&to=3)
+router.get('/1098-data/versions/diff', auth.delegable('1098'), [
+    versionRule(query, 'from'),
+    versionRule(query, 'to').optional()
+], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        const yearReturn = find1098Return(req, res);
+        if (!yearReturn) return;
+
+        const diff = await diffVersions(form1098Ref(yearReturn), req.query.from, req.query.to);
+        if (!diff) return versionNotFound(res);
+
+        res.json({
+            success: true,
+            taxYear: req.taxYear,
+            ...diff
+        });
+    } catch (error) {
+        console.error('Diff 1098 versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// One 1098 version's data
+// (GET /api/dashboard/1098-data/versions/:version?taxYear=2024)
+router.get('/1098-data/versions/:version', auth.delegable('1098'), [
+    versionRule(param, 'version')
+], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        const yearReturn = find1098Return(req, res);
+        if (!yearReturn) return;
+
+        const version = await findVersion(form1098Ref(yearReturn), req.params.version);
+        if (!version) return versionNotFound(res);
+
+        res.json({
+            success: true,
+            taxYear: req.taxYear,
+            version: versionResponse(version)
+        });
+    } catch (error) {
+        console.error('Get 1098 version error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Restore a year's 1098 to an earlier version, saved as a new version
+// (POST /api/dashboard/1098-data/versions/:version/revert, taxYear in the body)
+router.post('/1098-data/versions/:version/revert', auth.delegable('1098'), [
+    versionRule(param, 'version')
+], validate, taxReturn({ create: false, editable: true }), async (req, res) => {
+    try {
+        const yearReturn = find1098Return(req, res);
+        if (!yearReturn) return;
+
+        const version = await findVersion(form1098Ref(yearReturn), req.params.version);
+        if (!version) return versionNotFound(res);
+
+        await yearReturn.update({
+            deductions: {
+                ...yearReturn.deductions,
+                form1098: version.data
+            }
+        });
+        await recordVersion(form1098Ref(yearReturn), yearReturn.deductions.form1098, 'reverted', {
+            revertedFrom: version.version
+        });
+
+        res.json({
+            success: true,
+            message: `1098 restored to version ${version.version}`,
+            data: yearReturn.deductions.form1098
+        });
+    } catch (error) {
+        console.error('Revert 1098 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error restoring 1098'
+        });
+    }
+});
+
+// Download 1098 PDF (GET /api/dashboard/download-1098?taxYear=2024)
+// The borrower's SSN and account number are masked unless ?reveal=true
+router.get('/download-1098', auth.delegable('1098'), checkDocumentReveal, taxReturn({ create: false }), async (req, res) => {
     try {
         const user = await User.findByPk(req.user.userId);
         if (!user) {
@@ -751,7 +1047,7 @@ router.get('/download-1098', auth, async (req, res) => {
             });
         }
 
-        const form1098 = user.deductions?.form1098;
+        const form1098 = req.taxReturn?.deductions?.form1098;
         if (!form1098) {
             return res.status(404).json({
                 success: false,
@@ -759,6 +1055,12 @@ router.get('/download-1098', auth, async (req, res) => {
             });
         }
 
+        const reveal = await auditDocumentReveal(req, {
+            document: 'form1098',
+            entityType: 'TaxReturn',
+            entityId: req.taxReturn.id
+        });
+
         // Create PDF document
         const doc = new PDFDocument({ margin: 50 });
 
@@ -788,7 +1090,7 @@ router.get('/download-1098', auth, async (req, res) => {
         doc.fontSize(14).text('BORROWER INFORMATION', { underline: true });
         doc.fontSize(11);
         doc.text(`Name: ${form1098.borrowerName}`);
-        doc.text(`SSN: ${form1098.borrowerSSN}`);
+        doc.text(`SSN: ${reveal ? form1098.borrowerSSN : maskSSN(form1098.borrowerSSN)}`);
         doc.text(`Address: ${form1098.borrowerAddress.street}`);
         doc.text(`         ${form1098.borrowerAddress.city}, ${form1098.borrowerAddress.state} ${form1098.borrowerAddress.zip}`);
         doc.moveDown();
@@ -798,7 +1100,7 @@ router.get('/download-1098', auth, async (req, res) => {
         doc.fontSize(11);
         doc.text(`Property Address: ${form1098.propertyAddress.street}`);
         doc.text(`                  ${form1098.propertyAddress.city}, ${form1098.propertyAddress.state} ${form1098.propertyAddress.zip}`);
-        doc.text(`Account Number: ${form1098.accountNumber}`);
+        doc.text(`Account Number: ${reveal ? form1098.accountNumber : maskAccountNumber(form1098.accountNumber)}`);
         doc.moveDown();
 
         // Form Data
@@ -838,4 +1140,94 @@ router.get('/download-1098', auth, async (req, res) => {
     }
 });
 
+// Download 1040 PDF (GET /api/dashboard/download-1040?taxYear=2024)
+// Watermarked DRAFT until the return is finalized; a finalized return prints
+// the calculation that was signed off. SSNs are masked unless ?reveal=true.
+router.get('/download-1040', auth, checkDocumentReveal, taxReturn({ create: false }), async (req, res) => {
+    try {
+        if (!req.taxReturn) {
+            return res.status(404).json({
+                success: false,
+                message: `No return found for ${req.taxYear}`
+            });
+        }
+
+        const user = await User.findByPk(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const draft = !req.taxReturn.finalizedAt;
+        let calculation = req.taxReturn.finalCalculation;
+
+        if (draft) {
+            const blocker = await calculationBlocker(req.taxReturn);
+            if (blocker) {
+                return res.status(400).json({
+                    success: false,
+                    message: blocker
+                });
+            }
+            calculation = await calculateTaxReturn(req.taxReturn);
+        }
+
+        const [dependents, spouse] = await Promise.all([
+            Dependent.findAll({
+                where: { userId: user.id },
+                order: [['createdAt', 'ASC']]
+            }),
+            findSpouse(req.taxReturn)
+        ]);
+
+        const reveal = await auditDocumentReveal(req, {
+            document: 'form1040',
+            entityType: 'TaxReturn',
+            entityId: req.taxReturn.id
+        });
+        const ssn = (value) => (reveal ? value : maskSSN(value));
+
+        const doc = new PDFDocument({ margin: 50, size: 'LETTER' });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="Form1040_${req.taxYear}_${user.firstName}_${user.lastName}${draft ? '_DRAFT' : ''}.pdf"`);
+
+        doc.pipe(res);
+
+        renderForm1040Pdf(doc, {
+            calculation,
+            taxpayer: {
+                firstName: user.firstName,
+                lastName: user.lastName,
+                ssn: ssn(user.ssn),
+                address: user.address
+            },
+            spouse: spouse && {
+                name: spouseName(spouse),
+                ssn: ssn(spouse.ssn),
+                occupation: spouse.occupation
+            },
+            dependents: claimedDependents(req.taxReturn, dependents).map(dependent => ({
+                id: dependent.id,
+                name: dependent.name,
+                ssn: ssn(dependent.ssn),
+                relationship: relationshipLabel(dependent.relationship)
+            })),
+            draft
+        });
+
+        doc.end();
+
+    } catch (error) {
+        console.error('Download 1040 PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating 1040 PDF',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const fs = require('fs');
+const { param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { upload, uploadW2 } = require('../middleware/upload');
+const requireVerifiedEmailForUploads = require('../middleware/verifiedEmail');
+const taxReturn = require('../middleware/taxReturn');
+const {
+    DOCUMENT_TYPES,
+    documentFilePath,
+    documentW2Forms,
+    replaceDocumentFile,
+    deleteDocument,
+    documentResponse
+} = require('../services/documents');
+const { fieldErrors } = require('../services/formRules');
+const { MIN_TAX_YEAR, MAX_TAX_YEAR } = require('../services/taxYear');
+const { isReturnFinalized } = require('../services/taxReturns');
+
+const { Document, W2Form } = require('../database');
+
+const router = express.Router();
+
+// Types shown in the browser with ?inline=true; anything else is always
+// downloaded
+const PREVIEW_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const idRule = param('id').isUUID().withMessage('Invalid document id');
+
+const validate = (req, res, next) => {
+    const errors = fieldErrors(req);
+    if (errors.length) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+    next();
+};
+
+const documentNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Document not found'
+});
+
+const withW2Forms = { model: W2Form, as: 'documentW2Forms', attributes: ['id', 'taxYear'] };
+
+// Load the signed-in user's document named in the URL into req.document
+const loadDocument = async (req, res, next) => {
+    try {
+        req.document = await Document.findOne({
+            where: { id: req.params.id, userId: req.user.userId },
+            include: [withW2Forms]
+        });
+        if (!req.document) return documentNotFound(res);
+        next();
+    } catch (error) {
+        console.error('Load document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Refuse to replace or delete a document read into a W-2 on a finalized
+// return. Runs after loadDocument, before any file is stored.
+const refuseFinalized = async (req, res, next) => {
+    try {
+        for (const form of req.document.documentW2Forms) {
+            if (await isReturnFinalized(req.document.userId, form.taxYear)) {
+                return taxReturn.finalizedConflict(res);
+            }
+        }
+        next();
+    } catch (error) {
+        console.error('Check finalized return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Store a replacement file, as "file", alongside others of the document's type
+const uploadReplacement = (req, res, next) => (req.document.type === 'w2' ? uploadW2 : upload).single('file')(req, res, next);
+
+// Content-Disposition naming the file as it was uploaded
+const contentDisposition = (disposition, fileName) => {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// The user's uploaded documents, newest first
+// (GET /api/dashboard/documents?type=w2&taxYear=2024)
+router.get('/', auth, [
+    query('type').optional().isIn(DOCUMENT_TYPES)
+        .withMessage(`type must be one of ${DOCUMENT_TYPES.join(', ')}`),
+    query('taxYear').optional().isInt({ min: MIN_TAX_YEAR, max: MAX_TAX_YEAR })
+        .withMessage(`Tax year must be between ${MIN_TAX_YEAR} and ${MAX_TAX_YEAR}`).toInt()
+], validate, async (req, res) => {
+    try {
+        const where = { userId: req.user.userId };
+        if (req.query.type) where.type = req.query.type;
+        if (req.query.taxYear) where.taxYear = req.query.taxYear;
+
+        const documents = await Document.findAll({
+            where,
+            include: [withW2Forms],
+            order: [['uploadedAt', 'DESC']]
+        });
+
+        res.json({
+            success: true,
+            documents: documents.map(document => documentResponse(document, document.documentW2Forms))
+        });
+    } catch (error) {
+        console.error('List documents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving documents'
+        });
+    }
+});
+
+// One document's details (GET /api/dashboard/documents/:id)
+router.get('/:id', auth, [idRule], validate, loadDocument, (req, res) => {
+    res.json({
+        success: true,
+        document: documentResponse(req.document, req.document.documentW2Forms)
+    });
+});
+
+// Download a document's file, or with ?inline=true show a PDF or image in
+// the browser (GET /api/dashboard/documents/:id/download)
+router.get('/:id/download', auth, [idRule], validate, loadDocument, async (req, res) => {
+    try {
+        const filePath = documentFilePath(req.document);
+        const stats = await fs.promises.stat(filePath);
+        const inline = req.query.inline === 'true' && PREVIEW_TYPES.includes(req.document.mimeType);
+
+        res.setHeader('Content-Type', req.document.mimeType);
+        res.setHeader('Content-Length', stats.size);
+        res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', req.document.originalName));
+
+        fs.createReadStream(filePath)
+            .on('error', (error) => {
+                console.error('Document stream error:', error);
+                res.destroy(error);
+            })
+            .pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({
+                success: false,
+                message: 'Document file not found on server.'
+            });
+        }
+
+        console.error('Download document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error downloading document'
+        });
+    }
+});
+
+// Replace a document's file with a new upload sent as "file". The old file
+// is deleted. W-2s read from the document keep their data until extracted
+// again, and are listed (w2Forms) so the client can extract them right away.
+// (PUT /api/dashboard/documents/:id)
+router.put('/:id', auth, [idRule], validate, loadDocument, refuseFinalized, requireVerifiedEmailForUploads, uploadReplacement, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const w2Forms = await replaceDocumentFile(req.document, req.file);
+
+        res.json({
+            success: true,
+            message: w2Forms.length
+                ? 'Document replaced. Extract its W-2 again to read the new file.'
+                : 'Document replaced successfully',
+            document: documentResponse(req.document, w2Forms),
+            w2Forms: w2Forms.map(form => ({
+                id: form.id,
+                taxYear: form.taxYear,
+                extractionStatus: form.extractionStatus
+            }))
+        });
+    } catch (error) {
+        console.error('Replace document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error replacing document'
+        });
+    }
+});
+
+// Delete a document and its file. W-2s read from it are kept, with the
+// data read from them, as manual entries. (DELETE /api/dashboard/documents/:id)
+router.delete('/:id', auth, [idRule], validate, loadDocument, refuseFinalized, async (req, res) => {
+    try {
+        const w2Forms = await documentW2Forms(req.document);
+        await deleteDocument(req.document);
+
+        res.json({
+            success: true,
+            message: 'Document deleted successfully',
+            detachedW2FormIds: w2Forms.map(form => form.id)
+        });
+    } catch (error) {
+        console.error('Delete document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting document'
+        });
+    }
+});
+
+module.exports = router;
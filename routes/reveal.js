@@ -0,0 +1,105 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { MIN_TAX_YEAR, MAX_TAX_YEAR } = require('../services/taxYear');
+
+const { User, Dependent, Spouse, TaxReturn, W2Form } = require('../database');
+
+const router = express.Router();
+
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+const userField = (field) => async (req) => {
+    const user = await User.findByPk(req.user.userId);
+    return user && { entityType: 'User', entityId: user.id, value: field(user) };
+};
+
+const form1098Field = (field) => async (req) => {
+    const taxReturn = await TaxReturn.findOne({ where: { userId: req.user.userId, taxYear: req.body.taxYear } });
+    const form1098 = taxReturn && taxReturn.deductions.form1098;
+    return form1098 && { entityType: 'TaxReturn', entityId: taxReturn.id, value: form1098[field] };
+};
+
+// Identifiers that can be revealed, and how to find each one for the
+// signed-in user. `id` names the dependent or W-2; `taxYear` the return.
+const REVEALABLE_FIELDS = {
+    ssn: userField(user => user.ssn),
+    ein: userField(user => user.ein),
+    w9AccountNumbers: userField(user => (user.w9Details || {}).accountNumbers),
+    dependentSSN: async (req) => {
+        const dependent = await Dependent.findOne({ where: { id: req.body.id, userId: req.user.userId } });
+        return dependent && { entityType: 'Dependent', entityId: dependent.id, value: dependent.ssn };
+    },
+    w2EmployeeSSN: async (req) => {
+        const form = await W2Form.findOne({ where: { id: req.body.id, userId: req.user.userId } });
+        return form && { entityType: 'W2Form', entityId: form.id, value: form.data.employeeSSN };
+    },
+    spouseSSN: async (req) => {
+        const taxReturn = await TaxReturn.findOne({ where: { userId: req.user.userId, taxYear: req.body.taxYear } });
+        const spouse = taxReturn && await Spouse.findOne({ where: { taxReturnId: taxReturn.id } });
+        return spouse && { entityType: 'Spouse', entityId: spouse.id, value: spouse.ssn };
+    },
+    form1098BorrowerSSN: form1098Field('borrowerSSN'),
+    form1098AccountNumber: form1098Field('accountNumber')
+};
+
+const NEEDS_ID = ['dependentSSN', 'w2EmployeeSSN'];
+const NEEDS_TAX_YEAR = ['spouseSSN', 'form1098BorrowerSSN', 'form1098AccountNumber'];
+
+// Reveal one full identifier (POST /api/dashboard/reveal)
+// Everything else in the API shows the last four characters only. Each
+// reveal is written to the audit log with the reason given.
+router.post('/', auth, [
+    body('field').isIn(Object.keys(REVEALABLE_FIELDS)).withMessage(`Field must be one of: ${Object.keys(REVEALABLE_FIELDS).join(', ')}`),
+    body('id').if(body('field').isIn(NEEDS_ID)).isUUID().withMessage('A valid id is required for this field'),
+    body('taxYear').if(body('field').isIn(NEEDS_TAX_YEAR)).isInt({ min: MIN_TAX_YEAR, max: MAX_TAX_YEAR }).withMessage('A valid tax year is required for this field').toInt(),
+    body('reason').trim().notEmpty().withMessage('Give a reason for revealing this value').isLength({ max: 500 })
+], validate, async (req, res) => {
+    try {
+        const { field, reason } = req.body;
+        const found = await REVEALABLE_FIELDS[field](req);
+
+        if (!found || !found.value) {
+            return res.status(404).json({
+                success: false,
+                message: 'No value is stored for this field'
+            });
+        }
+
+        // Audit before disclosing; if the record can't be written, nothing
+        // is revealed
+        await recordAudit(req, {
+            action: 'identifier.reveal',
+            entityType: found.entityType,
+            entityId: found.entityId,
+            details: { field, reason }
+        });
+
+        res.locals.revealIdentifiers = true;
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            field,
+            value: found.value
+        });
+    } catch (error) {
+        console.error('Reveal identifier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revealing value'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { getRuleSet, listRuleSets, supportedTaxYears } = require('../services/rules');
+
+const router = express.Router();
+
+// Tax rules are published reference data, so these routes don't need a login
+
+// List rule sets (GET /api/rules)
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        supportedTaxYears: supportedTaxYears(),
+        ruleSets: listRuleSets()
+    });
+});
+
+// Get a year's rule set (GET /api/rules/:taxYear?version=1)
+// Without a version this is the current rule set for the year.
+router.get('/:taxYear', [
+    param('taxYear').isInt().withMessage('Invalid tax year'),
+    query('version').optional().isInt({ min: 1 }).withMessage('Invalid version')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const ruleSet = getRuleSet(Number(req.params.taxYear), req.query.version);
+    if (!ruleSet) {
+        return res.status(404).json({
+            success: false,
+            message: req.query.version
+                ? `No version ${req.query.version} rule set for ${req.params.taxYear}`
+                : `No tax rules for ${req.params.taxYear}`
+        });
+    }
+
+    res.json({
+        success: true,
+        ruleSet
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,613 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const taxReturn = require('../middleware/taxReturn');
+const { summarizeW2Forms, summarizeW2FormsByOwner } = require('../services/w2');
+const { createTaxReturn, claimedDependents, markInProgress, taxReturnSummary } = require('../services/taxReturns');
+const { fileReplacedSinceExtraction } = require('../services/documents');
+const { MIN_TAX_YEAR, MAX_TAX_YEAR } = require('../services/taxYear');
+const {
+    unsupportedYear,
+    calculationBlocker,
+    calculateTaxReturn,
+    filingStatusEligibility,
+    filingStatusRejection
+} = require('../services/tax');
+const { FILING_STATUSES, filingStatusAnswerRules, filingStatusAnswers } = require('../services/tax/filingStatus');
+const {
+    SPOUSE_FIELDS,
+    spouseFieldRules,
+    spouseChanges,
+    missingNameErrors,
+    ssnConflict,
+    findSpouse,
+    spouseResponse
+} = require('../services/spouses');
+const { onlyKnownFields, fieldErrors } = require('../services/formRules');
+
+const { Dependent, Spouse, TaxReturn, W2Form } = require('../database');
+
+const router = express.Router();
+
+// Schedule A amounts the user enters themselves; mortgage interest comes
+// from the 1098
+const ITEMIZED_FIELDS = ['medicalExpenses', 'stateAndLocalTaxes', 'realEstateTaxes', 'charitableContributions'];
+
+const taxYearRule = (location) => location('taxYear')
+    .isInt({ min: MIN_TAX_YEAR, max: MAX_TAX_YEAR })
+    .withMessage(`Tax year must be between ${MIN_TAX_YEAR} and ${MAX_TAX_YEAR}`);
+
+const validate = (req, res, next) => {
+    const errors = fieldErrors(req);
+    if (errors.length) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+    next();
+};
+
+const returnW2Forms = (taxReturnRow) => W2Form.findAll({
+    where: { taxReturnId: taxReturnRow.id },
+    order: [['createdAt', 'ASC']]
+});
+
+// Full view of one return
+const returnDetail = async (taxReturnRow) => {
+    const [w2Forms, dependents, spouse] = await Promise.all([
+        returnW2Forms(taxReturnRow),
+        Dependent.findAll({
+            where: { userId: taxReturnRow.userId },
+            order: [['createdAt', 'ASC']]
+        }),
+        findSpouse(taxReturnRow)
+    ]);
+
+    return {
+        ...taxReturnSummary(taxReturnRow, w2Forms),
+        income: {
+            ...taxReturnRow.income,
+            w2Forms: w2Forms.map(form => ({
+                id: form.id,
+                owner: form.owner,
+                employerName: form.data.employerName || null,
+                box1_wages: form.data.box1_wages ?? null,
+                extractionStatus: form.extractionStatus
+            })),
+            w2Totals: summarizeW2Forms(w2Forms),
+            w2TotalsByOwner: summarizeW2FormsByOwner(w2Forms)
+        },
+        deductions: taxReturnRow.deductions,
+        spouse: spouse ? spouseResponse(spouse) : null,
+        dependentsClaimed: claimedDependents(taxReturnRow, dependents).map(dependent => ({
+            id: dependent.id,
+            name: dependent.name,
+            relationship: dependent.relationship
+        }))
+    };
+};
+
+// List the user's returns, newest year first (GET /api/dashboard/returns)
+router.get('/', auth, async (req, res) => {
+    try {
+        const taxReturns = await TaxReturn.findAll({
+            where: { userId: req.user.userId },
+            order: [['taxYear', 'DESC']]
+        });
+
+        const w2Forms = await W2Form.findAll({
+            where: { userId: req.user.userId },
+            attributes: ['id', 'taxReturnId', 'data', 'extractionStatus']
+        });
+
+        res.json({
+            success: true,
+            taxReturns: taxReturns.map(row => taxReturnSummary(
+                row,
+                w2Forms.filter(form => form.taxReturnId === row.id)
+            ))
+        });
+    } catch (error) {
+        console.error('List tax returns error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving tax returns'
+        });
+    }
+});
+
+// Start a return (POST /api/dashboard/returns)
+// carryForward copies the filing status, claimed dependents and spouse from
+// the latest earlier return.
+router.post('/', auth, [
+    taxYearRule(body),
+    body('carryForward').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+    try {
+        const taxYear = Number(req.body.taxYear);
+        const existing = await TaxReturn.findOne({
+            where: { userId: req.user.userId, taxYear }
+        });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: `A return for ${taxYear} already exists`
+            });
+        }
+
+        const values = {};
+        let previousSpouse = null;
+
+        if (req.body.carryForward) {
+            const previous = await TaxReturn.findOne({
+                where: { userId: req.user.userId },
+                order: [['taxYear', 'DESC']]
+            });
+            if (previous && previous.taxYear < taxYear) {
+                values.filingStatus = previous.filingStatus;
+                values.dependentsClaimed = previous.dependentsClaimed;
+                previousSpouse = await findSpouse(previous);
+            }
+        }
+
+        const created = await createTaxReturn(req.user.userId, taxYear, values);
+        if (previousSpouse) {
+            await Spouse.create({
+                userId: req.user.userId,
+                taxReturnId: created.id,
+                ...Object.fromEntries(SPOUSE_FIELDS.map(field => [field, previousSpouse[field]]))
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax return created successfully',
+            taxReturn: await returnDetail(created)
+        });
+    } catch (error) {
+        console.error('Create tax return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating tax return'
+        });
+    }
+});
+
+// Get one return (GET /api/dashboard/returns/:taxYear)
+router.get('/:taxYear', auth, [taxYearRule(param)], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        if (!req.taxReturn) {
+            return res.status(404).json({
+                success: false,
+                message: `No return found for ${req.taxYear}`
+            });
+        }
+
+        res.json({
+            success: true,
+            taxReturn: await returnDetail(req.taxReturn)
+        });
+    } catch (error) {
+        console.error('Get tax return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving tax return'
+        });
+    }
+});
+
+// Update a return's filing status, claimed dependents, itemized deductions or status
+// (PUT /api/dashboard/returns/:taxYear)
+router.put('/:taxYear', auth, [
+    taxYearRule(param),
+    body('filingStatus').optional({ values: 'null' }).isIn(FILING_STATUSES).withMessage('Invalid filing status'),
+    body('dependentsClaimed').optional({ values: 'null' }).isArray().withMessage('dependentsClaimed must be a list of dependent ids'),
+    body('dependentsClaimed.*').isUUID().withMessage('Invalid dependent id'),
+    body('status').optional().isIn(['in_progress', 'completed']).withMessage('Status must be in_progress or completed'),
+    body('itemizedDeductions').optional().isObject().withMessage('itemizedDeductions must be an object'),
+    ...ITEMIZED_FIELDS.map(field => body(`itemizedDeductions.${field}`)
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage(`${field} must be a non-negative amount`)
+        .toFloat())
+], validate, taxReturn({ editable: true }), async (req, res) => {
+    try {
+        const { filingStatus, dependentsClaimed, status, itemizedDeductions } = req.body;
+        const updateData = {};
+
+        if (filingStatus !== undefined) {
+            const rejection = await filingStatusRejection(req.taxReturn, filingStatus);
+            if (rejection) {
+                return res.status(400).json({
+                    success: false,
+                    ...rejection
+                });
+            }
+            updateData.filingStatus = filingStatus;
+        }
+
+        if (itemizedDeductions !== undefined) {
+            const itemized = { ...(req.taxReturn.deductions.itemized || {}) };
+            ITEMIZED_FIELDS.forEach(field => {
+                if (itemizedDeductions[field] !== undefined) itemized[field] = itemizedDeductions[field];
+            });
+            updateData.deductions = { ...req.taxReturn.deductions, itemized };
+        }
+
+        if (dependentsClaimed !== undefined) {
+            if (dependentsClaimed) {
+                const owned = await Dependent.count({
+                    where: { id: dependentsClaimed, userId: req.user.userId }
+                });
+                if (owned !== new Set(dependentsClaimed).size) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'dependentsClaimed contains a dependent that does not belong to this user'
+                    });
+                }
+            }
+            updateData.dependentsClaimed = dependentsClaimed ? [...new Set(dependentsClaimed)] : null;
+        }
+
+        if (status !== undefined) {
+            updateData.status = status;
+            updateData.completedAt = status === 'completed' ? new Date() : null;
+        }
+
+        await req.taxReturn.update(updateData);
+        if (status === undefined) await markInProgress(req.taxReturn);
+
+        res.json({
+            success: true,
+            message: 'Tax return updated successfully',
+            taxReturn: await returnDetail(req.taxReturn)
+        });
+    } catch (error) {
+        console.error('Update tax return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating tax return'
+        });
+    }
+});
+
+// The return's spouse (GET /api/dashboard/returns/:taxYear/spouse).
+// spouse is null until one is added.
+router.get('/:taxYear/spouse', auth, [taxYearRule(param)], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        if (!req.taxReturn) {
+            return res.status(404).json({
+                success: false,
+                message: `No return found for ${req.taxYear}`
+            });
+        }
+
+        const spouse = await findSpouse(req.taxReturn);
+
+        res.json({
+            success: true,
+            spouse: spouse ? spouseResponse(spouse) : null
+        });
+    } catch (error) {
+        console.error('Get spouse error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving spouse'
+        });
+    }
+});
+
+// Add or update the return's spouse (PUT /api/dashboard/returns/:taxYear/spouse)
+// Adding one takes firstName and lastName; after that fields left out are
+// unchanged and null clears one.
+router.put('/:taxYear/spouse', auth, [
+    taxYearRule(param),
+    ...spouseFieldRules(),
+    onlyKnownFields()
+], validate, taxReturn({ editable: true }), async (req, res) => {
+    try {
+        const spouse = await findSpouse(req.taxReturn);
+        if (!spouse) {
+            const errors = missingNameErrors(req.body);
+            if (errors.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors
+                });
+            }
+        }
+
+        if (req.body.ssn) {
+            const conflict = await ssnConflict(req.user.userId, req.body.ssn);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflict
+                });
+            }
+        }
+
+        const changes = spouseChanges(req.body);
+        const saved = spouse
+            ? await spouse.update(changes)
+            : await Spouse.create({ userId: req.user.userId, taxReturnId: req.taxReturn.id, ...changes });
+        await markInProgress(req.taxReturn);
+
+        res.status(spouse ? 200 : 201).json({
+            success: true,
+            message: spouse ? 'Spouse updated successfully' : 'Spouse added successfully',
+            spouse: spouseResponse(saved)
+        });
+    } catch (error) {
+        console.error('Save spouse error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving spouse'
+        });
+    }
+});
+
+// Remove the return's spouse (DELETE /api/dashboard/returns/:taxYear/spouse)
+// Their W-2s and 1098 have to be reattributed or deleted first.
+router.delete('/:taxYear/spouse', auth, [taxYearRule(param)], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        const spouse = req.taxReturn && await findSpouse(req.taxReturn);
+        if (!spouse) {
+            return res.status(404).json({
+                success: false,
+                message: `No spouse found on the ${req.taxYear} return`
+            });
+        }
+        if (req.taxReturn.finalizedAt) return taxReturn.finalizedConflict(res);
+
+        const spouseW2s = await W2Form.count({ where: { taxReturnId: req.taxReturn.id, owner: 'spouse' } });
+        const form1098 = req.taxReturn.deductions && req.taxReturn.deductions.form1098;
+        if (spouseW2s || (form1098 && form1098.borrower === 'spouse')) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your spouse still has income documents on this return. Attribute their W-2s and 1098 to you or delete them first.'
+            });
+        }
+
+        await spouse.destroy();
+
+        res.json({
+            success: true,
+            message: 'Spouse removed successfully'
+        });
+    } catch (error) {
+        console.error('Delete spouse error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing spouse'
+        });
+    }
+});
+
+// The return's filing status and whether the questionnaire answers allow
+// it (null while either is missing)
+const currentFilingStatus = (taxReturnRow, eligibility) => ({
+    filingStatus: taxReturnRow.filingStatus,
+    currentEligible: taxReturnRow.filingStatus && eligibility
+        ? eligibility.eligible.some(status => status.filingStatus === taxReturnRow.filingStatus)
+        : null
+});
+
+// Filing status questionnaire answers and the statuses they allow
+// (GET /api/dashboard/returns/:taxYear/filing-status). eligibility is null
+// until the questionnaire is answered.
+router.get('/:taxYear/filing-status', auth, [taxYearRule(param)], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        if (!req.taxReturn) {
+            return res.status(404).json({
+                success: false,
+                message: `No return found for ${req.taxYear}`
+            });
+        }
+
+        const unsupported = unsupportedYear(req.taxYear);
+        if (unsupported) {
+            return res.status(400).json({
+                success: false,
+                message: unsupported
+            });
+        }
+
+        const eligibility = await filingStatusEligibility(req.taxReturn);
+
+        res.json({
+            success: true,
+            ...currentFilingStatus(req.taxReturn, eligibility),
+            eligibility
+        });
+    } catch (error) {
+        console.error('Get filing status eligibility error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error checking filing status eligibility'
+        });
+    }
+});
+
+// Answer the filing status questionnaire (PUT /api/dashboard/returns/:taxYear/filing-status)
+// Replaces earlier answers and returns every status the user is eligible
+// for, best estimated result first. A filing status already chosen is kept
+// even if the answers rule it out; currentEligible says whether it's allowed.
+router.put('/:taxYear/filing-status', auth, [
+    taxYearRule(param),
+    ...filingStatusAnswerRules(),
+    onlyKnownFields()
+], validate, taxReturn({ editable: true }), async (req, res) => {
+    try {
+        const unsupported = unsupportedYear(req.taxYear);
+        if (unsupported) {
+            return res.status(400).json({
+                success: false,
+                message: unsupported
+            });
+        }
+
+        await req.taxReturn.update({ filingStatusAnswers: filingStatusAnswers(req.body) });
+        await markInProgress(req.taxReturn);
+
+        const eligibility = await filingStatusEligibility(req.taxReturn);
+
+        res.json({
+            success: true,
+            message: 'Filing status answers saved',
+            ...currentFilingStatus(req.taxReturn, eligibility),
+            eligibility
+        });
+    } catch (error) {
+        console.error('Save filing status answers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving filing status answers'
+        });
+    }
+});
+
+// Calculate the return's Form 1040 (GET /api/dashboard/returns/:taxYear/1040)
+// Uses the year's current tax rules unless ?ruleVersion= names another.
+router.get('/:taxYear/1040', auth, [
+    taxYearRule(param),
+    query('ruleVersion').optional().isInt({ min: 1 }).withMessage('Invalid rule version').toInt()
+], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        if (!req.taxReturn) {
+            return res.status(404).json({
+                success: false,
+                message: `No return found for ${req.taxYear}`
+            });
+        }
+
+        // A finalized return reports what was signed off on
+        if (req.taxReturn.finalCalculation && !req.query.ruleVersion) {
+            return res.json({
+                success: true,
+                finalized: true,
+                finalizedAt: req.taxReturn.finalizedAt,
+                form1040: req.taxReturn.finalCalculation
+            });
+        }
+
+        const blocker = await calculationBlocker(req.taxReturn, req.query.ruleVersion);
+        if (blocker) {
+            return res.status(400).json({
+                success: false,
+                message: blocker
+            });
+        }
+
+        res.json({
+            success: true,
+            finalized: false,
+            form1040: await calculateTaxReturn(req.taxReturn, { ruleVersion: req.query.ruleVersion })
+        });
+    } catch (error) {
+        console.error('Calculate 1040 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error calculating return',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Finalize a return (POST /api/dashboard/returns/:taxYear/finalize)
+// Freezes the current Form 1040 calculation. Every W-2 must be extracted and
+// reviewed first.
+router.post('/:taxYear/finalize', auth, [taxYearRule(param)], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        if (!req.taxReturn) {
+            return res.status(404).json({
+                success: false,
+                message: `No return found for ${req.taxYear}`
+            });
+        }
+
+        if (req.taxReturn.finalizedAt) {
+            return res.status(409).json({
+                success: false,
+                message: 'This return is already finalized'
+            });
+        }
+
+        const blocker = await calculationBlocker(req.taxReturn);
+        if (blocker) {
+            return res.status(400).json({
+                success: false,
+                message: blocker
+            });
+        }
+
+        const w2Forms = await returnW2Forms(req.taxReturn);
+        const unfinished = w2Forms.filter(form => !['extracted', 'manual'].includes(form.extractionStatus)
+            || fileReplacedSinceExtraction(form));
+        const { formsNeedingReview } = summarizeW2Forms(w2Forms);
+        if (unfinished.length || formsNeedingReview.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Extract and review every W-2 before finalizing the return.',
+                w2FormIds: [...new Set([...unfinished.map(form => form.id), ...formsNeedingReview])]
+            });
+        }
+
+        const finalizedAt = new Date();
+        await req.taxReturn.update({
+            finalCalculation: await calculateTaxReturn(req.taxReturn),
+            finalizedAt,
+            status: 'completed',
+            completedAt: req.taxReturn.completedAt || finalizedAt
+        });
+
+        res.json({
+            success: true,
+            message: 'Tax return finalized',
+            taxReturn: await returnDetail(req.taxReturn),
+            form1040: req.taxReturn.finalCalculation
+        });
+    } catch (error) {
+        console.error('Finalize tax return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error finalizing tax return'
+        });
+    }
+});
+
+// Reopen a finalized return for changes (POST /api/dashboard/returns/:taxYear/reopen)
+router.post('/:taxYear/reopen', auth, [taxYearRule(param)], validate, taxReturn({ create: false }), async (req, res) => {
+    try {
+        if (!req.taxReturn || !req.taxReturn.finalizedAt) {
+            return res.status(404).json({
+                success: false,
+                message: `No finalized return found for ${req.taxYear}`
+            });
+        }
+
+        await req.taxReturn.update({
+            finalizedAt: null,
+            finalCalculation: null,
+            status: 'in_progress',
+            completedAt: null
+        });
+
+        res.json({
+            success: true,
+            message: 'Tax return reopened',
+            taxReturn: await returnDetail(req.taxReturn)
+        });
+    } catch (error) {
+        console.error('Reopen tax return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error reopening tax return'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,486 @@
+const express = require('express');
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { uploadW2 } = require('../middleware/upload');
+const taxReturn = require('../middleware/taxReturn');
+const requireVerifiedEmailForUploads = require('../middleware/verifiedEmail');
+const { summarizeW2Forms, summarizeW2FormsByOwner } = require('../services/w2');
+const { extractW2Form, recordW2Version, applyW2Edits, removeW2File } = require('../services/w2/forms');
+const {
+    w2Ref,
+    editSource,
+    findVersion,
+    listVersions,
+    versionResponse,
+    diffVersions,
+    deleteVersions
+} = require('../services/formVersions');
+const { w2FieldRules, validateW2 } = require('../services/w2/schema');
+const { getRuleSet } = require('../services/rules');
+const { onlyKnownFields, fieldErrors } = require('../services/formRules');
+const { parseTaxYear, MIN_TAX_YEAR, MAX_TAX_YEAR } = require('../services/taxYear');
+const { findOrCreateTaxReturn, isReturnFinalized, markInProgress } = require('../services/taxReturns');
+const { OWNERS, attributionErrors } = require('../services/spouses');
+const { recordDocument, syncUserUploadFlags } = require('../services/documents');
+
+const { W2Form, Document } = require('../database');
+
+const router = express.Router();
+
+const taxYearRule = (location) => location('taxYear')
+    .optional()
+    .isInt({ min: MIN_TAX_YEAR, max: MAX_TAX_YEAR })
+    .withMessage(`Tax year must be between ${MIN_TAX_YEAR} and ${MAX_TAX_YEAR}`);
+
+const idRule = param('id').isUUID().withMessage('Invalid W-2 id');
+
+const ownerRule = body('owner').optional().isIn(OWNERS).withMessage(`owner must be one of: ${OWNERS.join(', ')}`);
+
+const versionRule = (location, field) => location(field).isInt({ min: 1 }).withMessage(`${field} must be a version number`).toInt();
+
+const validate = (req, res, next) => {
+    const errors = fieldErrors(req);
+    if (errors.length) {
+        // Don't keep files from rejected uploads
+        if (req.file) fs.unlink(req.file.path, () => {});
+
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+    next();
+};
+
+const formResponse = (form) => ({
+    id: form.id,
+    taxYear: form.taxYear,
+    taxReturnId: form.taxReturnId,
+    owner: form.owner,
+    documentId: form.documentId,
+    fileName: form.fileName,
+    originalFileName: form.originalFileName,
+    uploadDate: form.uploadDate,
+    extractionStatus: form.extractionStatus,
+    extractionMethod: form.extractionMethod,
+    lastExtraction: form.lastExtraction,
+    data: form.data,
+    createdAt: form.createdAt,
+    updatedAt: form.updatedAt
+});
+
+const findOwnForm = (req) => W2Form.findOne({
+    where: { id: req.params.id, userId: req.user.userId }
+});
+
+// Whether a W-2 is on a finalized return, and so can't be changed
+const formLocked = (form) => isReturnFinalized(form.userId, form.taxYear);
+
+// List W-2s for a tax year with totals (GET /api/dashboard/w2-forms?taxYear=2024)
+router.get('/', auth.delegable('w2'), [taxYearRule(query)], validate, async (req, res) => {
+    try {
+        const taxYear = parseTaxYear(req.query.taxYear);
+        const forms = await W2Form.findAll({
+            where: { userId: req.user.userId, taxYear },
+            order: [['createdAt', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            taxYear,
+            w2Forms: forms.map(formResponse),
+            totals: summarizeW2Forms(forms),
+            totalsByOwner: summarizeW2FormsByOwner(forms)
+        });
+    } catch (error) {
+        console.error('List W-2s error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving W-2s'
+        });
+    }
+});
+
+// Aggregate W-2 totals (GET /api/dashboard/w2-forms/totals?taxYear=2024)
+router.get('/totals', auth.delegable('w2'), [taxYearRule(query)], validate, async (req, res) => {
+    try {
+        const taxYear = parseTaxYear(req.query.taxYear);
+        const forms = await W2Form.findAll({
+            where: { userId: req.user.userId, taxYear },
+            attributes: ['id', 'owner', 'data']
+        });
+
+        res.json({
+            success: true,
+            taxYear,
+            totals: summarizeW2Forms(forms),
+            totalsByOwner: summarizeW2FormsByOwner(forms)
+        });
+    } catch (error) {
+        console.error('W-2 totals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error calculating W-2 totals'
+        });
+    }
+});
+
+// Add a W-2 (POST /api/dashboard/w2-forms)
+// Send a file as "w2Form" to upload one, or no file to enter it by hand.
+// owner is 'taxpayer' (default) or 'spouse'.
+router.post('/', auth.delegable('w2'), requireVerifiedEmailForUploads, uploadW2.single('w2Form'), [taxYearRule(body), ownerRule], validate, taxReturn({ editable: true }), async (req, res) => {
+    try {
+        const owner = req.body.owner || 'taxpayer';
+        const errors = await attributionErrors({
+            userId: req.user.userId,
+            taxYear: req.taxYear,
+            owner,
+            ownerPath: 'owner'
+        });
+        if (errors.length) {
+            if (req.file) fs.unlink(req.file.path, () => {});
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        const document = req.file && await recordDocument({
+            userId: req.user.userId,
+            type: 'w2',
+            taxYear: req.taxYear,
+            file: req.file
+        });
+
+        const form = await W2Form.create({
+            userId: req.user.userId,
+            taxYear: req.taxYear,
+            taxReturnId: req.taxReturn.id,
+            owner,
+            documentId: document ? document.id : null,
+            fileName: document ? document.fileName : null,
+            originalFileName: document ? document.originalName : null,
+            uploadDate: document ? document.uploadedAt : null,
+            extractionStatus: document ? 'pending' : 'manual'
+        });
+
+        await syncUserUploadFlags(req.user.userId);
+        await markInProgress(req.taxReturn);
+
+        res.status(201).json({
+            success: true,
+            message: req.file ? 'W-2 form uploaded successfully' : 'W-2 created for manual entry',
+            w2Form: formResponse(form)
+        });
+    } catch (error) {
+        console.error('Create W-2 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating W-2'
+        });
+    }
+});
+
+// Get one W-2 (GET /api/dashboard/w2-forms/:id)
+router.get('/:id', auth.delegable('w2'), [idRule], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'W-2 not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            w2Form: formResponse(form)
+        });
+    } catch (error) {
+        console.error('Get W-2 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving W-2'
+        });
+    }
+});
+
+// Edit a W-2's data, tax year or owner (PUT /api/dashboard/w2-forms/:id)
+router.put('/:id', auth.delegable('w2'), [
+    idRule,
+    taxYearRule(body),
+    ownerRule,
+    ...w2FieldRules,
+    onlyKnownFields()
+], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'W-2 not found'
+            });
+        }
+
+        const { taxYear, owner, ...changes } = req.body;
+        const { data, edited } = applyW2Edits(form.data, changes);
+
+        const targetYear = taxYear !== undefined ? Number(taxYear) : form.taxYear;
+        if (await formLocked(form) || await isReturnFinalized(req.user.userId, targetYear)) {
+            return taxReturn.finalizedConflict(res);
+        }
+
+        const targetOwner = owner || form.owner;
+        const crossFieldErrors = [
+            ...validateW2(data, getRuleSet(targetYear), edited),
+            ...await attributionErrors({
+                userId: req.user.userId,
+                taxYear: targetYear,
+                owner: targetOwner,
+                ownerPath: 'owner',
+                ssn: data.employeeSSN,
+                ssnPath: 'employeeSSN',
+                checkSSN: owner !== undefined || edited.includes('employeeSSN')
+            })
+        ];
+        if (crossFieldErrors.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: crossFieldErrors
+            });
+        }
+
+        const previous = { data: form.data, extractionStatus: form.extractionStatus };
+        const updateData = {};
+
+        if (edited.length) {
+            updateData.data = data;
+            if (form.extractionStatus !== 'extracted') updateData.extractionStatus = 'manual';
+        }
+        if (targetOwner !== form.owner) updateData.owner = targetOwner;
+        // Moving a W-2 to another year moves it to that year's return
+        if (taxYear !== undefined && Number(taxYear) !== form.taxYear) {
+            const targetReturn = await findOrCreateTaxReturn(req.user.userId, Number(taxYear));
+            updateData.taxYear = targetReturn.taxYear;
+            updateData.taxReturnId = targetReturn.id;
+            await markInProgress(targetReturn);
+        }
+
+        await form.update(updateData);
+        if (edited.length) await recordW2Version(form, editSource(req), { previous });
+
+        res.json({
+            success: true,
+            message: 'W-2 updated successfully',
+            w2Form: formResponse(form)
+        });
+    } catch (error) {
+        console.error('Update W-2 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating W-2'
+        });
+    }
+});
+
+// Delete a W-2 with its uploaded file and document
+// (DELETE /api/dashboard/w2-forms/:id)
+router.delete('/:id', auth.delegable('w2'), [idRule], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'W-2 not found'
+            });
+        }
+
+        if (await formLocked(form)) return taxReturn.finalizedConflict(res);
+
+        const document = form.documentId && await Document.findByPk(form.documentId);
+
+        await removeW2File(form);
+        await deleteVersions(w2Ref(form));
+        await form.destroy();
+        if (document) await document.destroy();
+        await syncUserUploadFlags(req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'W-2 deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete W-2 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting W-2'
+        });
+    }
+});
+
+// Extract data from one W-2's file (POST /api/dashboard/w2-forms/:id/extract)
+router.post('/:id/extract', auth.delegable('w2'), [idRule], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) {
+            return res.status(404).json({
+                success: false,
+                message: 'W-2 not found'
+            });
+        }
+
+        if (!form.fileName) {
+            return res.status(400).json({
+                success: false,
+                message: 'This W-2 was entered by hand and has no file to extract from.'
+            });
+        }
+        if (await formLocked(form)) return taxReturn.finalizedConflict(res);
+
+        const extraction = await extractW2Form(form);
+        if (!extraction.data) {
+            return res.status(422).json({
+                success: false,
+                message: extraction.message,
+                extractionMethod: extraction.extractionMethod
+            });
+        }
+
+        res.json({
+            success: true,
+            message: extraction.data.missingRequiredFields.length || extraction.data.lowConfidenceFields.length
+                ? 'W-2 data extracted. Some fields need review.'
+                : 'W-2 data extracted successfully',
+            w2Form: formResponse(form),
+            keptEdits: extraction.keptEdits
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({
+                success: false,
+                message: 'W-2 file not found on server.'
+            });
+        }
+
+        console.error('W-2 extraction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during W-2 data extraction',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+const formNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'W-2 not found'
+});
+
+const versionNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Version not found'
+});
+
+// A W-2's data versions, oldest first, with where each came from and the
+// fields it changed (GET /api/dashboard/w2-forms/:id/versions)
+router.get('/:id/versions', auth.delegable('w2'), [idRule], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) return formNotFound(res);
+
+        res.json({
+            success: true,
+            versions: await listVersions(w2Ref(form))
+        });
+    } catch (error) {
+        console.error('List W-2 versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Field-level differences between two versions; to defaults to the newest
+// (GET /api/dashboard/w2-forms/:id/versions/diff?from=1&to=3)
+router.get('/:id/versions/diff', auth.delegable('w2'), [
+    idRule,
+    versionRule(query, 'from'),
+    versionRule(query, 'to').optional()
+], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) return formNotFound(res);
+
+        const diff = await diffVersions(w2Ref(form), req.query.from, req.query.to);
+        if (!diff) return versionNotFound(res);
+
+        res.json({
+            success: true,
+            ...diff
+        });
+    } catch (error) {
+        console.error('Diff W-2 versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// One version's data (GET /api/dashboard/w2-forms/:id/versions/:version)
+router.get('/:id/versions/:version', auth.delegable('w2'), [idRule, versionRule(param, 'version')], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) return formNotFound(res);
+
+        const version = await findVersion(w2Ref(form), req.params.version);
+        if (!version) return versionNotFound(res);
+
+        res.json({
+            success: true,
+            version: versionResponse(version)
+        });
+    } catch (error) {
+        console.error('Get W-2 version error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Restore a W-2's data to an earlier version. The restore is itself saved
+// as a new version, so it can be undone too.
+// (POST /api/dashboard/w2-forms/:id/versions/:version/revert)
+router.post('/:id/versions/:version/revert', auth.delegable('w2'), [idRule, versionRule(param, 'version')], validate, async (req, res) => {
+    try {
+        const form = await findOwnForm(req);
+        if (!form) return formNotFound(res);
+
+        const version = await findVersion(w2Ref(form), req.params.version);
+        if (!version) return versionNotFound(res);
+        if (await formLocked(form)) return taxReturn.finalizedConflict(res);
+
+        await form.update({ data: version.data });
+        await recordW2Version(form, 'reverted', { revertedFrom: version.version });
+
+        res.json({
+            success: true,
+            message: `W-2 restored to version ${version.version}`,
+            w2Form: formResponse(form)
+        });
+    } catch (error) {
+        console.error('Revert W-2 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error restoring W-2'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const PDFDocument = require('pdfkit');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const checkDocumentReveal = require('../middleware/documentReveal');
+const {
+    TAX_CLASSIFICATIONS,
+    LLC_TAX_CLASSIFICATIONS,
+    EXEMPT_PAYEE_CODES,
+    FATCA_CODES,
+    TIN_TYPES,
+    DETAIL_FIELDS,
+    formatSSN,
+    formatEIN,
+    defaultTinType,
+    w9FromUser,
+    validateW9,
+    missingW9Fields
+} = require('../services/w9');
+const { renderW9Pdf } = require('../services/w9/pdf');
+const { maskSSN, maskEIN, maskAccountNumber } = require('../services/redaction');
+const { auditDocumentReveal } = require('../services/audit');
+const { taxpayerSsnConflict } = require('../services/spouses');
+
+const { User } = require('../database');
+
+const router = express.Router();
+
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+const addressRules = (field) => [
+    body(field).optional({ values: 'null' }).isObject().withMessage(`${field} must be an object`),
+    body(`${field}.street`).if(body(field).isObject()).trim().notEmpty().withMessage('Street address is required'),
+    body(`${field}.city`).if(body(field).isObject()).trim().notEmpty().withMessage('City is required'),
+    body(`${field}.state`).if(body(field).isObject()).trim().toUpperCase().matches(/^[A-Z]{2}$/).withMessage('State must be a 2-letter code'),
+    body(`${field}.zip`).if(body(field).isObject()).trim().matches(/^\d{5}(-\d{4})?$/).withMessage('ZIP code must be 5 or 9 digits')
+];
+
+const w9Response = (user) => {
+    const w9 = w9FromUser(user);
+    const missingFields = missingW9Fields(w9);
+    return {
+        w9,
+        complete: missingFields.length === 0,
+        missingFields,
+        signed: Boolean(w9.certification)
+    };
+};
+
+const findUser = async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+    return user;
+};
+
+// Get W-9 information (GET /api/dashboard/w9)
+router.get('/', auth, async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        res.json({
+            success: true,
+            ...w9Response(user)
+        });
+    } catch (error) {
+        console.error('Get W-9 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving W-9 information'
+        });
+    }
+});
+
+// Update W-9 information (PUT /api/dashboard/w9)
+// Send only the fields that change; null clears a field. Any change removes
+// an existing signature, since the signed certification no longer matches.
+router.put('/', auth, [
+    body('name').optional().trim().notEmpty().withMessage('Name is required').isLength({ max: 200 }),
+    body('businessName').optional({ values: 'null' }).trim().isLength({ max: 200 }),
+    body('taxClassification').optional({ values: 'null' }).isIn(TAX_CLASSIFICATIONS).withMessage('Invalid tax classification'),
+    body('llcTaxClassification').optional({ values: 'null' }).toUpperCase().isIn(LLC_TAX_CLASSIFICATIONS).withMessage('LLC tax classification must be C, S or P'),
+    body('otherClassification').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('foreignPartners').optional().isBoolean().toBoolean(),
+    body('exemptPayeeCode').optional({ values: 'null' }).customSanitizer(value => String(value)).isIn(EXEMPT_PAYEE_CODES).withMessage('Exempt payee code must be 1-13'),
+    body('fatcaExemptionCode').optional({ values: 'null' }).toUpperCase().isIn(FATCA_CODES).withMessage('FATCA exemption code must be A-M'),
+    ...addressRules('address'),
+    body('accountNumbers').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('requesterName').optional({ values: 'null' }).trim().isLength({ max: 200 }),
+    body('requesterAddress').optional({ values: 'null' }).trim().isLength({ max: 300 }),
+    body('tinType').optional({ values: 'null' }).isIn(TIN_TYPES).withMessage('tinType must be ssn or ein'),
+    // The SSN is also the user's own on their 1040, so it can be changed here
+    // but not cleared; choose tinType ein to give an EIN instead
+    body('ssn').optional().notEmpty().withMessage('Your SSN can\'t be removed. Choose tinType ein to give an EIN instead.')
+        .customSanitizer(formatSSN),
+    body('ein').optional({ values: 'null' }).customSanitizer(formatEIN)
+], validate, async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        const changes = {};
+        ['name', 'businessName', 'taxClassification', 'address', 'ssn', 'ein', ...DETAIL_FIELDS].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = req.body[field] === '' ? null : req.body[field];
+        });
+
+        const w9 = { ...w9FromUser(user), ...changes };
+        // A new classification takes its default identifier unless one is chosen
+        if (!w9.tinType || (changes.taxClassification !== undefined && changes.tinType === undefined)) {
+            w9.tinType = defaultTinType(w9);
+        }
+        const errors = validateW9(w9);
+        if (errors.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        if (changes.ssn) {
+            const conflict = await taxpayerSsnConflict(user.id, changes.ssn);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflict
+                });
+            }
+        }
+
+        const w9Details = { ...(user.w9Details || {}), name: w9.name };
+        DETAIL_FIELDS.forEach(field => { w9Details[field] = w9[field]; });
+        if (Object.keys(changes).length) delete w9Details.certification;
+
+        await user.update({
+            businessName: w9.businessName,
+            taxClassification: w9.taxClassification,
+            address: w9.address || {},
+            ssn: w9.ssn,
+            ein: w9.ein,
+            w9Details
+        });
+
+        res.json({
+            success: true,
+            message: 'W-9 information updated successfully',
+            ...w9Response(user)
+        });
+    } catch (error) {
+        console.error('Update W-9 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating W-9 information'
+        });
+    }
+});
+
+// Sign the W-9 certification (POST /api/dashboard/w9/sign)
+// The signature is the name on line 1, typed by the user.
+router.post('/sign', auth, [
+    body('signature').trim().notEmpty().withMessage('Type your name to sign'),
+    body('certify').equals('true').withMessage('You must certify the statements in Part II')
+], validate, async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        const w9 = w9FromUser(user);
+        const missingFields = missingW9Fields(w9);
+        if (missingFields.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Complete the W-9 before signing it',
+                missingFields
+            });
+        }
+
+        if (req.body.signature.toLowerCase() !== w9.name.toLowerCase()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The signature must match the name on line 1'
+            });
+        }
+
+        await user.update({
+            w9Details: {
+                ...(user.w9Details || {}),
+                certification: {
+                    signature: req.body.signature,
+                    signedAt: new Date()
+                }
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'W-9 signed successfully',
+            ...w9Response(user)
+        });
+    } catch (error) {
+        console.error('Sign W-9 error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error signing W-9'
+        });
+    }
+});
+
+// Download a completed W-9 PDF (GET /api/dashboard/w9/download)
+// The TIN is masked unless ?reveal=true, e.g. for a copy to send to the
+// requester.
+router.get('/download', auth, checkDocumentReveal, async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        const w9 = w9FromUser(user);
+        const missingFields = missingW9Fields(w9);
+        if (missingFields.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Complete the W-9 before downloading it',
+                missingFields
+            });
+        }
+
+        const reveal = await auditDocumentReveal(req, {
+            document: 'formW9',
+            entityType: 'User',
+            entityId: user.id
+        });
+
+        const doc = new PDFDocument({ margin: 50, size: 'LETTER' });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="FormW9_${user.firstName}_${user.lastName}.pdf"`);
+
+        doc.pipe(res);
+        renderW9Pdf(doc, reveal ? w9 : {
+            ...w9,
+            ssn: w9.ssn && maskSSN(w9.ssn),
+            ein: w9.ein && maskEIN(w9.ein),
+            accountNumbers: w9.accountNumbers && maskAccountNumber(w9.accountNumbers)
+        });
+        doc.end();
+
+    } catch (error) {
+        console.error('Download W-9 PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating W-9 PDF',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
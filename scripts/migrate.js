@@ -0,0 +1,45 @@
+// Apply, undo or list database migrations (migrations/).
+//
+// Usage: npm run migrate [-- up|down|status]
+//   up      apply every pending migration (default)
+//   down    undo the most recently applied migration
+//   status  list migrations and whether each is applied
+
+require('dotenv').config();
+
+const { sequelize } = require('../database');
+const { migrate, rollback, migrationStatus } = require('../services/migrations');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+const main = async () => {
+    const command = process.argv[2] || 'up';
+    if (!COMMANDS.includes(command)) {
+        console.error(`Usage: npm run migrate -- <${COMMANDS.join('|')}>`);
+        process.exit(1);
+    }
+
+    await sequelize.authenticate();
+
+    if (command === 'up') {
+        const applied = await migrate({ onApplied: name => console.log(`✅ Applied ${name}`) });
+        console.log(applied.length ? `🎉 Applied ${applied.length} migration(s)` : '✅ No pending migrations');
+    } else if (command === 'down') {
+        const reverted = await rollback();
+        console.log(reverted ? `↩️  Reverted ${reverted}` : 'No migrations to revert');
+    } else {
+        const migrations = await migrationStatus();
+        migrations.forEach(({ name, appliedAt, missing }) => {
+            const state = appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending';
+            console.log(`${appliedAt ? '✅' : '⏳'} ${name}  ${state}${missing ? ' (not in this code)' : ''}`);
+        });
+    }
+
+    await sequelize.close();
+};
+
+main().catch(async error => {
+    console.error('❌ Migration failed:', error.message);
+    await sequelize.close();
+    process.exit(1);
+});
@@ -0,0 +1,68 @@
+// Re-encrypt every encrypted field under the current key version.
+//
+// Run after adding a new key to FIELD_ENCRYPTION_KEYS (and pointing
+// FIELD_ENCRYPTION_KEY_VERSION at it), or once after turning encryption on to
+// encrypt rows stored in plaintext. Blind indexes are recomputed on the way.
+// Old keys can be removed from FIELD_ENCRYPTION_KEYS once this reports no
+// remaining rows.
+//
+// Usage: npm run rotate-keys [-- --dry-run]
+
+require('dotenv').config();
+
+const { loadEncryptionKeys, staleEncryptedAttributes } = require('../services/encryption');
+const { sequelize, connectDB } = require('../database');
+
+const BATCH_SIZE = 200;
+
+const rotateModel = async (Model, dryRun) => {
+    const indexFields = Object.values(Model.rawAttributes)
+        .map(attribute => attribute.encrypted && attribute.encrypted.blindIndex)
+        .filter(Boolean);
+    let scanned = 0;
+    let updated = 0;
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+        const rows = await Model.findAll({ order: [['id', 'ASC']], limit: BATCH_SIZE, offset });
+        if (!rows.length) break;
+
+        for (const row of rows) {
+            scanned += 1;
+            const stale = staleEncryptedAttributes(row);
+            if (!stale.length) continue;
+
+            updated += 1;
+            if (dryRun) continue;
+
+            // Setting a field to its decrypted value encrypts it again under
+            // the current key
+            stale.forEach(field => row.set(field, row.get(field)));
+            await row.save({ fields: [...stale, ...indexFields], silent: true, hooks: false });
+        }
+    }
+
+    return { scanned, updated };
+};
+
+const main = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const { currentVersion } = loadEncryptionKeys();
+    await connectDB();
+
+    console.log(`🔐 ${dryRun ? 'Checking' : 'Re-encrypting'} fields under key version ${currentVersion}`);
+
+    const models = Object.values(sequelize.models)
+        .filter(Model => Object.values(Model.rawAttributes).some(attribute => attribute.encrypted));
+
+    for (const Model of models) {
+        const { scanned, updated } = await rotateModel(Model, dryRun);
+        console.log(`   ${Model.name}: ${updated} of ${scanned} rows ${dryRun ? 'need re-encryption' : 're-encrypted'}`);
+    }
+
+    await sequelize.close();
+};
+
+main().catch(error => {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+});
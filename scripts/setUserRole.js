@@ -0,0 +1,36 @@
+// Change a user's role, e.g. to make the first admin. Admins can't be
+// created through the API.
+//
+// Usage: npm run set-role -- <email> <taxpayer|preparer|admin>
+
+require('dotenv').config();
+
+const { sequelize, connectDB, User } = require('../database');
+
+const ROLES = ['taxpayer', 'preparer', 'admin'];
+
+const main = async () => {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    const user = await User.findOne({ where: { email: email.toLowerCase() } });
+    if (!user) {
+        throw new Error(`No user with email ${email}`);
+    }
+
+    const previous = user.role;
+    await user.update({ role });
+    console.log(`✅ ${user.email}: ${previous} -> ${role}`);
+
+    await sequelize.close();
+};
+
+main().catch(error => {
+    console.error('❌ Setting role failed:', error.message);
+    process.exit(1);
+});
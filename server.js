@@ -7,6 +7,12 @@ dotenv.config();
 
 const app = express();
 
+// Behind Railway's proxy, so req.ip (used by rate limits and the audit
+// log) is the client's address rather than the proxy's
+if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1);
+}
+
 // Basic middleware
 app.use(cors({
     origin: ['https://tax-au-frontend-production.up.railway.app', 'http://localhost:3000'],
@@ -15,6 +21,12 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Make the current request available to model hooks (audit trail)
+app.use(require('./services/requestContext').requestContext);
+
+// Mask SSNs and other identifiers in every JSON response
+app.use(require('./middleware/redaction'));
+
 // Health check routes (before database connection)
 app.get('/', (req, res) => {
     res.json({ 
@@ -26,16 +38,24 @@ app.get('/', (req, res) => {
     });
 });
 
+// The database's state: initializing, ready, migrations_pending (the schema
+// is behind the code) or unavailable. Healthy only once it's ready, since
+// every API route answers 503 until then.
+let dbStatus = 'initializing';
+
 app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy',
+    const healthy = dbStatus === 'ready';
+    res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'healthy' : 'unhealthy',
+        database: dbStatus,
         timestamp: new Date().toISOString(),
         uptime: process.uptime()
     });
 });
 
-// Initialize database connection and models
-let dbReady = false;
+// API routes are attached here once the database is ready. The router itself
+// is mounted up front so it sits before the error and 404 handlers.
+const apiRoutes = express.Router();
 
 const initializeDatabase = async () => {
     try {
@@ -44,34 +64,45 @@ const initializeDatabase = async () => {
         const { connectDB } = require('./database');
         await connectDB();
         
-        console.log('✅ Database connected and models synced');
-        dbReady = true;
+        console.log('✅ Database connected and schema up to date');
+        dbStatus = 'ready';
         
         // Load routes after database is ready
-        app.use('/api/auth', require('./routes/auth'));
-        app.use('/api/dashboard', require('./routes/dashboard'));
+        apiRoutes.use('/api/auth', require('./routes/auth'));
+        apiRoutes.use('/api/dashboard/w2-forms', require('./routes/w2Forms'));
+        apiRoutes.use('/api/dashboard/documents', require('./routes/documents'));
+        apiRoutes.use('/api/dashboard/returns', require('./routes/taxReturns'));
+        apiRoutes.use('/api/dashboard/w9', require('./routes/w9'));
+        apiRoutes.use('/api/dashboard/reveal', require('./routes/reveal'));
+        apiRoutes.use('/api/dashboard/audit-log', require('./routes/auditTrail'));
+        apiRoutes.use('/api/dashboard', require('./routes/dashboard'));
+        apiRoutes.use('/api/rules', require('./routes/rules'));
+        apiRoutes.use('/api/access', require('./routes/clientAccess'));
+        apiRoutes.use('/api/admin', require('./routes/admin'));
         
         console.log('✅ Routes loaded successfully');
         
     } catch (error) {
         console.error('❌ Database initialization failed:', error.message);
-        // Don't exit - let health checks work but log the error
-        dbReady = false;
+        // Don't exit - let health checks report why
+        dbStatus = error.pendingMigrations ? 'migrations_pending' : 'unavailable';
     }
 };
 
 // Middleware to check database readiness for API routes
 app.use('/api/*', (req, res, next) => {
-    if (!dbReady) {
+    if (dbStatus !== 'ready') {
         return res.status(503).json({
             success: false,
             message: 'Database not ready. Please try again in a moment.',
-            status: 'initializing'
+            status: dbStatus
         });
     }
     next();
 });
 
+app.use(apiRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Error:', err.message);
@@ -114,6 +145,37 @@ app.use('*', (req, res) => {
     });
 });
 
+// Tax rule sets are static data files - refuse to start if any is invalid
+try {
+    const { loadRules } = require('./services/rules');
+    const ruleSets = loadRules();
+    console.log(`📐 Loaded ${ruleSets.length} tax rule sets`);
+} catch (error) {
+    console.error('❌ Tax rules failed validation:', error.message);
+    process.exit(1);
+}
+
+// Identifiers are encrypted at rest - refuse to start without usable keys
+try {
+    const { loadEncryptionKeys } = require('./services/encryption');
+    const { currentVersion } = loadEncryptionKeys();
+    console.log(`🔐 Field encryption key version ${currentVersion}`);
+} catch (error) {
+    console.error('❌ Field encryption keys are invalid:', error.message);
+    process.exit(1);
+}
+
+// Account emails carry sign-in links - refuse to start without a mail
+// transport that delivers them (services/mail)
+try {
+    const { loadTransport, setMailTransport } = require('./services/mail');
+    setMailTransport(loadTransport());
+    console.log(`📧 Mail transport: ${process.env.MAIL_TRANSPORT || 'console'}`);
+} catch (error) {
+    console.error('❌ Mail transport is not usable:', error.message);
+    process.exit(1);
+}
+
 // Start server
 const PORT = process.env.PORT || 8080;
 
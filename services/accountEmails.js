@@ -0,0 +1,26 @@
+// Emails that carry a single-use account token (services/accountTokens)
+
+const { issueAccountToken } = require('./accountTokens');
+const { sendMail } = require('./mail');
+const { verificationEmail, passwordResetEmail, accountUnlockEmail } = require('./mail/messages');
+
+const sendVerificationEmail = async (user) => {
+    const { token, expiresInHours } = await issueAccountToken(user.id, 'email_verification');
+    await sendMail(verificationEmail(user, token, expiresInHours));
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const { token, expiresInHours } = await issueAccountToken(user.id, 'password_reset');
+    await sendMail(passwordResetEmail(user, token, expiresInHours));
+};
+
+const sendAccountUnlockEmail = async (user, lockMinutes) => {
+    const { token, expiresInHours } = await issueAccountToken(user.id, 'account_unlock');
+    await sendMail(accountUnlockEmail(user, token, expiresInHours, lockMinutes));
+};
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountUnlockEmail
+};
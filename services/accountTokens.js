@@ -0,0 +1,57 @@
+// Single-use tokens sent by email (models/AccountToken). The raw token only
+// ever exists in the email; we keep its SHA-256 hash. Issuing a new token
+// cancels any earlier unused one for the same purpose.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { AccountToken } = require('../database');
+
+// Purpose -> lifetime in hours
+const PURPOSES = {
+    email_verification: 24,
+    password_reset: 1,
+    account_unlock: 24
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for userId. Resolves to { token, expiresInHours }.
+const issueAccountToken = async (userId, purpose) => {
+    const expiresInHours = PURPOSES[purpose];
+    if (!expiresInHours) throw new Error(`Unknown account token purpose: ${purpose}`);
+
+    await AccountToken.update(
+        { usedAt: new Date() },
+        { where: { userId, purpose, usedAt: null } }
+    );
+    await AccountToken.destroy({ where: { userId, expiresAt: { [Op.lt]: new Date() } } });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await AccountToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+
+    return { token, expiresInHours };
+};
+
+// Use up a token. Resolves to the token record, or null when it is unknown,
+// expired, already used or for another purpose.
+const consumeAccountToken = async (token, purpose) => {
+    const record = await AccountToken.findOne({ where: { tokenHash: hashToken(token), purpose } });
+    if (!record) return null;
+
+    const [claimed] = await AccountToken.update(
+        { usedAt: new Date() },
+        { where: { id: record.id, usedAt: null, expiresAt: { [Op.gt]: new Date() } } }
+    );
+    return claimed ? record : null;
+};
+
+module.exports = {
+    PURPOSES,
+    issueAccountToken,
+    consumeAccountToken
+};
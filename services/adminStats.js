@@ -0,0 +1,89 @@
+// Aggregate numbers for the admin dashboard (GET /api/admin/stats)
+
+const { Op, fn, col } = require('sequelize');
+const { sequelize, User, TaxReturn, W2Form } = require('../database');
+
+const countBy = async (Model, field, where = {}) => {
+    const rows = await Model.findAll({
+        attributes: [field, [fn('COUNT', col('id')), 'count']],
+        where,
+        group: [field],
+        raw: true
+    });
+    return Object.fromEntries(rows.map(row => [row[field], Number(row.count)]));
+};
+
+// Per-day counts of rows created in the last `days` days, oldest first,
+// with empty days filled in
+const perDay = async (tableName, days, where = '') => {
+    const [rows] = await sequelize.query(`
+        SELECT to_char(day, 'YYYY-MM-DD') AS date, COUNT(t.*)::int AS count
+        FROM generate_series(current_date - (:days - 1) * interval '1 day', current_date, interval '1 day') AS day
+        LEFT JOIN ${tableName} t ON date_trunc('day', t."createdAt") = day ${where ? `AND ${where}` : ''}
+        GROUP BY day
+        ORDER BY day
+    `, { replacements: { days } });
+    return rows;
+};
+
+const adminStats = async ({ days }) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [
+        totalUsers,
+        verifiedUsers,
+        usersByRole,
+        signupsPerDay,
+        w2Uploads,
+        w2UploadsInPeriod,
+        w2UploadsPerDay,
+        extraction,
+        returnsByStatus,
+        returnsCompletedInPeriod,
+        returnsFinalized
+    ] = await Promise.all([
+        User.count(),
+        User.count({ where: { emailVerifiedAt: { [Op.ne]: null } } }),
+        countBy(User, 'role'),
+        perDay('"Users"', days),
+        W2Form.count({ where: { fileName: { [Op.ne]: null } } }),
+        W2Form.count({ where: { fileName: { [Op.ne]: null }, createdAt: { [Op.gte]: since } } }),
+        perDay('w2_forms', days, 't."fileName" IS NOT NULL'),
+        countBy(W2Form, 'extractionStatus'),
+        countBy(TaxReturn, 'status'),
+        TaxReturn.count({ where: { status: 'completed', completedAt: { [Op.gte]: since } } }),
+        TaxReturn.count({ where: { finalizedAt: { [Op.ne]: null } } })
+    ]);
+
+    // Of the W-2s extraction was tried on, how many it read
+    const extracted = extraction.extracted || 0;
+    const failed = extraction.failed || 0;
+
+    return {
+        periodDays: days,
+        users: {
+            total: totalUsers,
+            verified: verifiedUsers,
+            byRole: usersByRole,
+            signupsPerDay
+        },
+        w2Forms: {
+            uploads: w2Uploads,
+            uploadsInPeriod: w2UploadsInPeriod,
+            uploadsPerDay: w2UploadsPerDay,
+            extractionStatus: extraction,
+            extractionSuccessRate: extracted + failed > 0
+                ? Math.round(extracted / (extracted + failed) * 1000) / 10
+                : null
+        },
+        returns: {
+            byStatus: returnsByStatus,
+            completedInPeriod: returnsCompletedInPeriod,
+            finalized: returnsFinalized
+        }
+    };
+};
+
+module.exports = {
+    adminStats
+};
@@ -0,0 +1,50 @@
+// Writing to the audit trail (models/AuditLog)
+
+const { AuditLog } = require('../database');
+
+// Record an action taken in a request. userId defaults to the user whose
+// data the request works on; actorId is who made it - the same user, or a
+// preparer acting for them (middleware/auth).
+const recordAudit = (req, { action, userId, entityType = null, entityId = null, details = {} }) => AuditLog.create({
+    userId: userId || (req.user && req.user.userId) || null,
+    actorId: (req.user && (req.user.actorId || req.user.userId)) || null,
+    action,
+    entityType,
+    entityId: entityId === null ? null : String(entityId),
+    details,
+    ipAddress: req.ip || null,
+    userAgent: (req.get('user-agent') || '').slice(0, 512) || null
+});
+
+// Security log: events worth watching for attacks (lockouts, rate limits,
+// stolen tokens). Stored in the audit trail as security.<event> and echoed
+// to the server log for alerting.
+const recordSecurityEvent = async (req, event, { userId = null, details = {} } = {}) => {
+    console.warn(`🚨 Security event ${event}: ${JSON.stringify({ userId, ip: req.ip, ...details })}`);
+    return recordAudit(req, {
+        action: `security.${event}`,
+        userId,
+        details
+    });
+};
+
+// Generated documents print identifiers masked unless downloaded with
+// ?reveal=true, which middleware/documentReveal only lets through with a
+// reason. Records the reveal and returns true when one was asked for.
+const auditDocumentReveal = async (req, { document, entityType, entityId }) => {
+    if (req.query.reveal !== 'true') return false;
+
+    await recordAudit(req, {
+        action: 'identifier.reveal',
+        entityType,
+        entityId,
+        details: { document, reason: req.query.reason }
+    });
+    return true;
+};
+
+module.exports = {
+    recordAudit,
+    recordSecurityEvent,
+    auditDocumentReveal
+};
@@ -0,0 +1,190 @@
+// Field-level change history for taxpayer data (models/AuditLog).
+//
+// Models opt in with trackChanges(). Every create, update and destroy of one
+// of their rows then appends an audit entry listing each changed field with
+// its value before and after, along with who made the change, their IP and
+// the route - taken from the request being handled (services/requestContext).
+// Identifiers are stored masked, as in API responses, and fields such as
+// password hashes are noted as changed without their values.
+//
+// Bulk Model.update()/destroy() calls skip instance hooks, so tracked data
+// must be changed through instances to be recorded.
+
+const { Op } = require('sequelize');
+const { IDENTIFIER_KEYS, maskIdentifier } = require('./redaction');
+const { decryptStoredValue } = require('./encryption');
+const { currentRequest } = require('./requestContext');
+
+// Models call trackChanges() while database.js is still loading them, so
+// the models this needs are looked up when they're used rather than here
+const models = () => require('../database');
+
+const ALWAYS_IGNORED = ['createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const normalize = (value) => {
+    if (value === undefined) return null;
+    return value instanceof Date ? value.toISOString() : value;
+};
+
+// JSON with object keys sorted. JSONB doesn't keep key order, so values read
+// back from the database are compared in this form.
+const canonicalJson = (value) => JSON.stringify(value, (key, item) => (
+    isPlainObject(item)
+        ? Object.fromEntries(Object.keys(item).sort().map(itemKey => [itemKey, item[itemKey]]))
+        : item
+));
+
+const maskValue = (key, value) => {
+    if (!IDENTIFIER_KEYS.includes(key)) return value;
+    return Array.isArray(value) ? value.map(item => maskIdentifier(key, item)) : maskIdentifier(key, value);
+};
+
+// Differences between two values as [{ field, from, to }], descending into
+// objects so a JSON column yields one entry per changed key
+// ('data.wages'). Arrays are compared whole.
+const diffValues = (before, after, field) => {
+    if (isPlainObject(before) || isPlainObject(after)) {
+        const from = isPlainObject(before) ? before : {};
+        const to = isPlainObject(after) ? after : {};
+        const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+        return keys.flatMap(key => diffValues(from[key], to[key], `${field}.${key}`));
+    }
+
+    const from = normalize(before);
+    const to = normalize(after);
+    if (canonicalJson(from) === canonicalJson(to)) return [];
+
+    const key = field.split('.').pop();
+    return [{ field, from: maskValue(key, from), to: maskValue(key, to) }];
+};
+
+const instanceChanges = (instance, fields, before, after, { omitValues }) => fields.flatMap(field => {
+    const from = before(field);
+    const to = after(field);
+    if (omitValues.includes(field)) {
+        return canonicalJson(normalize(from)) === canonicalJson(normalize(to)) ? [] : [{ field, valueOmitted: true }];
+    }
+    return diffValues(from, to, field);
+});
+
+// Where a change came from: 'PUT /api/dashboard/w2-forms/:id'
+const routeOf = (req) => {
+    if (!req) return null;
+    const path = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+    return `${req.method} ${path}`;
+};
+
+const writeEntry = async (Model, instance, event, changes, settings, options) => {
+    if (!changes.length) return;
+
+    const req = currentRequest();
+    await models().AuditLog.create({
+        userId: settings.userId(instance),
+        actorId: req && req.user ? req.user.actorId || req.user.userId : null,
+        action: `${settings.entity}.${event}`,
+        entityType: Model.name,
+        entityId: String(instance.id),
+        changes,
+        route: routeOf(req),
+        ipAddress: req ? req.ip || null : null,
+        userAgent: req ? (req.get('user-agent') || '').slice(0, 512) || null : null
+    }, { transaction: options.transaction });
+};
+
+// Record every change to a model's rows.
+// - entity: action prefix, e.g. 'w2' gives 'w2.created', 'w2.updated', 'w2.deleted'
+// - userId: the user a row belongs to
+// - ignore: fields not worth recording (timestamps are always ignored)
+// - omitValues: fields recorded as changed without their values
+const trackChanges = (Model, { entity, userId, ignore = [], omitValues = [] }) => {
+    const settings = { entity, userId, omitValues };
+    const skipped = [...ALWAYS_IGNORED, ...ignore];
+    const trackedFields = () => Object.keys(Model.rawAttributes).filter(field => !skipped.includes(field));
+    const current = (instance) => (field) => instance.get(field);
+
+    Model.addHook('afterCreate', 'auditTrail', (instance, options) => writeEntry(
+        Model, instance, 'created',
+        instanceChanges(instance, trackedFields(), () => null, current(instance), settings),
+        settings, options
+    ));
+
+    Model.addHook('afterUpdate', 'auditTrail', (instance, options) => {
+        const changed = (instance.changed() || []).filter(field => !skipped.includes(field));
+        const previous = (field) => decryptStoredValue(Model.rawAttributes[field], instance.previous(field));
+        return writeEntry(
+            Model, instance, 'updated',
+            instanceChanges(instance, changed, previous, current(instance), settings),
+            settings, options
+        );
+    });
+
+    Model.addHook('afterDestroy', 'auditTrail', (instance, options) => writeEntry(
+        Model, instance, 'deleted',
+        instanceChanges(instance, trackedFields(), current(instance), () => null, settings),
+        settings, options
+    ));
+};
+
+// An audit entry as returned by the trail endpoints. actors maps actor ids
+// to who they are.
+const auditEntryResponse = (entry, actors) => ({
+    id: entry.id,
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    changes: entry.changes,
+    details: entry.details,
+    route: entry.route,
+    actor: entry.actorId ? actors.get(entry.actorId) || { id: entry.actorId } : null,
+    // Done by someone else, e.g. a preparer or support staff
+    byAnotherUser: Boolean(entry.actorId && entry.userId && entry.actorId !== entry.userId),
+    ipAddress: entry.ipAddress,
+    createdAt: entry.createdAt
+});
+
+// A page of a user's audit trail, newest first, naming who acted.
+// onlyChanges limits it to data changes (entries with a diff).
+const findAuditEntries = async ({ userId, entityType, onlyChanges = false, page = 1, limit = 50 }) => {
+    const where = { userId };
+    if (entityType) where.entityType = entityType;
+    if (onlyChanges) where.changes = { [Op.ne]: null };
+
+    const { AuditLog, User } = models();
+    const { count, rows } = await AuditLog.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+    });
+
+    const actorIds = [...new Set(rows.map(entry => entry.actorId).filter(Boolean))];
+    const actors = await User.findAll({
+        where: { id: actorIds },
+        attributes: ['id', 'email', 'firstName', 'lastName', 'role']
+    });
+    const actorsById = new Map(actors.map(actor => [actor.id, {
+        id: actor.id,
+        email: actor.email,
+        firstName: actor.firstName,
+        lastName: actor.lastName,
+        role: actor.role
+    }]));
+
+    return {
+        entries: rows.map(entry => auditEntryResponse(entry, actorsById)),
+        pagination: {
+            page,
+            limit,
+            total: count,
+            pages: Math.ceil(count / limit)
+        }
+    };
+};
+
+module.exports = {
+    diffValues,
+    trackChanges,
+    findAuditEntries
+};
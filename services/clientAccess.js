@@ -0,0 +1,89 @@
+// Delegated access for tax preparers (models/ClientAccess).
+//
+// A taxpayer invites a preparer by email, choosing which parts of their
+// return the preparer may work on. The invitation token is emailed and only
+// its hash kept; a preparer account signed in with the invited address
+// accepts it. From then on the preparer can send X-Client-Id with requests
+// to routes open to delegation (middleware/auth) for an included scope, and
+// acts on the client's data in their place.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ClientAccess } = require('../database');
+
+// Scope -> what it covers
+const SCOPES = {
+    w2: 'W-2 forms and wage data',
+    1098: 'Form 1098 mortgage interest',
+    dependents: 'Dependents'
+};
+
+const INVITATION_TTL_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create an invitation, or refresh a pending one for the same email.
+// Resolves to { grant, token }, or { error } when the preparer already has
+// access.
+const invitePreparer = async (clientId, email, scopes) => {
+    const inviteEmail = email.toLowerCase();
+    const existing = await ClientAccess.findOne({
+        where: { clientId, inviteEmail, status: ['pending', 'active'] }
+    });
+    if (existing && existing.status === 'active') {
+        return { error: 'This preparer already has access; change their scopes instead' };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = {
+        scopes,
+        inviteTokenHash: hashToken(token),
+        inviteExpiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    };
+
+    const grant = existing
+        ? await existing.update(invitation)
+        : await ClientAccess.create({ clientId, inviteEmail, ...invitation });
+    return { grant, token };
+};
+
+// Accept an invitation as the signed-in preparer. Resolves to the grant, or
+// null when the token is unknown, expired, already used or addressed to
+// someone else.
+const acceptInvitation = async (token, preparer) => {
+    const grant = await ClientAccess.findOne({
+        where: {
+            inviteTokenHash: hashToken(token),
+            status: 'pending',
+            inviteExpiresAt: { [Op.gt]: new Date() }
+        }
+    });
+    if (!grant || grant.inviteEmail !== preparer.email.toLowerCase()) return null;
+    if (grant.clientId === preparer.id) return null;
+
+    const [claimed] = await ClientAccess.update(
+        { status: 'active', preparerId: preparer.id, acceptedAt: new Date(), inviteTokenHash: null },
+        { where: { id: grant.id, status: 'pending' } }
+    );
+    return claimed ? grant.reload() : null;
+};
+
+// The preparer's active grant for a client, or null
+const findActiveGrant = (preparerId, clientId) => ClientAccess.findOne({
+    where: { preparerId, clientId, status: 'active' }
+});
+
+const revokeGrant = (grant) => grant.update({
+    status: 'revoked',
+    revokedAt: new Date(),
+    inviteTokenHash: null
+});
+
+module.exports = {
+    SCOPES,
+    INVITATION_TTL_DAYS,
+    invitePreparer,
+    acceptInvitation,
+    findActiveGrant,
+    revokeGrant
+};
@@ -0,0 +1,159 @@
+// Dependents as the API accepts and returns them: the relationships a
+// dependent can have to the taxpayer, and a rule for every field.
+//
+// The fields beyond name, relationship, SSN and birth date are what the
+// dependency tests turn on: monthsLivedWithTaxpayer (residency),
+// fullTimeStudent and permanentlyDisabled (age exceptions), grossIncome
+// (income test), supportProvidedPercent - the share of the dependent's
+// total support for the year that the taxpayer paid - and providedOwnSupport
+// (support tests) and filedJointReturn (joint return test). The tests
+// themselves are in services/tax/dependents.
+
+const { body } = require('express-validator');
+const {
+    amountRule,
+    textRule,
+    checkboxRule,
+    ssnRule,
+    dateRule
+} = require('./formRules');
+const { blindIndex } = require('./encryption');
+
+const models = () => require('../database');
+
+// In the groups the IRS relationship tests use. Siblings, step-siblings and
+// half-siblings count like children for a qualifying child; parents,
+// grandparents, aunts, uncles and in-laws only for a qualifying relative.
+// 'other' is anyone else who lived with the taxpayer all year.
+const RELATIONSHIPS = [
+    'child',
+    'stepchild',
+    'foster-child',
+    'grandchild',
+    'sibling',
+    'half-sibling',
+    'step-sibling',
+    'niece-nephew',
+    'parent',
+    'stepparent',
+    'grandparent',
+    'aunt-uncle',
+    'in-law',
+    'other'
+];
+
+// As printed in the Form 1040 dependents section
+const RELATIONSHIP_LABELS = {
+    child: 'Child',
+    stepchild: 'Stepchild',
+    'foster-child': 'Foster child',
+    grandchild: 'Grandchild',
+    sibling: 'Sibling',
+    'half-sibling': 'Half sibling',
+    'step-sibling': 'Stepsibling',
+    'niece-nephew': 'Niece/nephew',
+    parent: 'Parent',
+    stepparent: 'Stepparent',
+    grandparent: 'Grandparent',
+    'aunt-uncle': 'Aunt/uncle',
+    'in-law': 'In-law',
+    other: 'Other'
+};
+
+const relationshipLabel = (relationship) => RELATIONSHIP_LABELS[relationship] || relationship || '';
+
+const wholeNumber = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Request body rules for adding a dependent, or with partial for editing one,
+// where every field is optional but name and relationship can't be cleared.
+// Follow them with onlyKnownFields().
+const dependentFieldRules = ({ partial = false } = {}) => [
+    textRule('name', { max: 100, required: !partial }),
+    ...(partial
+        ? [body('name').optional().custom(value => value !== null).withMessage('name cannot be cleared')]
+        : []),
+    (partial ? body('relationship').optional() : body('relationship'))
+        .isIn(RELATIONSHIPS)
+        .withMessage(`relationship must be one of: ${RELATIONSHIPS.join(', ')}`),
+    ssnRule('ssn'),
+    dateRule('birthDate'),
+    body('birthDate')
+        .optional({ values: 'null' })
+        .custom(value => typeof value !== 'string' || value <= today())
+        .withMessage('birthDate cannot be in the future'),
+    body('monthsLivedWithTaxpayer')
+        .optional({ values: 'null' })
+        .custom(wholeNumber(0, 12))
+        .withMessage('monthsLivedWithTaxpayer must be a whole number from 0 to 12'),
+    checkboxRule('fullTimeStudent'),
+    checkboxRule('permanentlyDisabled'),
+    amountRule('grossIncome'),
+    body('supportProvidedPercent')
+        .optional({ values: 'null' })
+        .custom(wholeNumber(0, 100))
+        .withMessage('supportProvidedPercent must be a whole number from 0 to 100'),
+    checkboxRule('providedOwnSupport'),
+    checkboxRule('filedJointReturn')
+];
+
+// Fields a request may set, in response order
+const DEPENDENT_FIELDS = [
+    'name',
+    'relationship',
+    'ssn',
+    'birthDate',
+    'monthsLivedWithTaxpayer',
+    'fullTimeStudent',
+    'permanentlyDisabled',
+    'grossIncome',
+    'supportProvidedPercent',
+    'providedOwnSupport',
+    'filedJointReturn'
+];
+
+// The dependent fields a request body sets
+const dependentChanges = (requestBody) => Object.fromEntries(DEPENDENT_FIELDS
+    .filter(field => requestBody[field] !== undefined)
+    .map(field => [field, requestBody[field]]));
+
+// Why an SSN can't be used for one of the user's dependents, or null. SSNs
+// are encrypted, so duplicates are found through the blind index. exceptId
+// is the dependent being edited.
+const ssnConflict = async (userId, ssn, exceptId = null) => {
+    const { Dependent, Spouse, User } = models();
+    const ssnIndex = blindIndex(ssn);
+    const [duplicates, user, spouse] = await Promise.all([
+        Dependent.findAll({ where: { userId, ssnBlindIndex: ssnIndex }, attributes: ['id'] }),
+        User.findByPk(userId, { attributes: ['id', 'ssnBlindIndex'] }),
+        Spouse.findOne({ where: { userId, ssnBlindIndex: ssnIndex }, attributes: ['id'] })
+    ]);
+    if (duplicates.some(duplicate => duplicate.id !== exceptId)) {
+        return 'A dependent with this SSN has already been added';
+    }
+    if (user && user.ssnBlindIndex === ssnIndex) {
+        return 'A dependent cannot have your own SSN';
+    }
+    if (spouse) {
+        return 'A dependent cannot have your spouse\'s SSN';
+    }
+    return null;
+};
+
+const dependentResponse = (dependent) => ({
+    id: dependent.id,
+    ...Object.fromEntries(DEPENDENT_FIELDS.map(field => [field, dependent[field] ?? null])),
+    createdAt: dependent.createdAt,
+    updatedAt: dependent.updatedAt
+});
+
+module.exports = {
+    RELATIONSHIPS,
+    DEPENDENT_FIELDS,
+    relationshipLabel,
+    dependentFieldRules,
+    dependentChanges,
+    ssnConflict,
+    dependentResponse
+};
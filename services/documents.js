@@ -0,0 +1,154 @@
+// The document library: every file a user uploads (models/Document), with
+// the name it was uploaded with, its size, type and SHA-256 hash. Files are
+// stored under a generated name in uploads/w2-forms or uploads/w9-forms,
+// by type; that name stays internal.
+//
+// A W-2 read from an uploaded file points at its document
+// (W2Form.documentId). Replacing the file keeps the W-2 and the data read
+// from the old file until it's extracted again; deleting the document keeps
+// the W-2 and the data read from it as if entered by hand, with no file
+// behind it.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { uploadsDir, w2UploadsDir } = require('../middleware/upload');
+
+// Models load this module while database.js is still loading them, so the
+// models it needs are looked up when they're used
+const models = () => require('../database');
+
+const DOCUMENT_TYPES = ['w2', 'w9'];
+
+const UPLOAD_DIRS = {
+    w2: w2UploadsDir,
+    w9: uploadsDir
+};
+
+const documentFilePath = (document) => path.join(UPLOAD_DIRS[document.type], path.basename(document.fileName));
+
+const fileHash = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Document fields describing a file stored by multer
+const fileDetails = async (file) => ({
+    fileName: file.filename,
+    originalName: file.originalname,
+    size: file.size,
+    mimeType: file.mimetype,
+    sha256: await fileHash(file.path),
+    uploadedAt: new Date()
+});
+
+// Delete a stored file, ignoring files already gone
+const removeFile = async (filePath) => {
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+// Record a file multer stored for a user
+const recordDocument = async ({ userId, type, taxYear = null, file }) => models().Document.create({
+    userId,
+    type,
+    taxYear,
+    ...await fileDetails(file)
+});
+
+// Keep the User's legacy upload flags pointing at their most recent W-2 and
+// W-9 uploads
+const syncUserUploadFlags = async (userId) => {
+    const { User, W2Form, Document } = models();
+    const [latestW2, latestW9] = await Promise.all([
+        W2Form.findOne({ where: { userId }, order: [['createdAt', 'DESC']] }),
+        Document.findOne({ where: { userId, type: 'w9' }, order: [['uploadedAt', 'DESC']] })
+    ]);
+
+    await User.update({
+        w2Uploaded: Boolean(latestW2),
+        w2UploadDate: latestW2 ? latestW2.uploadDate || latestW2.createdAt : null,
+        w2FileName: latestW2 ? latestW2.fileName : null,
+        w9Uploaded: Boolean(latestW9),
+        w9UploadDate: latestW9 ? latestW9.uploadedAt : null,
+        w9FileName: latestW9 ? latestW9.fileName : null
+    }, { where: { id: userId } });
+};
+
+const documentW2Forms = (document) => models().W2Form.findAll({ where: { documentId: document.id } });
+
+// Whether a W-2's file was replaced after its data was read from it, so it
+// needs extracting again before the return can be finalized
+const fileReplacedSinceExtraction = (form) => form.extractionStatus === 'extracted'
+    && Boolean(form.uploadDate && form.lastExtraction)
+    && new Date(form.uploadDate) > new Date(form.lastExtraction);
+
+// Swap a document's file for a newly uploaded one and delete the old file.
+// W-2s read from it keep their status and data, so they still count until
+// extracted again (fileReplacedSinceExtraction). Resolves to those W-2s.
+const replaceDocumentFile = async (document, file) => {
+    const previousPath = documentFilePath(document);
+    await document.update(await fileDetails(file));
+    await removeFile(previousPath);
+
+    const w2Forms = await documentW2Forms(document);
+    for (const form of w2Forms) {
+        await form.update({
+            fileName: document.fileName,
+            originalFileName: document.originalName,
+            uploadDate: document.uploadedAt
+        });
+    }
+    await syncUserUploadFlags(document.userId);
+    return w2Forms;
+};
+
+// Delete a document and its file. W-2s read from it lose their file and
+// are kept with their data as manual entries.
+const deleteDocument = async (document) => {
+    await removeFile(documentFilePath(document));
+
+    for (const form of await documentW2Forms(document)) {
+        await form.update({
+            documentId: null,
+            fileName: null,
+            originalFileName: null,
+            uploadDate: null,
+            extractionStatus: 'manual'
+        });
+    }
+    await document.destroy();
+    await syncUserUploadFlags(document.userId);
+};
+
+const documentResponse = (document, w2Forms = []) => ({
+    id: document.id,
+    type: document.type,
+    originalName: document.originalName,
+    size: document.size,
+    mimeType: document.mimeType,
+    sha256: document.sha256,
+    taxYear: document.taxYear,
+    uploadedAt: document.uploadedAt,
+    w2FormIds: w2Forms.map(form => form.id),
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+module.exports = {
+    DOCUMENT_TYPES,
+    documentFilePath,
+    recordDocument,
+    syncUserUploadFlags,
+    documentW2Forms,
+    fileReplacedSinceExtraction,
+    replaceDocumentFile,
+    deleteDocument,
+    documentResponse
+};
@@ -0,0 +1,215 @@
+// Application-level encryption for taxpayer identifiers (SSNs, EINs, account
+// numbers) so that a database dump on its own reveals none of them.
+//
+// Values are encrypted with AES-256-GCM and stored as
+//   enc:v<keyVersion>:<iv>:<authTag>:<ciphertext>
+// Every key ever used stays configured so old rows can still be read; new
+// writes always use the current version. Re-encrypting existing rows under
+// the current key is done with `npm run rotate-keys`.
+//
+// Ciphertexts are randomised, so lookups and duplicate checks use a blind
+// index instead: an HMAC of the normalised value under a separate key.
+//
+// Environment:
+//   FIELD_ENCRYPTION_KEYS         comma-separated <version>:<base64 32-byte key>
+//   FIELD_ENCRYPTION_KEY_VERSION  version to encrypt with (default: highest)
+//   BLIND_INDEX_KEY               base64 32-byte key for blind indexes
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+const GENERATE_KEY_HINT = 'Generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'base64\'))"';
+
+let keyring = null;
+
+const decodeKey = (name, encoded) => {
+    const key = Buffer.from(encoded || '', 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`${name} must be a base64-encoded ${KEY_LENGTH}-byte key. ${GENERATE_KEY_HINT}`);
+    }
+    return key;
+};
+
+// Read and check the keys from the environment. Throws when they're missing
+// or malformed. Called at startup; encryption loads them lazily otherwise.
+const loadEncryptionKeys = (env = process.env) => {
+    if (!env.FIELD_ENCRYPTION_KEYS) {
+        throw new Error(`FIELD_ENCRYPTION_KEYS is not set. ${GENERATE_KEY_HINT}`);
+    }
+    if (!env.BLIND_INDEX_KEY) {
+        throw new Error(`BLIND_INDEX_KEY is not set. ${GENERATE_KEY_HINT}`);
+    }
+
+    const keys = {};
+    env.FIELD_ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const match = entry.match(/^(\d+):(.+)$/);
+        if (!match) {
+            throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <version>:<base64 key>');
+        }
+        keys[Number(match[1])] = decodeKey(`Field encryption key version ${match[1]}`, match[2]);
+    });
+
+    const versions = Object.keys(keys).map(Number);
+    if (!versions.length) {
+        throw new Error(`FIELD_ENCRYPTION_KEYS has no keys. ${GENERATE_KEY_HINT}`);
+    }
+
+    const currentVersion = env.FIELD_ENCRYPTION_KEY_VERSION
+        ? Number(env.FIELD_ENCRYPTION_KEY_VERSION)
+        : Math.max(...versions);
+    if (!keys[currentVersion]) {
+        throw new Error(`FIELD_ENCRYPTION_KEY_VERSION ${env.FIELD_ENCRYPTION_KEY_VERSION} has no key in FIELD_ENCRYPTION_KEYS`);
+    }
+
+    keyring = {
+        keys,
+        currentVersion,
+        blindIndexKey: decodeKey('BLIND_INDEX_KEY', env.BLIND_INDEX_KEY)
+    };
+    return { currentVersion, versions: versions.sort((a, b) => a - b) };
+};
+
+const ensureKeys = () => {
+    if (!keyring) loadEncryptionKeys();
+    return keyring;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+
+const keyVersionOf = (value) => (isEncrypted(value) ? Number(value.split(':')[1].slice(1)) : null);
+
+// Encrypt a value for storage. null/undefined/'' pass through; values already
+// encrypted are stored as they are.
+const encrypt = (value) => {
+    if (value === null || value === undefined || value === '') return value;
+    if (isEncrypted(value)) return value;
+
+    const { keys, currentVersion } = ensureKeys();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys[currentVersion], iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return [
+        PREFIX,
+        `v${currentVersion}`,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        ciphertext.toString('base64')
+    ].join(':');
+};
+
+// Decrypt a stored value. Plaintext written before encryption was turned on
+// is returned unchanged until the rotation script encrypts it.
+const decrypt = (value) => {
+    if (!isEncrypted(value)) return value;
+
+    const { keys } = ensureKeys();
+    const [, version, iv, authTag, ciphertext] = value.split(':');
+    const key = keys[Number(version.slice(1))];
+    if (!key) {
+        throw new Error(`No field encryption key configured for ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// True when a stored value is plaintext or encrypted under an older key
+const needsReencryption = (value) => {
+    if (value === null || value === undefined || value === '') return false;
+    return keyVersionOf(value) !== ensureKeys().currentVersion;
+};
+
+// Deterministic lookup key for an identifier. Formatting is ignored, so
+// 123-45-6789 and 123456789 index the same.
+const blindIndex = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const normalized = String(value).replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+    return crypto.createHmac('sha256', ensureKeys().blindIndexKey).update(normalized).digest('hex');
+};
+
+// Paths inside a JSON value, e.g. 'form1098.borrowerSSN'
+const mapPaths = (object, paths, transform) => {
+    if (!object || typeof object !== 'object') return object;
+
+    const copy = { ...object };
+    paths.forEach(fieldPath => {
+        const [head, ...rest] = fieldPath.split('.');
+        if (copy[head] === undefined || copy[head] === null) return;
+        copy[head] = rest.length
+            ? mapPaths(copy[head], [rest.join('.')], transform)
+            : transform(copy[head]);
+    });
+    return copy;
+};
+
+const collectPaths = (object, paths) => paths.flatMap(fieldPath => {
+    const value = fieldPath.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), object);
+    return value === undefined ? [] : [value];
+});
+
+// Getter/setter pair for an encrypted STRING column. With blindIndex, the
+// named column is kept in step with the value.
+const encryptedField = (field, { blindIndex: indexField } = {}) => ({
+    encrypted: { paths: null, blindIndex: indexField || null },
+    get() {
+        return decrypt(this.getDataValue(field));
+    },
+    set(value) {
+        this.setDataValue(field, encrypt(value));
+        if (indexField) this.setDataValue(indexField, blindIndex(value));
+    }
+});
+
+// Getter/setter pair for a JSONB column holding identifiers at the given
+// paths. The rest of the object is stored as is.
+const encryptedJsonField = (field, paths) => ({
+    encrypted: { paths, blindIndex: null },
+    get() {
+        return mapPaths(this.getDataValue(field), paths, decrypt);
+    },
+    set(value) {
+        this.setDataValue(field, mapPaths(value, paths, encrypt));
+    }
+});
+
+// Decrypt a raw stored value of an attribute, e.g. one from
+// instance.previous(), which bypasses the getter
+const decryptStoredValue = (attribute, value) => {
+    if (!attribute || !attribute.encrypted) return value;
+    const { paths } = attribute.encrypted;
+    return paths ? mapPaths(value, paths, decrypt) : decrypt(value);
+};
+
+// Whether a model instance has any encrypted attribute stored in plaintext
+// or under an old key
+const staleEncryptedAttributes = (instance) => Object.entries(instance.constructor.rawAttributes)
+    .filter(([, attribute]) => attribute.encrypted)
+    .filter(([name, attribute]) => {
+        const stored = instance.getDataValue(name);
+        const { paths, blindIndex: indexField } = attribute.encrypted;
+
+        if (paths) return collectPaths(stored, paths).some(needsReencryption);
+        if (needsReencryption(stored)) return true;
+        return Boolean(indexField && stored && instance.getDataValue(indexField) !== blindIndex(decrypt(stored)));
+    })
+    .map(([name]) => name);
+
+module.exports = {
+    loadEncryptionKeys,
+    isEncrypted,
+    keyVersionOf,
+    encrypt,
+    decrypt,
+    needsReencryption,
+    blindIndex,
+    encryptedField,
+    encryptedJsonField,
+    decryptStoredValue,
+    staleEncryptedAttributes
+};
@@ -0,0 +1,98 @@
+// Form 1098 (Mortgage Interest Statement) as stored on a return's
+// deductions: a rule for every box a user may edit, and checks between them.
+//
+// Boxes: 1 mortgageInterestReceived, 2 outstandingMortgagePrincipal,
+// 3 mortgageOriginationDate, 4 refundOfOverpaidInterest,
+// 5 mortgageInsurancePremiums, 6 pointsPaid, 7 propertyAddressSameAsBorrower,
+// 8 propertyAddress, 9 numberOfProperties, 10 otherInformation,
+// 11 mortgageAcquisitionDate.
+//
+// borrower says whose 1098 it is, 'taxpayer' or 'spouse' (services/spouses);
+// generated ones are the taxpayer's.
+
+const { body } = require('express-validator');
+const {
+    amountRule,
+    textRule,
+    checkboxRule,
+    ssnRule,
+    einRule,
+    dateRule,
+    addressRules
+} = require('./formRules');
+const { OWNERS } = require('./spouses');
+
+const AMOUNT_FIELDS = [
+    'mortgageInterestReceived',
+    'outstandingMortgagePrincipal',
+    'refundOfOverpaidInterest',
+    'mortgageInsurancePremiums',
+    'pointsPaid'
+];
+
+// Request body rules for editing a 1098. Only fields listed here are
+// accepted; follow them with onlyKnownFields(). Generation details
+// (formYear, calculationBasis, dates) can't be edited.
+const form1098FieldRules = [
+    textRule('lenderName', { max: 200 }),
+    einRule('lenderTIN'),
+    ...addressRules('lenderAddress'),
+    body('borrower')
+        .optional()
+        .isIn(OWNERS)
+        .withMessage(`borrower must be one of: ${OWNERS.join(', ')}`),
+    textRule('borrowerName', { max: 200 }),
+    ssnRule('borrowerSSN'),
+    ...addressRules('borrowerAddress'),
+    textRule('accountNumber', { max: 30 }),
+    ...AMOUNT_FIELDS.map(field => amountRule(field)),
+    dateRule('mortgageOriginationDate'),
+    checkboxRule('propertyAddressSameAsBorrower'),
+    ...addressRules('propertyAddress'),
+    body('numberOfProperties')
+        .optional({ values: 'null' })
+        .custom(value => Number.isInteger(value) && value >= 1 && value <= 99)
+        .withMessage('numberOfProperties must be a whole number from 1 to 99'),
+    textRule('otherInformation', { max: 200 }),
+    dateRule('mortgageAcquisitionDate')
+];
+
+// Checks between boxes of complete 1098 data. Only checks involving an
+// edited field are run. Returns errors as { path, msg } so they line up
+// with express-validator's.
+const validate1098 = (data, edited) => {
+    const errors = [];
+    const error = (path, msg) => errors.push({ type: 'field', path, msg, location: 'body' });
+    const applies = (...fields) => fields.some(field => edited.includes(field));
+
+    if (data.mortgageOriginationDate && applies('mortgageOriginationDate')
+        && data.formYear && data.mortgageOriginationDate > `${data.formYear}-12-31`) {
+        error('mortgageOriginationDate', `The mortgage can't originate after the ${data.formYear} tax year`);
+    }
+
+    if (data.mortgageOriginationDate && data.mortgageAcquisitionDate
+        && applies('mortgageOriginationDate', 'mortgageAcquisitionDate')
+        && data.mortgageAcquisitionDate < data.mortgageOriginationDate) {
+        error('mortgageAcquisitionDate', 'The lender can\'t acquire the mortgage before it originated');
+    }
+
+    if (typeof data.pointsPaid === 'number' && typeof data.outstandingMortgagePrincipal === 'number'
+        && applies('pointsPaid', 'outstandingMortgagePrincipal')
+        && data.pointsPaid > data.outstandingMortgagePrincipal) {
+        error('pointsPaid', 'Points paid (box 6) can\'t be more than the mortgage principal (box 2)');
+    }
+
+    return errors;
+};
+
+// A generated 1098 is only an estimate from the user's wages
+// (calculationBasis), not the lender's figures, until the user edits it
+// (lastModified). Reverting to the generated version makes it one again.
+const isEstimated1098 = (data) => Boolean(data && data.calculationBasis && !data.lastModified);
+
+module.exports = {
+    AMOUNT_FIELDS,
+    isEstimated1098,
+    form1098FieldRules,
+    validate1098
+};
@@ -0,0 +1,133 @@
+// Validation rules for the kinds of values tax forms share: dollar amounts,
+// SSNs, EINs, addresses and check boxes. Each rule is an express-validator
+// chain for one field; a field that is left out is not changed, and null
+// clears it unless the field is required.
+
+const { body, checkExact, validationResult } = require('express-validator');
+
+const SSN_PATTERN = /^(?!000|666)\d{3}-(?!00)\d{2}-(?!0000)\d{4}$/;
+const EIN_PATTERN = /^\d{2}-\d{7}$/;
+
+// ITINs, issued to people who can't get an SSN, start with 9 and have a
+// middle group of 50-65, 70-88, 90-92 or 94-99. No SSN starts with 9.
+const ITIN_PATTERN = /^9\d{2}-(5\d|6[0-5]|7\d|8[0-8]|9[0-2]|9[4-9])-\d{4}$/;
+
+const isSSNOrITIN = (value) => typeof value === 'string'
+    && (value.startsWith('9') ? ITIN_PATTERN : SSN_PATTERN).test(value);
+
+// Employee copies of a W-2 may show only the last four digits of the SSN
+const TRUNCATED_SSN_PATTERN = /^XXX-XX-\d{4}$/;
+
+// Largest amount any box holds
+const MAX_AMOUNT = 999999999.99;
+
+// Format a 9-digit SSN/EIN the way the form prints it
+const formatSSN = (value) => {
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length === 9 ? `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}` : String(value);
+};
+
+const formatEIN = (value) => {
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length === 9 ? `${digits.slice(0, 2)}-${digits.slice(2)}` : String(value);
+};
+
+// A JSON number of dollars and cents: not negative, at most 2 decimal places.
+// Strings are refused so "1,000" or "12.5.0" never reach a calculation.
+const isAmount = (value) => typeof value === 'number'
+    && Number.isFinite(value)
+    && value >= 0
+    && value <= MAX_AMOUNT
+    && Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+
+const field = (path, required) => (required ? body(path) : body(path).optional({ values: 'null' }));
+
+// Messages name the field that failed, e.g. box12_codes[1].amount rather
+// than the box12_codes[*].amount rule
+const message = (text) => (value, { path }) => `${path} ${text}`;
+
+const amountRule = (path, { required = false } = {}) => field(path, required)
+    .custom(isAmount)
+    .withMessage(message('must be an amount in dollars and cents, e.g. 1234.56'));
+
+const textRule = (path, { max = 100, required = false } = {}) => field(path, required)
+    .isString()
+    .withMessage(message('must be text'))
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage(message('cannot be empty'))
+    .isLength({ max })
+    .withMessage(message(`must be at most ${max} characters`));
+
+const checkboxRule = (path) => body(path)
+    .optional()
+    .custom(value => typeof value === 'boolean')
+    .withMessage(message('must be true or false'));
+
+const ssnRule = (path, { allowTruncated = false } = {}) => field(path, false)
+    .isString()
+    .withMessage(message('must be text'))
+    .bail()
+    .customSanitizer(value => (allowTruncated && /^x/i.test(value) ? value.toUpperCase() : formatSSN(value)))
+    .custom(value => isSSNOrITIN(value) || (allowTruncated && TRUNCATED_SSN_PATTERN.test(value)))
+    .withMessage(message('must be a valid 9-digit SSN or ITIN (XXX-XX-XXXX)'));
+
+const einRule = (path) => field(path, false)
+    .isString()
+    .withMessage(message('must be text'))
+    .bail()
+    .customSanitizer(formatEIN)
+    .matches(EIN_PATTERN)
+    .withMessage(message('must be 9 digits (XX-XXXXXXX)'));
+
+// YYYY-MM-DD
+const dateRule = (path) => field(path, false)
+    .isISO8601({ strict: true, strictSeparator: true })
+    .withMessage(message('must be a date (YYYY-MM-DD)'))
+    .bail()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage(message('must be a date (YYYY-MM-DD)'));
+
+const addressRules = (path) => [
+    field(path, false).isObject().withMessage(message('must be an object')),
+    body(`${path}.street`).if(body(path).isObject()).isString().trim().notEmpty().withMessage('Street address is required'),
+    body(`${path}.city`).if(body(path).isObject()).isString().trim().notEmpty().withMessage('City is required'),
+    body(`${path}.state`).if(body(path).isObject()).isString().trim().toUpperCase().matches(/^[A-Z]{2}$/).withMessage('State must be a 2-letter code'),
+    body(`${path}.zip`).if(body(path).isObject()).isString().trim().matches(/^\d{5}(-\d{4})?$/).withMessage('ZIP code must be 5 or 9 digits')
+];
+
+// Refuse body fields no rule covers. Goes after a form's rules.
+const onlyKnownFields = () => checkExact([], { locations: ['body'], message: 'Unknown field' });
+
+// Validation errors, one per field so a form can mark each input. Unknown
+// fields are reported individually rather than as a single list.
+const fieldErrors = (req) => validationResult(req).array().flatMap(error => {
+    if (error.type !== 'unknown_fields') return [error];
+    return error.fields.map(unknown => ({
+        type: 'field',
+        path: unknown.path,
+        location: unknown.location,
+        value: unknown.value,
+        msg: `${unknown.path} is not a field of this form`
+    }));
+});
+
+module.exports = {
+    SSN_PATTERN,
+    EIN_PATTERN,
+    ITIN_PATTERN,
+    isSSNOrITIN,
+    formatSSN,
+    formatEIN,
+    isAmount,
+    amountRule,
+    textRule,
+    checkboxRule,
+    ssnRule,
+    einRule,
+    dateRule,
+    addressRules,
+    onlyKnownFields,
+    fieldErrors
+};
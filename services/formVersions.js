@@ -0,0 +1,141 @@
+// Version history of W-2 and 1098 data (models/FormVersion). Every change to
+// a form's data is kept as a new version labelled with where it came from,
+// so the original extraction survives later corrections, any two versions
+// can be compared and an earlier one restored.
+//
+// Sources:
+// - extracted: read from the uploaded W-2
+// - generated: a 1098 generated from the user's W-2s
+// - user-edited / preparer-edited: entered by the user, or by a preparer
+//   acting for them
+// - reverted: an earlier version restored (revertedFrom)
+
+const { diffValues } = require('./auditTrail');
+const { currentRequest } = require('./requestContext');
+
+const { FormVersion } = require('../database');
+
+// Bookkeeping that changes on every save and isn't compared
+const IGNORED_FIELDS = ['lastModified', 'extractionDate'];
+
+const w2Ref = (form) => ({ formType: 'w2', formId: form.id, userId: form.userId });
+const form1098Ref = (taxReturn) => ({ formType: '1098', formId: taxReturn.id, userId: taxReturn.userId });
+
+// Field-level differences between two versions' data:
+// [{ field: 'box1_wages', from: 50000, to: 52000 }]
+const diffData = (from, to) => {
+    const before = from || {};
+    const after = to || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !IGNORED_FIELDS.includes(field));
+    return fields.flatMap(field => diffValues(before[field], after[field], field));
+};
+
+// The source of an edit made through this request
+const editSource = (req) => (req.user.delegation ? 'preparer-edited' : 'user-edited');
+
+// Where a 1098 saved before versioning came from, to label it when its
+// history starts. Edits stamp lastModified on the data and generating
+// doesn't; who made an edit wasn't kept, so it's taken as the user's.
+const form1098BaselineSource = (data) => (data.lastModified ? 'user-edited' : 'generated');
+
+// Save data as a form's newest version. A form with no history yet starts it
+// with previous ({ data, source }) - what it held before this change - so
+// forms saved before versioning keep their original. Nothing is saved when
+// the data is the same as the newest version, unless it's a revert.
+const recordVersion = async (ref, data, source, { previous, revertedFrom = null } = {}) => {
+    const { formType, formId, userId } = ref;
+    const latest = await FormVersion.findOne({
+        where: { formType, formId },
+        order: [['version', 'DESC']]
+    });
+
+    const req = currentRequest();
+    const actorId = req && req.user ? req.user.actorId || req.user.userId : null;
+    let version = latest ? latest.version : 0;
+    let newest = latest;
+
+    if (!latest && previous && previous.data && Object.keys(previous.data).length) {
+        version += 1;
+        newest = await FormVersion.create({ userId, formType, formId, version, source: previous.source, data: previous.data });
+    }
+
+    if (newest && !revertedFrom && !diffData(newest.data, data).length) return newest;
+
+    return FormVersion.create({
+        userId,
+        formType,
+        formId,
+        version: version + 1,
+        source,
+        revertedFrom,
+        data,
+        actorId
+    });
+};
+
+const findVersions = ({ formType, formId }) => FormVersion.findAll({
+    where: { formType, formId },
+    order: [['version', 'ASC']]
+});
+
+const findVersion = ({ formType, formId }, version) => FormVersion.findOne({
+    where: { formType, formId, version }
+});
+
+// A form's versions, oldest first, each with the fields it changed
+const listVersions = async (ref) => {
+    const versions = await findVersions(ref);
+    return versions.map((version, index) => ({
+        version: version.version,
+        source: version.source,
+        revertedFrom: version.revertedFrom,
+        actorId: version.actorId,
+        createdAt: version.createdAt,
+        changedFields: index === 0
+            ? []
+            : [...new Set(diffData(versions[index - 1].data, version.data).map(change => change.field.split('.')[0]))]
+    }));
+};
+
+const versionResponse = (version) => ({
+    version: version.version,
+    source: version.source,
+    revertedFrom: version.revertedFrom,
+    actorId: version.actorId,
+    createdAt: version.createdAt,
+    data: version.data
+});
+
+// Differences from one version to another; to defaults to the newest.
+// Null when either version doesn't exist.
+const diffVersions = async (ref, from, to) => {
+    const fromVersion = await findVersion(ref, from);
+    const toVersion = to
+        ? await findVersion(ref, to)
+        : await FormVersion.findOne({ where: { formType: ref.formType, formId: ref.formId }, order: [['version', 'DESC']] });
+    if (!fromVersion || !toVersion) return null;
+
+    return {
+        from: fromVersion.version,
+        to: toVersion.version,
+        changes: diffData(fromVersion.data, toVersion.data)
+    };
+};
+
+// Remove a form's history along with the form
+const deleteVersions = ({ formType, formId }) => FormVersion.destroy({ where: { formType, formId } });
+
+module.exports = {
+    w2Ref,
+    form1098Ref,
+    diffData,
+    editSource,
+    form1098BaselineSource,
+    recordVersion,
+    findVersion,
+    listVersions,
+    versionResponse,
+    diffVersions,
+    deleteVersions
+};
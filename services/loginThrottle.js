@@ -0,0 +1,150 @@
+// Brute-force protection for login (models/LoginFailure).
+//
+// Failed logins are counted per account (by email, whether or not it
+// exists, so responses don't reveal which do) and per IP address. After a
+// few free attempts each failure doubles the wait before the next attempt is
+// allowed; at the lockout threshold the account or IP is blocked outright
+// for a while. A locked account is emailed a link that unlocks it at once.
+// Failures older than the window are forgotten, and a successful login
+// clears the account's count (never the IP's, so one working account can't
+// launder attempts against others).
+
+const { Op } = require('sequelize');
+const { sequelize, User, LoginFailure } = require('../database');
+const { recordSecurityEvent } = require('./audit');
+const { consumeAccountToken } = require('./accountTokens');
+const { sendAccountUnlockEmail } = require('./accountEmails');
+
+const POLICIES = {
+    account: { freeAttempts: 3, maxDelaySeconds: 15 * 60, lockAfter: 10, lockMinutes: 30 },
+    ip: { freeAttempts: 10, maxDelaySeconds: 5 * 60, lockAfter: 50, lockMinutes: 60 }
+};
+
+const FAILURE_WINDOW_HOURS = 24;
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Whether a login for email from ip may be attempted now. Resolves to null,
+// or { scope, locked, retryAfter } for the block that applies.
+const loginBlock = async (email, ip) => {
+    const rows = await LoginFailure.findAll({
+        where: {
+            key: [accountKey(email), ipKey(ip)],
+            blockedUntil: { [Op.gt]: new Date() }
+        }
+    });
+    if (!rows.length) return null;
+
+    // An account block outlasting an IP backoff is the one worth reporting
+    const row = rows.sort((a, b) => b.blockedUntil - a.blockedUntil)[0];
+    return {
+        scope: row.scope,
+        locked: Boolean(row.lockedAt),
+        retryAfter: secondsUntil(row.blockedUntil)
+    };
+};
+
+const countFailure = async (key, scope) => {
+    const now = new Date();
+    const [rows] = await sequelize.query(`
+        INSERT INTO login_failures (key, scope, failures, "lastFailureAt", "createdAt", "updatedAt")
+        VALUES (:key, :scope, 1, :now, :now, :now)
+        ON CONFLICT (key) DO UPDATE SET
+            failures = CASE WHEN login_failures."lastFailureAt" < :windowStart THEN 1 ELSE login_failures.failures + 1 END,
+            "lastFailureAt" = :now,
+            "updatedAt" = :now
+        RETURNING failures
+    `, {
+        replacements: {
+            key,
+            scope,
+            now,
+            windowStart: new Date(now.getTime() - FAILURE_WINDOW_HOURS * 60 * 60 * 1000)
+        }
+    });
+
+    const failures = rows[0].failures;
+    const policy = POLICIES[scope];
+
+    if (failures >= policy.lockAfter) {
+        const blockedUntil = new Date(now.getTime() + policy.lockMinutes * 60 * 1000);
+        await LoginFailure.update({ blockedUntil, lockedAt: now }, { where: { key } });
+        return { scope, failures, locked: true, blockedUntil };
+    }
+
+    if (failures > policy.freeAttempts) {
+        const delaySeconds = Math.min(2 ** (failures - policy.freeAttempts), policy.maxDelaySeconds);
+        const blockedUntil = new Date(now.getTime() + delaySeconds * 1000);
+        await LoginFailure.update({ blockedUntil }, { where: { key } });
+        return { scope, failures, locked: false, blockedUntil };
+    }
+
+    return { scope, failures, locked: false, blockedUntil: null };
+};
+
+// Count a failed login against both the account and the IP. Reaching a
+// lockout threshold goes in the security log, and an account that exists is
+// emailed an unlock link. Resolves to { account, ip }, each
+// { scope, failures, locked, blockedUntil }.
+const recordLoginFailure = async (email, req) => {
+    const account = await countFailure(accountKey(email), 'account');
+    const ip = await countFailure(ipKey(req.ip), 'ip');
+
+    if (account.locked && account.failures === POLICIES.account.lockAfter) {
+        const user = await User.findOne({ where: { email } });
+        await recordSecurityEvent(req, 'account_locked', {
+            userId: user ? user.id : null,
+            details: { email, failures: account.failures, lockedUntil: account.blockedUntil }
+        });
+        if (user) await sendAccountUnlockEmail(user, POLICIES.account.lockMinutes);
+    }
+
+    if (ip.locked && ip.failures === POLICIES.ip.lockAfter) {
+        await recordSecurityEvent(req, 'ip_blocked', {
+            details: { ip: req.ip, failures: ip.failures, blockedUntil: ip.blockedUntil }
+        });
+    }
+
+    return { account, ip };
+};
+
+// Forget an account's failures after a successful login, password reset or
+// unlock
+const clearAccountFailures = (email) => LoginFailure.destroy({ where: { key: accountKey(email) } });
+
+// Lift an account lockout with the token from the unlock email. Resolves to
+// the user, or null when the token is invalid or expired.
+const unlockAccount = async (token, req) => {
+    const record = await consumeAccountToken(token, 'account_unlock');
+    if (!record) return null;
+
+    const user = await User.findByPk(record.userId);
+    if (!user) return null;
+
+    await clearAccountFailures(user.email);
+    await recordSecurityEvent(req, 'account_unlocked', { userId: user.id });
+    return user;
+};
+
+// Resend the unlock email for a currently locked account
+const requestUnlockEmail = async (email) => {
+    const row = await LoginFailure.findOne({
+        where: { key: accountKey(email), lockedAt: { [Op.ne]: null }, blockedUntil: { [Op.gt]: new Date() } }
+    });
+    if (!row) return;
+
+    const user = await User.findOne({ where: { email } });
+    if (user) await sendAccountUnlockEmail(user, POLICIES.account.lockMinutes);
+};
+
+module.exports = {
+    POLICIES,
+    loginBlock,
+    recordLoginFailure,
+    clearAccountFailures,
+    unlockAccount,
+    requestUnlockEmail
+};
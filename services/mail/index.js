@@ -0,0 +1,71 @@
+// Outgoing email. Messages go through a transport chosen with MAIL_TRANSPORT:
+//   console (default)  print the message to the server log
+//   file               write each message as JSON to MAIL_OUTBOX_DIR, for
+//                      development and tests that need to read links back
+//   <path to module>   any module exporting send(message) => Promise, e.g. an
+//                      SMTP or provider API client
+//
+// console and file are stand-ins for development and tests: messages carry
+// password reset, verification and invitation links, which they'd leave in
+// the server log or on disk, and nobody would receive them. In production
+// (NODE_ENV=production) MAIL_TRANSPORT must name a module.
+//
+// A message is { to, subject, text }. MAIL_FROM sets the sender.
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+const FROM = process.env.MAIL_FROM || 'Tax Filing <no-reply@localhost>';
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+};
+
+const fileTransport = {
+    send: async (message) => {
+        await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        await fs.promises.writeFile(path.join(OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+    }
+};
+
+const BUILT_IN_TRANSPORTS = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+let transport = null;
+
+const loadTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+    if (BUILT_IN_TRANSPORTS[name]) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error(`The ${name} mail transport is for development and tests only. Set MAIL_TRANSPORT to a module that delivers mail.`);
+        }
+        return BUILT_IN_TRANSPORTS[name];
+    }
+
+    const custom = require(path.resolve(name));
+    if (!custom || typeof custom.send !== 'function') {
+        throw new Error(`Mail transport ${name} must export a send(message) function`);
+    }
+    return custom;
+};
+
+// Replace the transport, e.g. from a test
+const setMailTransport = (custom) => {
+    transport = custom;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    if (!transport) transport = loadTransport();
+    await transport.send({ from: FROM, to, subject, text, sentAt: new Date().toISOString() });
+};
+
+module.exports = {
+    sendMail,
+    setMailTransport,
+    loadTransport
+};
@@ -0,0 +1,71 @@
+// Account emails. Links point at the frontend (APP_URL), which posts the
+// token back to the matching /api/auth endpoint.
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const greeting = (user) => (user.firstName ? `Hi ${user.firstName},` : 'Hi,');
+
+const displayName = (user) => [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+
+const verificationEmail = (user, token, expiresInHours) => ({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+        greeting(user),
+        '',
+        'Please confirm this is your email address so you can upload your tax documents:',
+        `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+        '',
+        `The link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.`
+    ].join('\n')
+});
+
+const passwordResetEmail = (user, token, expiresInHours) => ({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+        greeting(user),
+        '',
+        'We received a request to reset your password. Choose a new one here:',
+        `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+        '',
+        `The link expires in ${expiresInHours} hour${expiresInHours === 1 ? '' : 's'} and can be used once. If you didn't ask for this, you can ignore this email; your password hasn't changed.`
+    ].join('\n')
+});
+
+const accountUnlockEmail = (user, token, expiresInHours, lockMinutes) => ({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: [
+        greeting(user),
+        '',
+        `There were too many failed attempts to sign in to your account, so we've locked it for ${lockMinutes} minutes.`,
+        'If that was you, you can unlock it now:',
+        `${APP_URL}/unlock-account?token=${encodeURIComponent(token)}`,
+        '',
+        `The link expires in ${expiresInHours} hours. If it wasn't you, someone may be guessing your password; consider resetting it.`
+    ].join('\n')
+});
+
+const preparerInvitationEmail = (client, inviteEmail, token, scopeNames, expiresInDays) => ({
+    to: inviteEmail,
+    subject: `${displayName(client)} invited you to prepare their taxes`,
+    text: [
+        'Hi,',
+        '',
+        `${displayName(client)} (${client.email}) has invited you to work on their tax return as their preparer, with access to:`,
+        ...scopeNames.map(name => `- ${name}`),
+        '',
+        'Sign in to your preparer account with this email address and accept the invitation:',
+        `${APP_URL}/accept-invitation?token=${encodeURIComponent(token)}`,
+        '',
+        `The invitation expires in ${expiresInDays} days. If you weren't expecting it, you can ignore this email.`
+    ].join('\n')
+});
+
+module.exports = {
+    verificationEmail,
+    passwordResetEmail,
+    accountUnlockEmail,
+    preparerInvitationEmail
+};
@@ -0,0 +1,215 @@
+// Versioned schema migrations. Each file in migrations/ changes the schema by
+// one step (up) and can undo it (down); the schema_migrations table records
+// which have been applied. They run in file name order, each in its own
+// transaction, so a migration that fails leaves nothing half done.
+//
+// The server won't start while any are pending (connectDB); apply them with
+// `npm run migrate`.
+//
+// A migration exports up and down, each called with { schema, DataTypes }.
+// schema (schemaHelpers below) runs inside the migration's transaction. Its
+// helpers skip work that is already done, because databases created before
+// migrations existed were built by sequelize.sync and may already have any
+// part of a change.
+
+const fs = require('fs');
+const path = require('path');
+const { DataTypes, QueryTypes, Utils } = require('sequelize');
+
+const { sequelize } = require('../database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE = /^\d{3}-[a-z0-9-]+\.js$/;
+
+// Advisory lock held while migrating, so two deploys starting together
+// don't apply the same migration twice
+const MIGRATION_LOCK = 7250201;
+
+// Migration names (file names without .js), oldest first
+const migrationNames = () => fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => file.replace(/\.js$/, ''));
+
+const loadMigration = (name) => require(path.join(MIGRATIONS_DIR, `${name}.js`));
+
+const queryInterface = () => sequelize.getQueryInterface();
+
+const migrationsTableExists = () => queryInterface().tableExists(MIGRATIONS_TABLE);
+
+const ensureMigrationsTable = () => sequelize.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        name VARCHAR(255) PRIMARY KEY,
+        "appliedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+    )
+`);
+
+// { name: appliedAt } for every applied migration
+const appliedMigrations = async (options = {}) => {
+    if (!options.transaction && !(await migrationsTableExists())) return {};
+    const rows = await sequelize.query(`SELECT name, "appliedAt" FROM ${MIGRATIONS_TABLE}`, {
+        type: QueryTypes.SELECT,
+        ...options
+    });
+    return Object.fromEntries(rows.map(row => [row.name, row.appliedAt]));
+};
+
+const pendingMigrations = async () => {
+    const applied = await appliedMigrations();
+    return migrationNames().filter(name => !applied[name]);
+};
+
+// Every migration known here or recorded in the database, oldest first, as
+// { name, appliedAt }. appliedAt is null for pending ones; missing is set for
+// applied migrations this code doesn't have (a newer deploy applied them).
+const migrationStatus = async () => {
+    const applied = await appliedMigrations();
+    const names = migrationNames();
+    return [...new Set([...names, ...Object.keys(applied)])].sort().map(name => ({
+        name,
+        appliedAt: applied[name] || null,
+        missing: !names.includes(name)
+    }));
+};
+
+// Schema changes for one migration, run in its transaction
+const schemaHelpers = (transaction) => {
+    const qi = queryInterface();
+    const query = (sql, options = {}) => sequelize.query(sql, { ...options, transaction });
+    const select = (sql, replacements = {}) => query(sql, { replacements, type: QueryTypes.SELECT });
+
+    const tableExists = (table) => qi.tableExists(table, { transaction });
+
+    const columnNames = async (table) => Object.keys(await qi.describeTable(table, { transaction }));
+
+    const indexExists = async (name) => {
+        const rows = await select('SELECT 1 FROM pg_indexes WHERE schemaname = current_schema() AND indexname = :name', { name });
+        return rows.length > 0;
+    };
+
+    // Add the columns a table doesn't have yet
+    const addColumns = async (table, columns) => {
+        const existing = await columnNames(table);
+        for (const [name, attribute] of Object.entries(columns)) {
+            if (!existing.includes(name)) {
+                await qi.addColumn(table, name, attribute, { transaction });
+            }
+        }
+    };
+
+    // Drop columns, and the enum types Sequelize created for any of them
+    const removeColumns = async (table, names) => {
+        const existing = await columnNames(table);
+        for (const name of names) {
+            if (existing.includes(name)) {
+                await qi.removeColumn(table, name, { transaction });
+            }
+            await query(`DROP TYPE IF EXISTS "enum_${table}_${name}"`);
+        }
+    };
+
+    // Create a table, or add the columns an existing one lacks
+    const createTable = async (table, columns) => {
+        if (await tableExists(table)) {
+            await addColumns(table, columns);
+        } else {
+            await qi.createTable(table, columns, { transaction });
+        }
+    };
+
+    // Drop a table and its enum types
+    const dropTable = async (table) => {
+        await query(`DROP TABLE IF EXISTS "${table}"`);
+        const enums = await select('SELECT typname FROM pg_type WHERE typtype = \'e\' AND starts_with(typname, :prefix)', {
+            prefix: `enum_${table}_`
+        });
+        for (const { typname } of enums) {
+            await query(`DROP TYPE IF EXISTS "${typname}"`);
+        }
+    };
+
+    // Indexes are named the way Sequelize names a model's indexes
+    // (table_field_names) unless options.name is given
+    const indexName = (table, fields, options) => options.name || Utils.nameIndex({ fields }, table).name;
+
+    const addIndex = async (table, fields, options = {}) => {
+        const name = indexName(table, fields, options);
+        if (!(await indexExists(name))) {
+            await qi.addIndex(table, fields, { ...options, name, transaction });
+        }
+    };
+
+    const removeIndex = (table, fields, options = {}) => query(`DROP INDEX IF EXISTS "${indexName(table, fields, options)}"`);
+
+    return {
+        query,
+        select,
+        tableExists,
+        columnNames,
+        createTable,
+        dropTable,
+        addColumns,
+        removeColumns,
+        addIndex,
+        removeIndex
+    };
+};
+
+// Run one migration's up or down and record it, inside a transaction holding
+// the migration lock. Returns false when another run got there first.
+const runMigration = (name, direction) => sequelize.transaction(async (transaction) => {
+    await sequelize.query('SELECT pg_advisory_xact_lock(:lock)', {
+        replacements: { lock: MIGRATION_LOCK },
+        transaction
+    });
+
+    const applied = await appliedMigrations({ transaction });
+    if (direction === 'up' ? applied[name] : !applied[name]) return false;
+
+    const migration = loadMigration(name);
+    await migration[direction]({ schema: schemaHelpers(transaction), DataTypes });
+
+    await sequelize.query(direction === 'up'
+        ? `INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (:name)`
+        : `DELETE FROM ${MIGRATIONS_TABLE} WHERE name = :name`, {
+        replacements: { name },
+        transaction
+    });
+    return true;
+});
+
+// Apply every pending migration in order. Returns the names applied.
+const migrate = async ({ onApplied = () => {} } = {}) => {
+    await ensureMigrationsTable();
+    const applied = [];
+    for (const name of await pendingMigrations()) {
+        if (await runMigration(name, 'up')) {
+            applied.push(name);
+            onApplied(name);
+        }
+    }
+    return applied;
+};
+
+// Undo the most recently applied migration. Returns its name, or null when
+// none are applied.
+const rollback = async () => {
+    const applied = await appliedMigrations();
+    const [last] = Object.keys(applied).sort().reverse();
+    if (!last) return null;
+    if (!migrationNames().includes(last)) {
+        throw new Error(`Migration ${last} was applied but isn't in migrations/; deploy the code that has it to roll it back`);
+    }
+    await runMigration(last, 'down');
+    return last;
+};
+
+module.exports = {
+    MIGRATIONS_DIR,
+    migrationNames,
+    pendingMigrations,
+    migrationStatus,
+    migrate,
+    rollback
+};
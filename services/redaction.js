@@ -0,0 +1,97 @@
+// Masking of taxpayer identifiers in everything the API hands out. SSNs, EINs
+// and account numbers are shown as their last four characters; the full
+// value is only available through the audited reveal endpoint.
+//
+// Identifiers are recognised by key wherever they appear in a payload, so
+// new routes are covered without extra work. Payer identifiers that are
+// public (employer EIN, lender TIN) are left as they are. Blind indexes
+// (services/encryption) are internal and never leave the server.
+
+const SSN_KEYS = ['ssn', 'employeeSSN', 'borrowerSSN', 'spouseSSN'];
+const EIN_KEYS = ['ein'];
+const ACCOUNT_KEYS = ['accountNumber', 'accountNumbers'];
+
+const IDENTIFIER_KEYS = [...SSN_KEYS, ...EIN_KEYS, ...ACCOUNT_KEYS];
+
+const MASK = '*';
+
+const isBlindIndexKey = (key) => key.endsWith('BlindIndex');
+
+const lastFour = (value) => String(value).replace(/[^0-9A-Za-z]/g, '').slice(-4);
+
+const isMasked = (value) => typeof value === 'string' && value.includes(MASK);
+
+// ***-**-6789
+const maskSSN = (value) => {
+    if (!value || isMasked(value)) return value;
+    return `${MASK.repeat(3)}-${MASK.repeat(2)}-${lastFour(value)}`;
+};
+
+// **-***6789
+const maskEIN = (value) => {
+    if (!value || isMasked(value)) return value;
+    return `${MASK.repeat(2)}-${MASK.repeat(3)}${lastFour(value)}`;
+};
+
+// ****8877
+const maskAccountNumber = (value) => {
+    if (!value || isMasked(value)) return value;
+    return `${MASK.repeat(4)}${lastFour(value)}`;
+};
+
+const maskIdentifier = (key, value) => {
+    if (typeof value !== 'string') return value;
+    if (SSN_KEYS.includes(key)) return maskSSN(value);
+    if (EIN_KEYS.includes(key)) return maskEIN(value);
+    if (ACCOUNT_KEYS.includes(key)) return maskAccountNumber(value);
+    return value;
+};
+
+// Deep copy of a response payload with every identifier masked and blind
+// indexes removed. Model instances are serialised first. Validation errors
+// echo the submitted value, so those are masked by the field they belong to.
+const redact = (value) => {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+    if (value instanceof Date || Buffer.isBuffer(value)) return value;
+    if (typeof value.toJSON === 'function') return redact(value.toJSON());
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+        if (isBlindIndexKey(key)) return;
+        copy[key] = IDENTIFIER_KEYS.includes(key) ? maskIdentifier(key, item) : redact(item);
+    });
+
+    if (IDENTIFIER_KEYS.includes(copy.path) && copy.value !== undefined) {
+        copy.value = maskIdentifier(copy.path, copy.value);
+    }
+    return copy;
+};
+
+// Drop masked identifiers from a request body. Clients that send back what
+// they were given would otherwise overwrite the stored value with its mask.
+const stripMaskedIdentifiers = (value) => {
+    if (Array.isArray(value)) {
+        value.forEach(stripMaskedIdentifiers);
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            if (IDENTIFIER_KEYS.includes(key) && isMasked(value[key])) {
+                delete value[key];
+            } else {
+                stripMaskedIdentifiers(value[key]);
+            }
+        });
+    }
+    return value;
+};
+
+module.exports = {
+    IDENTIFIER_KEYS,
+    isMasked,
+    maskSSN,
+    maskEIN,
+    maskAccountNumber,
+    maskIdentifier,
+    redact,
+    stripMaskedIdentifiers
+};
@@ -0,0 +1,21 @@
+// The request being handled, available anywhere down its async call chain
+// without passing req around. Used by code with no req of its own, such as
+// model hooks (services/auditTrail).
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Middleware: run the rest of the request inside its context
+const requestContext = (req, res, next) => storage.run({ req }, next);
+
+// The current request, or null outside one (scripts, startup)
+const currentRequest = () => {
+    const store = storage.getStore();
+    return store ? store.req : null;
+};
+
+module.exports = {
+    requestContext,
+    currentRequest
+};
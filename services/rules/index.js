@@ -0,0 +1,128 @@
+// Tax rule sets: the per-year parameters (brackets, deductions, credit
+// phase-outs, payroll and contribution limits) every calculation reads
+// instead of hard-coding numbers.
+//
+// Each rule set is a JSON file at rules/<taxYear>/v<version>.json. Corrections
+// are published as a new version rather than by editing a file in place, so a
+// stored calculation can always be traced back to the exact numbers it used.
+// The highest version for a year is the current one.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validateRuleSet } = require('./schema');
+
+const RULES_DIR = path.join(__dirname, '..', '..', 'rules');
+const FILE_PATTERN = /^v(\d+)\.json$/;
+
+// taxYear -> rule sets sorted by version
+let ruleSets = null;
+
+const deepFreeze = (value) => {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+};
+
+const readRuleSet = (filePath, taxYear, version, errors) => {
+    const where = path.relative(RULES_DIR, filePath);
+    const raw = fs.readFileSync(filePath);
+
+    let ruleSet;
+    try {
+        ruleSet = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+        errors.push(`${where}: invalid JSON (${error.message})`);
+        return null;
+    }
+
+    const problems = validateRuleSet(ruleSet);
+    if (ruleSet && ruleSet.taxYear !== taxYear) problems.push(`taxYear must be ${taxYear} to match its directory`);
+    if (ruleSet && ruleSet.version !== version) problems.push(`version must be ${version} to match its file name`);
+
+    if (problems.length) {
+        problems.forEach(problem => errors.push(`${where}: ${problem}`));
+        return null;
+    }
+
+    ruleSet.checksum = crypto.createHash('sha256').update(raw).digest('hex');
+    return deepFreeze(ruleSet);
+};
+
+// Load and validate every rule set. Throws listing all problems when any
+// file is invalid. Called at startup; lookups load lazily otherwise.
+const loadRules = (dir = RULES_DIR) => {
+    const loaded = {};
+    const errors = [];
+
+    const yearDirs = fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => /^\d{4}$/.test(name)) : [];
+
+    yearDirs.forEach(yearDir => {
+        const taxYear = Number(yearDir);
+        const files = fs.readdirSync(path.join(dir, yearDir)).filter(name => FILE_PATTERN.test(name));
+
+        files.forEach(file => {
+            const version = Number(file.match(FILE_PATTERN)[1]);
+            const ruleSet = readRuleSet(path.join(dir, yearDir, file), taxYear, version, errors);
+            if (ruleSet) {
+                loaded[taxYear] = loaded[taxYear] || [];
+                loaded[taxYear].push(ruleSet);
+            }
+        });
+    });
+
+    if (errors.length) {
+        const error = new Error(`Invalid tax rule sets:\n  ${errors.join('\n  ')}`);
+        error.ruleErrors = errors;
+        throw error;
+    }
+
+    if (!Object.keys(loaded).length) {
+        throw new Error(`No tax rule sets found in ${dir}`);
+    }
+
+    Object.values(loaded).forEach(list => list.sort((a, b) => a.version - b.version));
+    ruleSets = loaded;
+    return listRuleSets();
+};
+
+const ensureLoaded = () => {
+    if (!ruleSets) loadRules();
+    return ruleSets;
+};
+
+// A year's rule set - the given version or the current one. Null when there
+// is none.
+const getRuleSet = (taxYear, version) => {
+    const list = ensureLoaded()[taxYear];
+    if (!list) return null;
+    if (version === undefined || version === null) return list[list.length - 1];
+    return list.find(ruleSet => ruleSet.version === Number(version)) || null;
+};
+
+const supportedTaxYears = () => Object.keys(ensureLoaded()).map(Number).sort((a, b) => a - b);
+
+const listRuleSets = () => Object.entries(ensureLoaded()).flatMap(([, list]) => list.map((ruleSet, index) => ({
+    taxYear: ruleSet.taxYear,
+    version: ruleSet.version,
+    published: ruleSet.published,
+    current: index === list.length - 1,
+    checksum: ruleSet.checksum
+})));
+
+// What a calculation records about the rules it used
+const ruleSetCitation = (ruleSet) => ({
+    taxYear: ruleSet.taxYear,
+    version: ruleSet.version,
+    checksum: ruleSet.checksum
+});
+
+module.exports = {
+    loadRules,
+    getRuleSet,
+    supportedTaxYears,
+    listRuleSets,
+    ruleSetCitation
+};
@@ -0,0 +1,194 @@
+// Shape of a tax rule set file. Every rule set is checked against this when
+// it's loaded, so a typo in a data file stops the server at startup instead
+// of producing a wrong return later.
+
+const FILING_STATUSES = ['single', 'married-joint', 'married-separate', 'head-of-household', 'qualifying-widow'];
+
+// Leaf types
+const amount = { type: 'amount' };
+const rate = { type: 'rate' };
+const integer = { type: 'integer' };
+const byStatus = { type: 'byStatus' };
+const optional = (spec) => ({ ...spec, optional: true });
+
+const RULE_SET_SCHEMA = {
+    taxYear: integer,
+    version: integer,
+    published: { type: 'date' },
+    sources: { type: 'strings' },
+    standardDeduction: byStatus,
+    brackets: { type: 'brackets' },
+    taxTableLimit: amount,
+    childTaxCredit: {
+        perChild: amount,
+        perOtherDependent: amount,
+        refundablePerChild: amount,
+        maxChildAge: integer,
+        phaseoutThreshold: byStatus,
+        phaseoutStep: amount,
+        phaseoutPerStep: amount,
+        earnedIncomeThreshold: amount,
+        earnedIncomeRate: rate
+    },
+    itemized: {
+        medicalExpenseFloor: rate,
+        saltCap: byStatus,
+        saltCapPhaseout: optional({
+            rate,
+            threshold: byStatus,
+            floor: byStatus
+        })
+    },
+    payroll: {
+        socialSecurityRate: rate,
+        socialSecurityWageBase: amount,
+        medicareRate: rate,
+        additionalMedicareRate: rate,
+        additionalMedicareThreshold: byStatus
+    },
+    contributionLimits: {
+        electiveDeferral: amount,
+        electiveDeferralCatchUp: amount,
+        ira: amount,
+        iraCatchUp: amount,
+        hsaSelfOnly: amount,
+        hsaFamily: amount,
+        hsaCatchUp: amount
+    },
+    form1098Estimate: {
+        interestRate: rate,
+        maxMortgageInterest: amount,
+        mortgageInsuranceRate: rate,
+        principalToWagesRatio: amount
+    },
+    // Dependency tests (services/tax/dependents). Ages are the age a person
+    // must be under at the end of the year. Rule sets without this section
+    // keep the age-only Child Tax Credit split they were published with.
+    dependents: optional({
+        qualifyingChildAge: integer,
+        studentAge: integer,
+        qualifyingRelativeIncomeLimit: amount,
+        dependentCareAge: integer
+    })
+};
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isRate = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkBrackets = (value, at, errors) => {
+    if (!isPlainObject(value)) {
+        errors.push(`${at} must be an object of bracket lists by filing status`);
+        return;
+    }
+
+    FILING_STATUSES.forEach(status => {
+        const brackets = value[status];
+        const where = `${at}.${status}`;
+
+        if (!Array.isArray(brackets) || !brackets.length) {
+            errors.push(`${where} must be a non-empty list`);
+            return;
+        }
+
+        brackets.forEach((bracket, index) => {
+            const isLast = index === brackets.length - 1;
+            if (!isRate(bracket.rate)) errors.push(`${where}[${index}].rate must be between 0 and 1`);
+
+            if (isLast) {
+                if (bracket.upTo !== null) errors.push(`${where}[${index}].upTo must be null for the top bracket`);
+                return;
+            }
+
+            if (!isAmount(bracket.upTo)) {
+                errors.push(`${where}[${index}].upTo must be an amount`);
+            } else if (index > 0 && isAmount(brackets[index - 1].upTo) && bracket.upTo <= brackets[index - 1].upTo) {
+                errors.push(`${where}[${index}].upTo must be above the previous bracket`);
+            }
+            if (bracket.rate > brackets[index + 1].rate) {
+                errors.push(`${where}[${index}].rate must not be above the next bracket's rate`);
+            }
+        });
+    });
+
+    Object.keys(value).filter(key => !FILING_STATUSES.includes(key))
+        .forEach(key => errors.push(`${at}.${key} is not a filing status`));
+};
+
+const checkLeaf = (spec, value, at, errors) => {
+    switch (spec.type) {
+        case 'amount':
+            if (!isAmount(value)) errors.push(`${at} must be a non-negative number`);
+            break;
+        case 'rate':
+            if (!isRate(value)) errors.push(`${at} must be a rate between 0 and 1`);
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) errors.push(`${at} must be an integer`);
+            break;
+        case 'date':
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+                errors.push(`${at} must be a YYYY-MM-DD date`);
+            }
+            break;
+        case 'strings':
+            if (!Array.isArray(value) || !value.length || value.some(item => typeof item !== 'string' || !item)) {
+                errors.push(`${at} must be a non-empty list of strings`);
+            }
+            break;
+        case 'byStatus':
+            if (!isPlainObject(value)) {
+                errors.push(`${at} must be an object keyed by filing status`);
+                break;
+            }
+            FILING_STATUSES.forEach(status => {
+                if (!isAmount(value[status])) errors.push(`${at}.${status} must be a non-negative number`);
+            });
+            Object.keys(value).filter(key => !FILING_STATUSES.includes(key))
+                .forEach(key => errors.push(`${at}.${key} is not a filing status`));
+            break;
+        case 'brackets':
+            checkBrackets(value, at, errors);
+            break;
+        default:
+            errors.push(`${at} has an unknown schema type`);
+    }
+};
+
+const checkObject = (schema, value, at, errors) => {
+    if (!isPlainObject(value)) {
+        errors.push(`${at || 'rule set'} must be an object`);
+        return;
+    }
+
+    Object.entries(schema).forEach(([key, spec]) => {
+        const where = at ? `${at}.${key}` : key;
+
+        if (value[key] === undefined) {
+            if (!spec.optional) errors.push(`${where} is required`);
+            return;
+        }
+
+        if (spec.type) {
+            checkLeaf(spec, value[key], where, errors);
+        } else {
+            const { optional: _optional, ...children } = spec;
+            checkObject(children, value[key], where, errors);
+        }
+    });
+
+    Object.keys(value).filter(key => !(key in schema))
+        .forEach(key => errors.push(`${at ? `${at}.${key}` : key} is not a known rule`));
+};
+
+// List every problem with a parsed rule set; empty when it's valid
+const validateRuleSet = (ruleSet) => {
+    const errors = [];
+    checkObject(RULE_SET_SCHEMA, ruleSet, '', errors);
+    return errors;
+};
+
+module.exports = {
+    FILING_STATUSES,
+    validateRuleSet
+};
@@ -0,0 +1,124 @@
+// Sign-in sessions: short-lived access tokens (JWTs) plus rotating refresh
+// tokens kept server-side (models/RefreshToken).
+//
+// Login starts a token family. Every refresh marks the presented token used
+// and issues its replacement in the same family. Presenting a used token
+// again means two parties hold it, so the whole family is revoked and both
+// have to sign in again. Access tokens carry their family id (sid) and stop
+// working as soon as the family is revoked.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { RefreshToken, User } = require('../database');
+const { recordSecurityEvent } = require('./audit');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, familyId) => jwt.sign(
+    { userId: user.id, email: user.email, sid: familyId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const createRefreshToken = async (userId, familyId, req) => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const record = await RefreshToken.create({
+        userId,
+        familyId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        createdByIp: req.ip || null,
+        userAgent: (req.get('user-agent') || '').slice(0, 512) || null
+    });
+    return { token, record };
+};
+
+const sessionTokens = (user, familyId, refresh) => ({
+    token: signAccessToken(user, familyId),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.record.expiresAt
+});
+
+// Start a new session for a user who just signed in
+const startSession = async (user, req) => {
+    // Tokens past their expiry are useless; clear them out as we go
+    await RefreshToken.destroy({ where: { userId: user.id, expiresAt: { [Op.lt]: new Date() } } });
+
+    const familyId = crypto.randomUUID();
+    const refresh = await createRefreshToken(user.id, familyId, req);
+    return sessionTokens(user, familyId, refresh);
+};
+
+const revokeFamily = (familyId, reason) => RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { familyId, revokedAt: null } }
+);
+
+const revokeAllSessions = (userId, reason) => RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null } }
+);
+
+// Exchange a refresh token for a new access/refresh pair. Resolves to
+// { tokens } or { error } with a message safe to show.
+const refreshSession = async (token, req) => {
+    const record = await RefreshToken.findOne({ where: { tokenHash: hashToken(token) } });
+    if (!record) return { error: 'Invalid refresh token' };
+
+    if (record.revokedAt) return { error: 'Session has ended, please log in again' };
+
+    if (record.expiresAt < new Date()) return { error: 'Refresh token expired, please log in again' };
+
+    // Mark it used only if nobody else has - two refreshes racing with the
+    // same token are treated as reuse
+    const [claimed] = await RefreshToken.update(
+        { usedAt: new Date() },
+        { where: { id: record.id, usedAt: null, revokedAt: null } }
+    );
+
+    if (!claimed) {
+        await revokeFamily(record.familyId, 'reuse_detected');
+        await recordSecurityEvent(req, 'refresh_token_reuse', {
+            userId: record.userId,
+            details: { familyId: record.familyId }
+        });
+        return { error: 'Refresh token has already been used; all sessions from this login have been ended' };
+    }
+
+    const user = await User.findByPk(record.userId);
+    if (!user) {
+        await revokeFamily(record.familyId, 'user_missing');
+        return { error: 'User not found' };
+    }
+
+    const refresh = await createRefreshToken(user.id, record.familyId, req);
+    await record.update({ replacedById: refresh.record.id });
+
+    return { tokens: sessionTokens(user, record.familyId, refresh) };
+};
+
+// Whether the session an access token belongs to is still live
+const isSessionActive = async (familyId) => {
+    const live = await RefreshToken.count({
+        where: {
+            familyId,
+            revokedAt: null,
+            expiresAt: { [Op.gt]: new Date() }
+        }
+    });
+    return live > 0;
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    startSession,
+    refreshSession,
+    revokeFamily,
+    revokeAllSessions,
+    isSessionActive
+};
@@ -0,0 +1,168 @@
+// The spouse on a married user's return, and whose income documents are
+// whose. Each return has at most one spouse; a W-2 (owner) and the 1098
+// (borrower) are attributed to the taxpayer - the user - or the spouse.
+//
+// Only a joint return combines both people's income. Every other filing
+// status, married filing separately included, reports the taxpayer's
+// documents alone, but married filing separately still needs the spouse's
+// name and SSN.
+
+const { body } = require('express-validator');
+const { textRule, ssnRule, dateRule, SSN_PATTERN, ITIN_PATTERN } = require('./formRules');
+const { blindIndex } = require('./encryption');
+
+const models = () => require('../database');
+
+const OWNERS = ['taxpayer', 'spouse'];
+
+const MARRIED_STATUSES = ['married-joint', 'married-separate'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Whose documents a return filed with a filing status reports
+const incomeOwners = (filingStatus) => (filingStatus === 'married-joint' ? OWNERS : ['taxpayer']);
+
+// Request body rules for saving a return's spouse. Fields left out are
+// unchanged and null clears one, except the name, which can't be cleared
+// and is required to add the spouse (see missingNameErrors). Follow them
+// with onlyKnownFields().
+const spouseFieldRules = () => [
+    ...['firstName', 'lastName'].flatMap(field => [
+        textRule(field, { max: 100 }),
+        body(field).optional().custom(value => value !== null).withMessage(`${field} cannot be cleared`)
+    ]),
+    ssnRule('ssn'),
+    dateRule('birthDate'),
+    body('birthDate')
+        .optional({ values: 'null' })
+        .custom(value => typeof value !== 'string' || value <= today())
+        .withMessage('birthDate cannot be in the future'),
+    textRule('occupation', { max: 100 })
+];
+
+// Fields a request may set, in response order
+const SPOUSE_FIELDS = ['firstName', 'lastName', 'ssn', 'birthDate', 'occupation'];
+
+// The spouse fields a request body sets
+const spouseChanges = (requestBody) => Object.fromEntries(SPOUSE_FIELDS
+    .filter(field => requestBody[field] !== undefined)
+    .map(field => [field, requestBody[field]]));
+
+// Validation errors for a request adding a spouse without a name
+const missingNameErrors = (requestBody) => ['firstName', 'lastName']
+    .filter(field => requestBody[field] === undefined)
+    .map(field => ({ type: 'field', path: field, msg: `${field} is required`, location: 'body' }));
+
+const spouseName = (spouse) => [spouse.firstName, spouse.lastName].filter(Boolean).join(' ');
+
+// Why an SSN can't be the spouse's, or null
+const ssnConflict = async (userId, ssn) => {
+    const { Dependent, User } = models();
+    const ssnIndex = blindIndex(ssn);
+    const [dependent, user] = await Promise.all([
+        Dependent.findOne({ where: { userId, ssnBlindIndex: ssnIndex }, attributes: ['id'] }),
+        User.findByPk(userId, { attributes: ['id', 'ssnBlindIndex'] })
+    ]);
+    if (user && user.ssnBlindIndex === ssnIndex) {
+        return 'Your spouse cannot have your own SSN';
+    }
+    if (dependent) {
+        return 'This SSN belongs to one of your dependents';
+    }
+    return null;
+};
+
+// Why an SSN can't be the user's own, or null
+const taxpayerSsnConflict = async (userId, ssn) => {
+    const { Dependent, Spouse } = models();
+    const ssnIndex = blindIndex(ssn);
+    const [dependent, spouse] = await Promise.all([
+        Dependent.findOne({ where: { userId, ssnBlindIndex: ssnIndex }, attributes: ['id'] }),
+        Spouse.findOne({ where: { userId, ssnBlindIndex: ssnIndex }, attributes: ['id'] })
+    ]);
+    if (spouse) {
+        return 'This SSN belongs to your spouse';
+    }
+    if (dependent) {
+        return 'This SSN belongs to one of your dependents';
+    }
+    return null;
+};
+
+const findSpouse = (taxReturn) => models().Spouse.findOne({ where: { taxReturnId: taxReturn.id } });
+
+// Why a return can't be calculated with its filing status for lack of
+// spouse details, or null
+const spouseBlocker = (filingStatus, spouse) => {
+    if (!MARRIED_STATUSES.includes(filingStatus)) return null;
+    if (!spouse || !spouse.ssn) {
+        return 'Add your spouse\'s name and SSN to this return before calculating it as married filing '
+            + `${filingStatus === 'married-joint' ? 'jointly' : 'separately'}.`;
+    }
+    return null;
+};
+
+// Why a document's SSN doesn't fit the person it's attributed to, or null.
+// Only full SSNs and ITINs are compared; truncated ones (XXX-XX-1234) and
+// people whose SSN isn't entered pass.
+const ownerSSNMismatch = (owner, documentSSN, { taxpayerSSN, spouseSSN }) => {
+    if (typeof documentSSN !== 'string' || !(SSN_PATTERN.test(documentSSN) || ITIN_PATTERN.test(documentSSN))) return null;
+    const ownerSSN = owner === 'spouse' ? spouseSSN : taxpayerSSN;
+    const otherSSN = owner === 'spouse' ? taxpayerSSN : spouseSSN;
+    if (documentSSN === otherSSN) {
+        return owner === 'spouse'
+            ? 'The SSN is your own, but the document is attributed to your spouse'
+            : 'The SSN is your spouse\'s, but the document is attributed to you';
+    }
+    if (ownerSSN && documentSSN !== ownerSSN) {
+        return `The SSN doesn't match ${owner === 'spouse' ? 'your spouse\'s' : 'yours'}`;
+    }
+    return null;
+};
+
+// Validation errors for a document attributed to owner on the user's return
+// for taxYear: the spouse's documents need the spouse on that return, and
+// with checkSSN the SSN on the document (at ssnPath) must be the owner's
+const attributionErrors = async ({ userId, taxYear, owner, ownerPath, ssn, ssnPath, checkSSN = false }) => {
+    const { TaxReturn, User } = models();
+    const [user, taxReturn] = await Promise.all([
+        User.findByPk(userId, { attributes: ['id', 'ssn'] }),
+        TaxReturn.findOne({ where: { userId, taxYear } })
+    ]);
+    const spouse = taxReturn && await findSpouse(taxReturn);
+    const error = (path, msg) => [{ type: 'field', path, msg, location: 'body' }];
+
+    if (owner === 'spouse' && !spouse) {
+        return error(ownerPath, `Add your spouse to the ${taxYear} return before attributing documents to them`);
+    }
+    const mismatch = checkSSN && ownerSSNMismatch(owner, ssn, {
+        taxpayerSSN: user && user.ssn,
+        spouseSSN: spouse && spouse.ssn
+    });
+    return mismatch ? error(ssnPath, `${mismatch}. Check the SSN or ${ownerPath}.`) : [];
+};
+
+const spouseResponse = (spouse) => ({
+    id: spouse.id,
+    taxReturnId: spouse.taxReturnId,
+    ...Object.fromEntries(SPOUSE_FIELDS.map(field => [field, spouse[field] ?? null])),
+    createdAt: spouse.createdAt,
+    updatedAt: spouse.updatedAt
+});
+
+module.exports = {
+    OWNERS,
+    MARRIED_STATUSES,
+    SPOUSE_FIELDS,
+    incomeOwners,
+    spouseFieldRules,
+    spouseChanges,
+    missingNameErrors,
+    spouseName,
+    ssnConflict,
+    taxpayerSsnConflict,
+    findSpouse,
+    spouseBlocker,
+    attributionErrors,
+    spouseResponse
+};
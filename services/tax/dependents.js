@@ -0,0 +1,242 @@
+// Dependency tests (Publication 501): whether a dependent is the taxpayer's
+// qualifying child, qualifying relative or can't be claimed for a tax year,
+// and which credits they count toward. Every test that fails comes with a
+// plain-language reason the user can act on.
+//
+// Facts that haven't been entered fail the test that needs them, with a
+// reason asking for them. The tests about other people - whether someone
+// else can claim the dependent, the tie-breaker rules and the taxpayer's own
+// age - aren't checked.
+
+const { ITIN_PATTERN, SSN_PATTERN } = require('../formRules');
+const { relationshipLabel } = require('../dependents');
+
+// Relationships that can make a qualifying child. Every relationship except
+// 'other' can make a qualifying relative; 'other' only by living with the
+// taxpayer all year.
+const CHILD_RELATIONSHIPS = [
+    'child',
+    'stepchild',
+    'foster-child',
+    'grandchild',
+    'sibling',
+    'half-sibling',
+    'step-sibling',
+    'niece-nephew'
+];
+
+const STATUSES = ['qualifying_child', 'qualifying_relative', 'not_claimable'];
+
+const CREDITS = [
+    'child_tax_credit',
+    'other_dependent_credit',
+    'earned_income_credit',
+    'dependent_care_credit'
+];
+
+const MONTHS_IN_YEAR = 12;
+
+const money = (value) => `$${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+const months = (count) => `${count} month${count === 1 ? '' : 's'}`;
+
+// Age on December 31 of the tax year, or null when the birth date is unknown
+const ageAtYearEnd = (birthDate, taxYear) => {
+    if (!birthDate) return null;
+    const born = new Date(birthDate);
+    if (Number.isNaN(born.getTime())) return null;
+    return taxYear - born.getUTCFullYear();
+};
+
+const result = (test, reason) => ({ test, passed: !reason, reason: reason || null });
+
+const passedAll = (tests) => tests.every(test => test.passed);
+
+const firstReason = (tests) => (tests.find(test => !test.passed) || {}).reason;
+
+const relationshipTest = ({ name, relationship }) => result('relationship', !CHILD_RELATIONSHIPS.includes(relationship)
+    && `${relationship === 'other' ? `${name} isn't related to you` : `${name} is your ${relationshipLabel(relationship).toLowerCase()}`}. A qualifying child must be your child, stepchild, foster child, sibling, half or step sibling, or a descendant of one such as a grandchild, niece or nephew.`);
+
+const ageTest = ({ name, fullTimeStudent, permanentlyDisabled }, age, taxYear, rules) => {
+    if (age === null) return result('age', `Add ${name}'s date of birth so their age can be checked.`);
+    if (age < 0) return result('age', `${name} was born after ${taxYear}.`);
+    if (permanentlyDisabled || age < rules.qualifyingChildAge) return result('age');
+    if (fullTimeStudent && age < rules.studentAge) return result('age');
+
+    return result('age', fullTimeStudent
+        ? `${name} was ${age} at the end of ${taxYear}. A full-time student must be under ${rules.studentAge} to be a qualifying child, unless permanently and totally disabled.`
+        : `${name} was ${age} at the end of ${taxYear}. A qualifying child must be under ${rules.qualifyingChildAge}, under ${rules.studentAge} if a full-time student, or permanently and totally disabled.`);
+};
+
+// More than half the year. A child born during the year who lived with the
+// taxpayer the whole time since counts as having lived there all year.
+const residencyTest = ({ name, monthsLivedWithTaxpayer }, age, taxYear) => {
+    if (monthsLivedWithTaxpayer === null || monthsLivedWithTaxpayer === undefined) {
+        return result('residency', `Enter how many months ${name} lived with you in ${taxYear}.`);
+    }
+    if (age === 0 && monthsLivedWithTaxpayer > 0) return result('residency');
+
+    return result('residency', monthsLivedWithTaxpayer <= MONTHS_IN_YEAR / 2
+        && `${name} lived with you for ${months(monthsLivedWithTaxpayer)} of ${taxYear}. A qualifying child must live with you for more than half the year.`);
+};
+
+const ownSupportTest = ({ name, providedOwnSupport }) => result('support', providedOwnSupport
+    && `${name} paid for more than half of their own support, so they can't be your qualifying child.`);
+
+const jointReturnTest = ({ name, filedJointReturn }, taxYear) => result('joint_return', filedJointReturn
+    && `${name} filed a joint return for ${taxYear}. A dependent can't file a joint return, except only to claim a refund of withheld or estimated tax.`);
+
+// Only people who aren't related in one of the listed ways have to live with
+// the taxpayer all year
+const householdTest = ({ name, relationship, monthsLivedWithTaxpayer }, taxYear) => {
+    if (relationship !== 'other') return result('relationship');
+    if (monthsLivedWithTaxpayer === null || monthsLivedWithTaxpayer === undefined) {
+        return result('relationship', `Enter how many months ${name} lived with you in ${taxYear}. Someone not related to you must live with you all year to be your qualifying relative.`);
+    }
+
+    return result('relationship', monthsLivedWithTaxpayer < MONTHS_IN_YEAR
+        && `${name} isn't related to you and lived with you for ${months(monthsLivedWithTaxpayer)} of ${taxYear}. Someone not related to you must live with you all year to be your qualifying relative.`);
+};
+
+const grossIncomeTest = ({ name, grossIncome }, taxYear, rules) => {
+    if (grossIncome === null || grossIncome === undefined) {
+        return result('gross_income', `Enter ${name}'s gross income for ${taxYear}.`);
+    }
+
+    const limit = rules.qualifyingRelativeIncomeLimit;
+    return result('gross_income', grossIncome >= limit
+        && `${name}'s gross income of ${money(grossIncome)} isn't under the ${money(limit)} limit for ${taxYear}.`);
+};
+
+const supportTest = ({ name, supportProvidedPercent }) => {
+    if (supportProvidedPercent === null || supportProvidedPercent === undefined) {
+        return result('support', `Enter the share of ${name}'s support you provided.`);
+    }
+
+    return result('support', supportProvidedPercent <= 50
+        && `You provided ${supportProvidedPercent}% of ${name}'s support. You must provide more than half to claim a qualifying relative.`);
+};
+
+// How the dependent is identified: 'ssn', 'itin' or null
+const identification = (ssn) => {
+    if (typeof ssn !== 'string') return null;
+    if (ITIN_PATTERN.test(ssn)) return 'itin';
+    return SSN_PATTERN.test(ssn) ? 'ssn' : null;
+};
+
+const credit = (name, reason) => ({ credit: name, eligible: !reason, reason: reason || null });
+
+// Which credits the dependent counts toward. childTests are the qualifying
+// child tests; the Earned Income Credit uses all of them except support.
+const evaluateCredits = (dependent, { age, status, childTests, taxYear, ruleSet }) => {
+    const { name } = dependent;
+    const id = identification(dependent.ssn);
+    const claimable = status !== 'not_claimable';
+    const ctcAge = ruleSet.childTaxCredit.maxChildAge + 1;
+    const careAge = ruleSet.dependents.dependentCareAge;
+    const livedMoreThanHalfYear = dependent.monthsLivedWithTaxpayer > MONTHS_IN_YEAR / 2;
+
+    let childTaxCredit = null;
+    if (status !== 'qualifying_child') {
+        childTaxCredit = 'Only a qualifying child can get the Child Tax Credit.';
+    } else if (age >= ctcAge) {
+        childTaxCredit = `${name} was ${age} at the end of ${taxYear}. The Child Tax Credit is for children under ${ctcAge}.`;
+    } else if (id !== 'ssn') {
+        childTaxCredit = id === 'itin'
+            ? `${name} has an ITIN. The Child Tax Credit needs a Social Security number.`
+            : `Add ${name}'s Social Security number. The Child Tax Credit needs one.`;
+    }
+
+    let otherDependentCredit = null;
+    if (!claimable) {
+        otherDependentCredit = 'Only a qualifying child or qualifying relative can get the Credit for Other Dependents.';
+    } else if (!childTaxCredit) {
+        otherDependentCredit = `${name} gets the Child Tax Credit instead.`;
+    } else if (!id) {
+        otherDependentCredit = `Add ${name}'s SSN or ITIN. The Credit for Other Dependents needs one.`;
+    }
+
+    const earnedIncomeTests = childTests.filter(test => test.test !== 'support');
+    let earnedIncomeCredit = null;
+    if (!passedAll(earnedIncomeTests)) {
+        earnedIncomeCredit = `${name} isn't a qualifying child for the Earned Income Credit: ${firstReason(earnedIncomeTests)}`;
+    } else if (id !== 'ssn') {
+        earnedIncomeCredit = `A qualifying child needs a Social Security number for the Earned Income Credit${id === 'itin' ? `, and ${name} has an ITIN` : ''}.`;
+    }
+
+    // A child who turned 13 during the year counts for care before their
+    // birthday
+    const careQualifies = (status === 'qualifying_child' && age <= careAge)
+        || (claimable && dependent.permanentlyDisabled && livedMoreThanHalfYear);
+    const dependentCareCredit = !careQualifies
+        && `The Child and Dependent Care Credit is for care of a qualifying child under ${careAge}, or of a dependent who can't care for themselves and lived with you for more than half the year.`;
+
+    return [
+        credit('child_tax_credit', childTaxCredit),
+        credit('other_dependent_credit', otherDependentCredit),
+        credit('earned_income_credit', earnedIncomeCredit),
+        credit('dependent_care_credit', dependentCareCredit)
+    ];
+};
+
+// Run the dependency tests on a dependent for a rule set's tax year. The rule
+// set must have a dependents section. Returns { taxYear, age, status,
+// qualifyingChild, qualifyingRelative, credits }: status is one of STATUSES,
+// the two test groups are { passed, tests: [{ test, passed, reason }] }
+// (qualifyingRelative is null for a qualifying child, who can't also be one)
+// and credits is [{ credit, eligible, reason }] for each of CREDITS.
+const evaluateDependent = (dependent, ruleSet) => {
+    const { taxYear } = ruleSet;
+    const rules = ruleSet.dependents;
+    const age = ageAtYearEnd(dependent.birthDate, taxYear);
+
+    const childTests = [
+        relationshipTest(dependent),
+        ageTest(dependent, age, taxYear, rules),
+        residencyTest(dependent, age, taxYear),
+        ownSupportTest(dependent),
+        jointReturnTest(dependent, taxYear)
+    ];
+    const qualifyingChild = { passed: passedAll(childTests), tests: childTests };
+
+    let qualifyingRelative = null;
+    if (!qualifyingChild.passed) {
+        const relativeTests = [
+            householdTest(dependent, taxYear),
+            grossIncomeTest(dependent, taxYear, rules),
+            supportTest(dependent),
+            jointReturnTest(dependent, taxYear)
+        ];
+        if (age !== null && age < 0) relativeTests.unshift(result('age', `${dependent.name} was born after ${taxYear}.`));
+        qualifyingRelative = { passed: passedAll(relativeTests), tests: relativeTests };
+    }
+
+    let status = 'not_claimable';
+    if (qualifyingChild.passed) status = 'qualifying_child';
+    else if (qualifyingRelative.passed) status = 'qualifying_relative';
+
+    return {
+        taxYear,
+        age,
+        status,
+        qualifyingChild,
+        qualifyingRelative,
+        credits: evaluateCredits(dependent, { age, status, childTests, taxYear, ruleSet })
+    };
+};
+
+// Why a dependent can't be claimed: the reasons for every failed test, once
+// each (the joint return test is in both groups). Empty when they can be.
+const notClaimableReasons = (evaluation) => (evaluation.status === 'not_claimable'
+    ? [...new Set([evaluation.qualifyingChild, evaluation.qualifyingRelative]
+        .flatMap(group => group.tests.filter(test => !test.passed).map(test => test.reason)))]
+    : []);
+
+module.exports = {
+    CHILD_RELATIONSHIPS,
+    STATUSES,
+    CREDITS,
+    ageAtYearEnd,
+    evaluateDependent,
+    notClaimableReasons
+};
@@ -0,0 +1,203 @@
+// Filing status eligibility (Publication 501). The user answers a few
+// questions about their household for the tax year - saved on the return as
+// filingStatusAnswers - and their dependents supply the qualifying persons
+// head of household and qualifying surviving spouse need.
+//
+// Answers:
+//   maritalStatus         on December 31: 'unmarried' (never married,
+//                         divorced, or legally separated under a decree),
+//                         'married' or 'widowed' (and not remarried)
+//   spouseDeathYear       the year the spouse died, when widowed
+//   livedApartFromSpouse  married, but the spouse didn't live in the home
+//                         during the last 6 months of the year
+//   householdCostPercent  the share of the cost of keeping up the home for
+//                         the year the user paid, 0-100
+
+const { body } = require('express-validator');
+const { checkboxRule } = require('../formRules');
+const { FILING_STATUSES } = require('../rules/schema');
+const { evaluateDependent } = require('./dependents');
+
+const FILING_STATUS_LABELS = {
+    'single': 'Single',
+    'married-joint': 'Married filing jointly',
+    'married-separate': 'Married filing separately',
+    'head-of-household': 'Head of household',
+    'qualifying-widow': 'Qualifying surviving spouse'
+};
+
+const MARITAL_STATUSES = ['unmarried', 'married', 'widowed'];
+
+// Years a qualifying surviving spouse can file after the spouse's death
+const SURVIVING_SPOUSE_YEARS = 2;
+
+const MONTHS_IN_YEAR = 12;
+
+const wholeNumber = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+// Request body rules for the answers for the return's tax year
+// (req.params.taxYear). Follow them with onlyKnownFields().
+const filingStatusAnswerRules = () => [
+    body('maritalStatus')
+        .isIn(MARITAL_STATUSES)
+        .withMessage(`maritalStatus must be one of: ${MARITAL_STATUSES.join(', ')}`),
+    body('spouseDeathYear')
+        .if(body('maritalStatus').equals('widowed'))
+        .custom((value, { req }) => wholeNumber(1900, Number(req.params.taxYear))(value))
+        .withMessage('spouseDeathYear must be the year your spouse died, no later than the tax year'),
+    body('spouseDeathYear')
+        .if(body('maritalStatus').not().equals('widowed'))
+        .optional({ values: 'null' })
+        .custom(() => false)
+        .withMessage('spouseDeathYear only applies when maritalStatus is widowed'),
+    checkboxRule('livedApartFromSpouse'),
+    body('householdCostPercent')
+        .optional({ values: 'null' })
+        .custom(wholeNumber(0, 100))
+        .withMessage('householdCostPercent must be a whole number from 0 to 100')
+];
+
+// The answers a request body gives, with every field present
+const filingStatusAnswers = (requestBody) => ({
+    maritalStatus: requestBody.maritalStatus,
+    spouseDeathYear: requestBody.maritalStatus === 'widowed' ? requestBody.spouseDeathYear : null,
+    livedApartFromSpouse: requestBody.maritalStatus === 'married' && requestBody.livedApartFromSpouse === true,
+    householdCostPercent: requestBody.householdCostPercent ?? null
+});
+
+const livedAllYear = (dependent, age) => dependent.monthsLivedWithTaxpayer === MONTHS_IN_YEAR
+    || (age === 0 && dependent.monthsLivedWithTaxpayer > 0);
+
+// Which filing statuses each dependent can be the qualifying person for
+const qualifyingPerson = (dependent, ruleSet) => {
+    const evaluation = evaluateDependent(dependent, ruleSet);
+    const { status, age } = evaluation;
+    const livedMoreThanHalfYear = dependent.monthsLivedWithTaxpayer > MONTHS_IN_YEAR / 2;
+
+    // A qualifying relative other than a parent must be related and live
+    // with the taxpayer for more than half the year
+    const headOfHousehold = status === 'qualifying_child'
+        || (status === 'qualifying_relative' && dependent.relationship === 'parent')
+        || (status === 'qualifying_relative' && dependent.relationship !== 'other' && livedMoreThanHalfYear);
+
+    return {
+        id: dependent.id,
+        name: dependent.name,
+        relationship: dependent.relationship,
+        status,
+        headOfHousehold,
+        // Lets a married person living apart count as unmarried
+        marriedHeadOfHousehold: status === 'qualifying_child'
+            && ['child', 'stepchild', 'foster-child'].includes(dependent.relationship),
+        qualifyingSurvivingSpouse: status !== 'not_claimable'
+            && ['child', 'stepchild'].includes(dependent.relationship)
+            && livedAllYear(dependent, age)
+    };
+};
+
+const names = (people) => people.map(person => person.name).join(', ');
+
+const paidHousehold = (answers, taxYear) => {
+    if (answers.householdCostPercent === null || answers.householdCostPercent === undefined) {
+        return { ok: false, reason: `Tell us what share of the cost of keeping up your home you paid in ${taxYear}.` };
+    }
+    return answers.householdCostPercent > 50
+        ? { ok: true, reason: `You paid ${answers.householdCostPercent}% of the cost of keeping up your home.` }
+        : { ok: false, reason: `You paid ${answers.householdCostPercent}% of the cost of keeping up your home; you must pay more than half.` };
+};
+
+// Eligible when every check passes. The reasons are the passing checks for
+// an eligible status and the failing ones otherwise.
+const statusResult = (filingStatus, checks) => {
+    const eligible = checks.every(check => check.ok);
+    return {
+        filingStatus,
+        eligible,
+        reasons: checks.filter(check => check.ok === eligible).map(check => check.reason)
+    };
+};
+
+// Check every filing status against the answers and the claimed dependents.
+// ruleSet is the tax year's rule set (with a dependents section). Returns {
+// qualifyingPersons, statuses: [{ filingStatus, eligible, reasons }] }; for
+// an eligible status the reasons say why it applies, otherwise why it
+// doesn't.
+const evaluateFilingStatuses = ({ answers, dependents, ruleSet }) => {
+    const { taxYear } = ruleSet;
+    const { maritalStatus, spouseDeathYear, livedApartFromSpouse } = answers;
+    const persons = dependents.map(dependent => qualifyingPerson(dependent, ruleSet));
+
+    const diedThisYear = maritalStatus === 'widowed' && spouseDeathYear === taxYear;
+    const married = maritalStatus === 'married' || diedThisYear;
+
+    let maritalReason;
+    if (maritalStatus === 'married') {
+        maritalReason = `You were married on December 31, ${taxYear}.`;
+    } else if (diedThisYear) {
+        maritalReason = `Your spouse died in ${taxYear}, so you're considered married for the whole year.`;
+    } else if (maritalStatus === 'widowed') {
+        maritalReason = `Your spouse died in ${spouseDeathYear} and you hadn't remarried by the end of ${taxYear}.`;
+    } else {
+        maritalReason = `You weren't married on December 31, ${taxYear}.`;
+    }
+    const unmarried = { ok: !married, reason: maritalReason };
+    const isMarried = { ok: married, reason: maritalReason };
+
+    const household = paidHousehold(answers, taxYear);
+
+    // Head of household: unmarried, or married but living apart with their
+    // child, and keeping up a home for a qualifying person
+    const hohPersons = persons.filter(person => person.headOfHousehold);
+    const marriedHohPersons = persons.filter(person => person.marriedHeadOfHousehold);
+    let hohMarital = unmarried;
+    if (married) {
+        if (maritalStatus !== 'married' || !livedApartFromSpouse) {
+            hohMarital = { ok: false, reason: `${maritalReason} A married person can only file as head of household if their spouse didn't live in the home for the last 6 months of the year.` };
+        } else if (!marriedHohPersons.length) {
+            hohMarital = { ok: false, reason: 'You were married and lived apart from your spouse, but you need your child, stepchild or foster child as a qualifying child living with you to be considered unmarried.' };
+        } else {
+            hohMarital = { ok: true, reason: `You lived apart from your spouse for the last 6 months of ${taxYear} and kept up a home for ${names(marriedHohPersons)}, so you're considered unmarried.` };
+        }
+    }
+    const hohPerson = hohPersons.length
+        ? { ok: true, reason: `${names(hohPersons)} can be your qualifying person.` }
+        : { ok: false, reason: 'None of your dependents can be your qualifying person: that takes a qualifying child, your parent as a qualifying relative, or another related qualifying relative who lived with you for more than half the year.' };
+
+    // Qualifying surviving spouse: widowed in one of the two years before,
+    // keeping up a home for their child all year
+    const firstYear = taxYear - SURVIVING_SPOUSE_YEARS;
+    let widowed;
+    if (maritalStatus !== 'widowed') {
+        widowed = { ok: false, reason: `Only someone whose spouse died in ${firstYear} or ${taxYear - 1} and who hasn't remarried can file as a qualifying surviving spouse.` };
+    } else if (spouseDeathYear === taxYear) {
+        widowed = { ok: false, reason: `Your spouse died in ${taxYear}, so you can file jointly instead. Qualifying surviving spouse starts the year after.` };
+    } else if (spouseDeathYear < firstYear) {
+        widowed = { ok: false, reason: `Your spouse died in ${spouseDeathYear}. Qualifying surviving spouse only applies for the two years after the year of death.` };
+    } else {
+        widowed = { ok: true, reason: `Your spouse died in ${spouseDeathYear} and you hadn't remarried.` };
+    }
+    const qssPersons = persons.filter(person => person.qualifyingSurvivingSpouse);
+    const qssChild = qssPersons.length
+        ? { ok: true, reason: `${names(qssPersons)} lived with you all year and can be claimed as your dependent.` }
+        : { ok: false, reason: 'A qualifying surviving spouse needs a child or stepchild they can claim as a dependent who lived with them all year.' };
+
+    return {
+        qualifyingPersons: persons,
+        statuses: [
+            statusResult('single', [unmarried]),
+            statusResult('married-joint', [isMarried]),
+            statusResult('married-separate', [isMarried]),
+            statusResult('head-of-household', [hohMarital, household, hohPerson]),
+            statusResult('qualifying-widow', [widowed, household, qssChild])
+        ]
+    };
+};
+
+module.exports = {
+    FILING_STATUSES,
+    FILING_STATUS_LABELS,
+    MARITAL_STATUSES,
+    filingStatusAnswerRules,
+    filingStatusAnswers,
+    evaluateFilingStatuses
+};
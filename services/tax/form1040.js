@@ -0,0 +1,383 @@
+// Federal Form 1040 calculation for wage earners: W-2 income, the standard
+// or itemized deduction, bracket tax, the Child Tax Credit / Credit for Other
+// Dependents (Schedule 8812), Additional Medicare Tax (Form 8959) and W-2
+// withholding. Every amount is reported against the form line it belongs to
+// so the result can be displayed and checked line by line.
+//
+// Not covered yet: income other than W-2 wages, adjustments to income
+// (Schedule 1), the QBI deduction, AMT, the Earned Income Credit and other
+// credits. Those lines are reported as 0 and listed in warnings.
+
+const { getRuleSet, ruleSetCitation } = require('../rules');
+const { ageAtYearEnd, evaluateDependent, notClaimableReasons } = require('./dependents');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const percent = (rate) => `${round2(rate * 100)}%`;
+
+const positive = (value) => (typeof value === 'number' && value > 0 ? value : 0);
+
+// Tax on taxable income using the bracket formula (Tax Computation Worksheet)
+const bracketTax = (income, brackets) => {
+    let tax = 0;
+    let lower = 0;
+
+    for (const { upTo, rate } of brackets) {
+        const top = upTo === null ? income : Math.min(income, upTo);
+        if (top > lower) tax += (top - lower) * rate;
+        if (upTo === null || income <= upTo) break;
+        lower = upTo;
+    }
+
+    return tax;
+};
+
+// The Tax Table taxes the midpoint of the row the income falls in, rounded
+// to whole dollars. Rows are $5/$10 wide at the bottom, $25 wide up to
+// $3,000 and $50 wide after that.
+const taxTableRow = (income) => {
+    if (income < 5) return [0, 5];
+    if (income < 15) return [5, 15];
+    if (income < 25) return [15, 25];
+
+    const width = income < 3000 ? 25 : 50;
+    const low = Math.floor(income / width) * width;
+    return [low, low + width];
+};
+
+const computeTax = (taxableIncome, brackets, taxTableLimit) => {
+    if (taxableIncome <= 0) return { tax: 0, method: 'none' };
+
+    if (taxableIncome < taxTableLimit) {
+        const [low, high] = taxTableRow(taxableIncome);
+        return { tax: Math.round(bracketTax((low + high) / 2, brackets)), method: 'tax_table' };
+    }
+
+    return { tax: round2(bracketTax(taxableIncome, brackets)), method: 'tax_computation_worksheet' };
+};
+
+const marginalRate = (taxableIncome, brackets) => {
+    const bracket = brackets.find(({ upTo }) => upTo === null || taxableIncome <= upTo);
+    return bracket.rate;
+};
+
+// Split claimed dependents into qualifying children for the Child Tax Credit
+// and other dependents by age alone, as rule sets without a dependents
+// section did
+const classifyDependentsByAge = (dependents, taxYear, maxChildAge, warnings) => dependents.map(dependent => {
+    const age = ageAtYearEnd(dependent.birthDate, taxYear);
+
+    if (age === null) {
+        warnings.push(`${dependent.name} has no date of birth, so they were counted for the Credit for Other Dependents rather than the Child Tax Credit.`);
+        return { id: dependent.id, name: dependent.name, age, credit: 'other_dependent' };
+    }
+
+    return {
+        id: dependent.id,
+        name: dependent.name,
+        age,
+        credit: age <= maxChildAge ? 'child_tax_credit' : 'other_dependent'
+    };
+});
+
+// Split claimed dependents by the dependency tests: the Child Tax Credit, the
+// Credit for Other Dependents, or neither, which leaves them out with a
+// warning saying why
+const classifyDependents = (dependents, ruleSet, warnings) => {
+    if (!ruleSet.dependents) {
+        return classifyDependentsByAge(dependents, ruleSet.taxYear, ruleSet.childTaxCredit.maxChildAge, warnings);
+    }
+
+    return dependents.flatMap(dependent => {
+        const evaluation = evaluateDependent(dependent, ruleSet);
+        const creditResult = (name) => evaluation.credits.find(({ credit }) => credit === name);
+        const credit = ['child_tax_credit', 'other_dependent_credit'].find(name => creditResult(name).eligible);
+
+        if (!credit) {
+            const reasons = evaluation.status === 'not_claimable'
+                ? notClaimableReasons(evaluation)
+                : [creditResult('other_dependent_credit').reason];
+            warnings.push(`${dependent.name} was left out of the dependent credits. ${reasons.join(' ')}`);
+            return [];
+        }
+
+        return [{
+            id: dependent.id,
+            name: dependent.name,
+            age: evaluation.age,
+            status: evaluation.status,
+            credit: credit === 'child_tax_credit' ? credit : 'other_dependent'
+        }];
+    });
+};
+
+const scheduleA = ({ agi, filingStatus, deductions, itemizedRules }) => {
+    const itemized = deductions.itemized || {};
+    const form1098 = deductions.form1098 || {};
+
+    const medicalExpenses = positive(itemized.medicalExpenses);
+    const medicalFloor = round2(agi * itemizedRules.medicalExpenseFloor);
+    const medicalDeduction = round2(Math.max(0, medicalExpenses - medicalFloor));
+
+    const stateAndLocalTaxes = positive(itemized.stateAndLocalTaxes);
+    const realEstateTaxes = positive(itemized.realEstateTaxes);
+    const totalTaxes = round2(stateAndLocalTaxes + realEstateTaxes);
+
+    let saltCap = itemizedRules.saltCap[filingStatus];
+    const phaseout = itemizedRules.saltCapPhaseout;
+    if (phaseout) {
+        const excess = Math.max(0, agi - phaseout.threshold[filingStatus]);
+        saltCap = Math.max(phaseout.floor[filingStatus], saltCap - excess * phaseout.rate);
+    }
+    const taxesDeduction = round2(Math.min(totalTaxes, saltCap));
+
+    const mortgageInterest = round2(positive(form1098.mortgageInterestReceived) + positive(form1098.pointsPaid));
+    const gifts = positive(itemized.charitableContributions);
+
+    const total = round2(medicalDeduction + taxesDeduction + mortgageInterest + gifts);
+
+    return {
+        total,
+        lines: [
+            { line: '1', label: 'Medical and dental expenses', amount: medicalExpenses },
+            { line: '2', label: 'Adjusted gross income', amount: agi },
+            { line: '3', label: `Line 2 multiplied by ${percent(itemizedRules.medicalExpenseFloor)}`, amount: medicalFloor },
+            { line: '4', label: 'Medical and dental deduction', amount: medicalDeduction },
+            { line: '5a', label: 'State and local income or sales taxes', amount: stateAndLocalTaxes },
+            { line: '5b', label: 'State and local real estate taxes', amount: realEstateTaxes },
+            { line: '5d', label: 'Total state and local taxes', amount: totalTaxes },
+            { line: '5e', label: `Smaller of line 5d or $${round2(saltCap)}`, amount: taxesDeduction },
+            { line: '7', label: 'Taxes you paid', amount: taxesDeduction },
+            { line: '8a', label: 'Home mortgage interest and points reported on Form 1098', amount: mortgageInterest },
+            { line: '10', label: 'Interest you paid', amount: mortgageInterest },
+            { line: '11', label: 'Gifts by cash or check', amount: gifts },
+            { line: '14', label: 'Gifts to charity', amount: gifts },
+            { line: '17', label: 'Total itemized deductions', amount: total }
+        ]
+    };
+};
+
+const schedule8812 = ({ agi, filingStatus, classified, taxBeforeCredits, earnedIncome, rules }) => {
+    const children = classified.filter(dependent => dependent.credit === 'child_tax_credit').length;
+    const others = classified.length - children;
+
+    const childCredit = children * rules.perChild;
+    const otherCredit = others * rules.perOtherDependent;
+    const totalCredit = childCredit + otherCredit;
+
+    const threshold = rules.phaseoutThreshold[filingStatus];
+    const excess = Math.max(0, agi - threshold);
+    const roundedExcess = Math.ceil(excess / rules.phaseoutStep) * rules.phaseoutStep;
+    const reduction = roundedExcess / rules.phaseoutStep * rules.phaseoutPerStep;
+    const creditAfterPhaseout = Math.max(0, totalCredit - reduction);
+
+    const nonrefundable = round2(Math.min(creditAfterPhaseout, taxBeforeCredits));
+
+    // Additional Child Tax Credit: part of the unused child credit is refundable
+    const unused = round2(creditAfterPhaseout - nonrefundable);
+    const refundableCap = children * rules.refundablePerChild;
+    const refundableLimit = Math.min(unused, refundableCap);
+    const earnedOverThreshold = round2(Math.max(0, earnedIncome - rules.earnedIncomeThreshold));
+    const earnedIncomeLimit = round2(earnedOverThreshold * rules.earnedIncomeRate);
+    const refundable = children ? round2(Math.min(refundableLimit, earnedIncomeLimit)) : 0;
+
+    return {
+        nonrefundable,
+        refundable,
+        lines: [
+            { line: '3', label: 'Modified adjusted gross income', amount: agi },
+            { line: '4', label: 'Number of qualifying children under 17', amount: children, unit: 'count' },
+            { line: '5', label: `Line 4 multiplied by $${rules.perChild}`, amount: childCredit },
+            { line: '6', label: 'Number of other dependents', amount: others, unit: 'count' },
+            { line: '7', label: `Line 6 multiplied by $${rules.perOtherDependent}`, amount: otherCredit },
+            { line: '8', label: 'Add lines 5 and 7', amount: totalCredit },
+            { line: '9', label: 'Phase-out threshold', amount: threshold },
+            { line: '10', label: 'Line 3 over line 9, rounded up to the next $1,000', amount: roundedExcess },
+            { line: '11', label: 'Line 10 multiplied by 5%', amount: reduction },
+            { line: '12', label: 'Credit after phase-out', amount: creditAfterPhaseout },
+            { line: '13', label: 'Credit limit based on tax', amount: taxBeforeCredits },
+            { line: '14', label: 'Child tax credit and credit for other dependents', amount: nonrefundable },
+            { line: '16a', label: 'Line 12 minus line 14', amount: unused },
+            { line: '16b', label: `Qualifying children multiplied by $${rules.refundablePerChild}`, amount: refundableCap },
+            { line: '17', label: 'Smaller of line 16a or 16b', amount: refundableLimit },
+            { line: '18a', label: 'Earned income', amount: earnedIncome },
+            { line: '19', label: `Line 18a over $${rules.earnedIncomeThreshold}`, amount: earnedOverThreshold },
+            { line: '20', label: `Line 19 multiplied by ${percent(rules.earnedIncomeRate)}`, amount: earnedIncomeLimit },
+            { line: '27', label: 'Additional child tax credit', amount: refundable }
+        ]
+    };
+};
+
+const form8959 = ({ filingStatus, w2Totals, rules }) => {
+    const medicareWages = w2Totals.medicareWages;
+    const threshold = rules.additionalMedicareThreshold[filingStatus];
+    const excessWages = round2(Math.max(0, medicareWages - threshold));
+    const tax = round2(excessWages * rules.additionalMedicareRate);
+
+    const medicareWithheld = w2Totals.medicareTaxWithheld;
+    const regularMedicare = round2(medicareWages * rules.medicareRate);
+    const additionalWithheld = round2(Math.max(0, medicareWithheld - regularMedicare));
+
+    return {
+        tax,
+        withheld: additionalWithheld,
+        lines: [
+            { line: '1', label: 'Medicare wages and tips from Form W-2, box 5', amount: medicareWages },
+            { line: '5', label: 'Threshold for filing status', amount: threshold },
+            { line: '6', label: 'Line 1 over line 5', amount: excessWages },
+            { line: '7', label: `Additional Medicare Tax (${percent(rules.additionalMedicareRate)})`, amount: tax },
+            { line: '19', label: 'Medicare tax withheld from Form W-2, box 6', amount: medicareWithheld },
+            { line: '21', label: `Regular Medicare tax withholding (${percent(rules.medicareRate)} of line 1)`, amount: regularMedicare },
+            { line: '24', label: 'Additional Medicare Tax withholding', amount: additionalWithheld }
+        ]
+    };
+};
+
+// Calculate a Form 1040.
+// input: { taxYear, filingStatus, w2Totals (summarizeW2Forms), dependents
+// claimed (Dependent records), deductions (the return's deductions),
+// ruleVersion (optional; defaults to the year's current rule set) }
+const calculateForm1040 = ({ taxYear, filingStatus, w2Totals, dependents = [], deductions = {}, ruleVersion }) => {
+    const params = getRuleSet(taxYear, ruleVersion);
+    if (!params) {
+        throw new Error(`No tax rules for ${taxYear}${ruleVersion ? ` version ${ruleVersion}` : ''}`);
+    }
+    if (!params.standardDeduction[filingStatus]) {
+        throw new Error(`Unknown filing status: ${filingStatus}`);
+    }
+
+    const warnings = [];
+    if (!w2Totals.count) warnings.push('No W-2s on this return, so wages are 0.');
+    if (w2Totals.formsNeedingReview.length) {
+        warnings.push(`${w2Totals.formsNeedingReview.length} W-2(s) have missing or low-confidence fields. Review them before relying on this calculation.`);
+    }
+
+    // Income
+    const wages = w2Totals.wages;
+    const totalIncome = wages;
+    const adjustments = 0;
+    const agi = round2(totalIncome - adjustments);
+
+    // Deductions
+    const standardDeduction = params.standardDeduction[filingStatus];
+    const itemized = scheduleA({ agi, filingStatus, deductions, itemizedRules: params.itemized });
+    const itemize = itemized.total > standardDeduction;
+    const deduction = itemize ? itemized.total : standardDeduction;
+    const qbiDeduction = 0;
+    const totalDeductions = round2(deduction + qbiDeduction);
+    const taxableIncome = round2(Math.max(0, agi - totalDeductions));
+
+    // Tax
+    const brackets = params.brackets[filingStatus];
+    const { tax, method: taxMethod } = computeTax(taxableIncome, brackets, params.taxTableLimit);
+    const schedule2Part1 = 0;
+    const taxBeforeCredits = round2(tax + schedule2Part1);
+
+    // Credits
+    const classified = classifyDependents(dependents, params, warnings);
+    const ctc = schedule8812({
+        agi,
+        filingStatus,
+        classified,
+        taxBeforeCredits,
+        earnedIncome: wages,
+        rules: params.childTaxCredit
+    });
+    const schedule3Credits = 0;
+    const totalCredits = round2(ctc.nonrefundable + schedule3Credits);
+    const taxAfterCredits = round2(Math.max(0, taxBeforeCredits - totalCredits));
+
+    // Other taxes
+    const medicare = form8959({ filingStatus, w2Totals, rules: params.payroll });
+    const otherTaxes = medicare.tax;
+    const totalTax = round2(taxAfterCredits + otherTaxes);
+
+    // Payments
+    const w2Withholding = w2Totals.federalIncomeTaxWithheld;
+    const otherWithholding = medicare.withheld;
+    const totalWithholding = round2(w2Withholding + otherWithholding);
+    const estimatedPayments = 0;
+    const earnedIncomeCredit = 0;
+    const refundableCredits = round2(earnedIncomeCredit + ctc.refundable);
+    const totalPayments = round2(totalWithholding + estimatedPayments + refundableCredits);
+
+    const overpaid = round2(Math.max(0, totalPayments - totalTax));
+    const amountOwed = round2(Math.max(0, totalTax - totalPayments));
+
+    warnings.push('Only W-2 wages are included. Other income, adjustments to income, the QBI deduction, AMT and the Earned Income Credit are not calculated.');
+
+    const lines = [
+        { line: '1a', label: 'Total amount from Form(s) W-2, box 1', amount: wages },
+        { line: '1z', label: 'Add lines 1a through 1h', amount: wages },
+        { line: '9', label: 'Total income', amount: totalIncome },
+        { line: '10', label: 'Adjustments to income from Schedule 1', amount: adjustments },
+        { line: '11', label: 'Adjusted gross income', amount: agi },
+        { line: '12', label: itemize ? 'Itemized deductions (from Schedule A)' : 'Standard deduction', amount: deduction },
+        { line: '13', label: 'Qualified business income deduction', amount: qbiDeduction },
+        { line: '14', label: 'Add lines 12 and 13', amount: totalDeductions },
+        { line: '15', label: 'Taxable income', amount: taxableIncome },
+        { line: '16', label: 'Tax', amount: tax },
+        { line: '17', label: 'Amount from Schedule 2, line 3', amount: schedule2Part1 },
+        { line: '18', label: 'Add lines 16 and 17', amount: taxBeforeCredits },
+        { line: '19', label: 'Child tax credit or credit for other dependents from Schedule 8812', amount: ctc.nonrefundable },
+        { line: '20', label: 'Amount from Schedule 3, line 8', amount: schedule3Credits },
+        { line: '21', label: 'Add lines 19 and 20', amount: totalCredits },
+        { line: '22', label: 'Subtract line 21 from line 18', amount: taxAfterCredits },
+        { line: '23', label: 'Other taxes from Schedule 2, line 21', amount: otherTaxes },
+        { line: '24', label: 'Total tax', amount: totalTax },
+        { line: '25a', label: 'Federal income tax withheld from Form(s) W-2', amount: w2Withholding },
+        { line: '25c', label: 'Federal income tax withheld from other forms (Form 8959)', amount: otherWithholding },
+        { line: '25d', label: 'Add lines 25a through 25c', amount: totalWithholding },
+        { line: '26', label: 'Estimated tax payments', amount: estimatedPayments },
+        { line: '27', label: 'Earned income credit', amount: earnedIncomeCredit },
+        { line: '28', label: 'Additional child tax credit from Schedule 8812', amount: ctc.refundable },
+        { line: '32', label: 'Total other payments and refundable credits', amount: refundableCredits },
+        { line: '33', label: 'Total payments', amount: totalPayments },
+        { line: '34', label: 'Amount overpaid', amount: overpaid },
+        { line: '35a', label: 'Amount refunded to you', amount: overpaid },
+        { line: '37', label: 'Amount you owe', amount: amountOwed }
+    ];
+
+    return {
+        taxYear,
+        filingStatus,
+        ruleSet: ruleSetCitation(params),
+        lines,
+        schedules: {
+            scheduleA: itemize ? { lines: itemized.lines } : null,
+            schedule2: otherTaxes ? {
+                lines: [
+                    { line: '11', label: 'Additional Medicare Tax (Form 8959)', amount: otherTaxes },
+                    { line: '21', label: 'Total other taxes', amount: otherTaxes }
+                ]
+            } : null,
+            schedule8812: classified.length ? { lines: ctc.lines } : null,
+            form8959: otherTaxes || otherWithholding ? { lines: medicare.lines } : null
+        },
+        dependents: classified,
+        summary: {
+            totalIncome,
+            adjustedGrossIncome: agi,
+            deductionType: itemize ? 'itemized' : 'standard',
+            standardDeduction,
+            itemizedDeductions: itemized.total,
+            taxableIncome,
+            taxMethod,
+            tax,
+            credits: round2(totalCredits + ctc.refundable),
+            totalTax,
+            totalPayments,
+            refund: overpaid,
+            amountOwed,
+            marginalRate: marginalRate(taxableIncome, brackets),
+            effectiveRate: agi > 0 ? Math.round(totalTax / agi * 10000) / 10000 : 0
+        },
+        warnings
+    };
+};
+
+module.exports = {
+    bracketTax,
+    computeTax,
+    calculateForm1040
+};
@@ -0,0 +1,218 @@
+// Renders a calculated Form 1040 and its schedules into a pdfkit document.
+// Page 1 carries identity, filing status, dependents and income; page 2 tax,
+// credits, payments and the refund or amount owed; each schedule that applies
+// gets its own page. Drafts are watermarked on every page.
+
+const { FILING_STATUS_LABELS } = require('./filingStatus');
+
+const SCHEDULE_TITLES = {
+    scheduleA: ['Schedule A (Form 1040)', 'Itemized Deductions'],
+    schedule2: ['Schedule 2 (Form 1040)', 'Additional Taxes'],
+    schedule8812: ['Schedule 8812 (Form 1040)', 'Credits for Qualifying Children and Other Dependents'],
+    form8959: ['Form 8959', 'Additional Medicare Tax']
+};
+
+// Form 1040 lines by section
+const PAGE_1_SECTIONS = [
+    ['Income', ['1a', '1z', '9', '10', '11', '12', '13', '14', '15']]
+];
+const PAGE_2_SECTIONS = [
+    ['Tax and Credits', ['16', '17', '18', '19', '20', '21', '22', '23', '24']],
+    ['Payments', ['25a', '25c', '25d', '26', '27', '28', '32', '33']],
+    ['Refund', ['34', '35a']],
+    ['Amount You Owe', ['37']]
+];
+
+const LEFT = 50;
+const RIGHT = 562;
+const AMOUNT_WIDTH = 110;
+
+const formatMoney = (amount) => (amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const formatAddress = (address) => {
+    if (!address || !address.street) return '';
+    return `${address.street}, ${address.city || ''}, ${address.state || ''} ${address.zip || ''}`.trim();
+};
+
+const stampDraft = (doc) => {
+    const { x, y } = doc;
+    doc.save();
+    doc.rotate(-45, { origin: [doc.page.width / 2, doc.page.height / 2] });
+    doc.fillColor('#c0c0c0').fillOpacity(0.35).fontSize(140);
+    doc.text('DRAFT', 0, doc.page.height / 2 - 70, {
+        width: doc.page.width,
+        align: 'center',
+        lineBreak: false
+    });
+    doc.restore();
+    doc.fillColor('black').fillOpacity(1);
+    doc.x = x;
+    doc.y = y;
+};
+
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+};
+
+const pageHeader = (doc, title, subtitle, taxYear) => {
+    doc.fontSize(16).font('Helvetica-Bold').text(title, LEFT, doc.page.margins.top);
+    doc.fontSize(11).font('Helvetica').text(subtitle);
+    doc.fontSize(10).text(`Tax Year ${taxYear}`, LEFT, doc.page.margins.top, { align: 'right' });
+    doc.moveTo(LEFT, doc.y + 18).lineTo(RIGHT, doc.y + 18).stroke();
+    doc.x = LEFT;
+    doc.y += 28;
+};
+
+const sectionHeading = (doc, heading) => {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.5);
+    doc.fontSize(12).font('Helvetica-Bold').text(heading.toUpperCase(), LEFT);
+    doc.font('Helvetica').moveDown(0.3);
+};
+
+const lineRow = (doc, { line, label, amount, unit }) => {
+    ensureSpace(doc, 18);
+    const y = doc.y;
+    doc.fontSize(10);
+    doc.font('Helvetica-Bold').text(line, LEFT, y, { width: 35 });
+    doc.font('Helvetica').text(label, LEFT + 40, y, { width: RIGHT - AMOUNT_WIDTH - LEFT - 50 });
+    const labelBottom = doc.y;
+    doc.text(unit === 'count' ? String(amount) : formatMoney(amount), RIGHT - AMOUNT_WIDTH, y, {
+        width: AMOUNT_WIDTH,
+        align: 'right'
+    });
+    doc.x = LEFT;
+    doc.y = Math.max(labelBottom, y + 14) + 2;
+};
+
+const identitySection = (doc, { taxpayer, spouse, filingStatus }) => {
+    sectionHeading(doc, 'Taxpayer');
+    doc.fontSize(10);
+    doc.text(`Name: ${[taxpayer.firstName, taxpayer.lastName].filter(Boolean).join(' ') || 'Not provided'}`);
+    doc.text(`Social security number: ${taxpayer.ssn || 'Not provided'}`);
+    doc.text(`Home address: ${formatAddress(taxpayer.address) || 'Not provided'}`);
+
+    if (filingStatus === 'married-joint' || filingStatus === 'married-separate') {
+        doc.moveDown(0.3);
+        doc.text(`Spouse name: ${spouse && spouse.name ? spouse.name : 'Not provided'}`);
+        doc.text(`Spouse social security number: ${spouse && spouse.ssn ? spouse.ssn : 'Not provided'}`);
+        if (spouse && spouse.occupation) doc.text(`Spouse occupation: ${spouse.occupation}`);
+    }
+
+    sectionHeading(doc, 'Filing Status');
+    doc.fontSize(10);
+    Object.entries(FILING_STATUS_LABELS).forEach(([status, label]) => {
+        doc.text(`${status === filingStatus ? '[X]' : '[  ]'} ${label}`);
+    });
+};
+
+const dependentsSection = (doc, dependents) => {
+    sectionHeading(doc, 'Dependents');
+    doc.fontSize(10);
+
+    if (!dependents.length) {
+        doc.text('None claimed');
+        return;
+    }
+
+    const columns = [
+        ['Name', LEFT, 150],
+        ['SSN', LEFT + 155, 95],
+        ['Relationship', LEFT + 255, 90],
+        ['Child tax credit', LEFT + 350, 80],
+        ['Credit for other dependents', LEFT + 430, 85]
+    ];
+
+    const headerY = doc.y;
+    doc.font('Helvetica-Bold');
+    columns.forEach(([title, x, width]) => doc.text(title, x, headerY, { width }));
+    doc.font('Helvetica');
+    doc.y = Math.max(doc.y, headerY + 24);
+
+    dependents.forEach(dependent => {
+        ensureSpace(doc, 16);
+        const y = doc.y;
+        const values = [
+            dependent.name,
+            dependent.ssn || '',
+            dependent.relationship || '',
+            dependent.credit === 'child_tax_credit' ? '[X]' : '[  ]',
+            dependent.credit === 'other_dependent' ? '[X]' : '[  ]'
+        ];
+        columns.forEach(([, x, width], index) => doc.text(values[index], x, y, { width, lineBreak: false }));
+        doc.x = LEFT;
+        doc.y = y + 15;
+    });
+};
+
+const linesSections = (doc, sections, linesByNumber) => {
+    sections.forEach(([heading, lineNumbers]) => {
+        sectionHeading(doc, heading);
+        lineNumbers.forEach(number => {
+            if (linesByNumber[number]) lineRow(doc, linesByNumber[number]);
+        });
+    });
+};
+
+const footer = (doc, calculation, draft) => {
+    ensureSpace(doc, 60);
+    doc.moveDown();
+    doc.fontSize(8);
+    const ruleSet = calculation.ruleSet;
+    if (ruleSet) {
+        doc.text(`Calculated with the ${ruleSet.taxYear} tax rules, version ${ruleSet.version} (${ruleSet.checksum.slice(0, 12)}).`, LEFT);
+    }
+    doc.text(draft
+        ? 'DRAFT - this return has not been finalized and must not be filed.'
+        : 'Final copy of the return as signed off.', LEFT);
+    (calculation.warnings || []).forEach(warning => doc.text(`Note: ${warning}`, LEFT));
+};
+
+// Draw the whole return into doc. Does not end the document.
+// data: { calculation (calculateForm1040 result), taxpayer { firstName,
+// lastName, ssn, address }, spouse { name, ssn, occupation } | null, dependents
+// [{ id, name, ssn, relationship }], draft }
+const renderForm1040Pdf = (doc, { calculation, taxpayer, spouse = null, dependents = [], draft }) => {
+    if (draft) {
+        stampDraft(doc);
+        doc.on('pageAdded', () => stampDraft(doc));
+    }
+
+    const linesByNumber = {};
+    calculation.lines.forEach(line => { linesByNumber[line.line] = line; });
+
+    const credits = {};
+    (calculation.dependents || []).forEach(dependent => { credits[dependent.id] = dependent.credit; });
+    const dependentRows = dependents.map(dependent => ({ ...dependent, credit: credits[dependent.id] }));
+
+    // Page 1
+    pageHeader(doc, 'Form 1040', 'U.S. Individual Income Tax Return', calculation.taxYear);
+    identitySection(doc, { taxpayer, spouse, filingStatus: calculation.filingStatus });
+    dependentsSection(doc, dependentRows);
+    linesSections(doc, PAGE_1_SECTIONS, linesByNumber);
+
+    // Page 2
+    doc.addPage();
+    pageHeader(doc, 'Form 1040 (page 2)', 'U.S. Individual Income Tax Return', calculation.taxYear);
+    linesSections(doc, PAGE_2_SECTIONS, linesByNumber);
+    footer(doc, calculation, draft);
+
+    // Schedules
+    Object.entries(SCHEDULE_TITLES).forEach(([key, [title, subtitle]]) => {
+        const schedule = calculation.schedules && calculation.schedules[key];
+        if (!schedule) return;
+
+        doc.addPage();
+        pageHeader(doc, title, subtitle, calculation.taxYear);
+        doc.fontSize(10).text(`Name: ${[taxpayer.firstName, taxpayer.lastName].filter(Boolean).join(' ')}`, LEFT);
+        doc.moveDown();
+        schedule.lines.forEach(line => lineRow(doc, line));
+    });
+};
+
+module.exports = {
+    renderForm1040Pdf
+};
@@ -0,0 +1,192 @@
+// Tax calculation entry point: gathers a return's W-2s, claimed dependents
+// and deductions and runs the Form 1040 calculation on them, for the return's
+// filing status or, to compare them, for each status it's eligible for. A
+// joint return reports the taxpayer's and the spouse's documents together;
+// every other status only the taxpayer's (services/spouses).
+
+const { calculateForm1040 } = require('./form1040');
+const { FILING_STATUSES, FILING_STATUS_LABELS, evaluateFilingStatuses } = require('./filingStatus');
+const { getRuleSet, supportedTaxYears } = require('../rules');
+const { summarizeW2Forms } = require('../w2/totals');
+const { claimedDependents } = require('../taxReturns');
+const { fileReplacedSinceExtraction } = require('../documents');
+const { isEstimated1098 } = require('../form1098');
+const { incomeOwners, findSpouse, spouseBlocker } = require('../spouses');
+const { Dependent, W2Form } = require('../../database');
+
+// Why there are no tax rules for a year, or null when there are
+const unsupportedYear = (taxYear) => (getRuleSet(taxYear)
+    ? null
+    : `Tax year ${taxYear} is not supported. Supported years: ${supportedTaxYears().join(', ')}`);
+
+// Why a return can't be calculated yet, or null when it can
+const calculationBlocker = async (taxReturn, ruleVersion) => {
+    const unsupported = unsupportedYear(taxReturn.taxYear);
+    if (unsupported) return unsupported;
+    if (ruleVersion && !getRuleSet(taxReturn.taxYear, ruleVersion)) {
+        return `No version ${ruleVersion} rule set for ${taxReturn.taxYear}`;
+    }
+    if (!taxReturn.filingStatus) {
+        return 'Choose a filing status for this return before calculating it.';
+    }
+    return spouseBlocker(taxReturn.filingStatus, await findSpouse(taxReturn));
+};
+
+const loadDependents = (taxReturn) => Dependent.findAll({
+    where: { userId: taxReturn.userId },
+    order: [['createdAt', 'ASC']]
+});
+
+// The W-2s and claimed dependents a return's calculations use
+const returnInputs = async (taxReturn) => {
+    const [w2Forms, dependents] = await Promise.all([
+        W2Form.findAll({
+            where: { taxReturnId: taxReturn.id },
+            attributes: ['id', 'owner', 'data', 'extractionStatus', 'uploadDate', 'lastExtraction']
+        }),
+        loadDependents(taxReturn)
+    ]);
+
+    return {
+        w2Forms,
+        dependents: claimedDependents(taxReturn, dependents)
+    };
+};
+
+// The W-2 totals and deductions a filing status reports, and warnings for
+// the documents it leaves out
+const reportedIncome = (taxReturn, inputs, filingStatus) => {
+    const owners = incomeOwners(filingStatus);
+    const warnings = [];
+    const spouseLeftOut = filingStatus === 'married-separate'
+        ? 'Married filing separately reports only your own income; your spouse reports theirs on their own return.'
+        : 'Only a joint return includes your spouse\'s income.';
+
+    const reported = inputs.w2Forms.filter(form => owners.includes(form.owner));
+    if (reported.length < inputs.w2Forms.length) {
+        warnings.push(`${inputs.w2Forms.length - reported.length} of your spouse's W-2(s) were left out. ${spouseLeftOut}`);
+    }
+
+    // Only W-2s with data count; uploads still waiting on extraction don't
+    const usable = reported.filter(form => ['extracted', 'manual'].includes(form.extractionStatus));
+    if (usable.length < reported.length) {
+        warnings.push(`${reported.length - usable.length} W-2(s) have no extracted data yet and were left out.`);
+    }
+    const replaced = usable.filter(fileReplacedSinceExtraction).length;
+    if (replaced) {
+        warnings.push(`${replaced} W-2(s) had their file replaced and still use the data read from the old one. Extract them again.`);
+    }
+
+    const { form1098, ...deductions } = taxReturn.deductions || {};
+    if (form1098 && !owners.includes(form1098.borrower || 'taxpayer')) {
+        warnings.push(`The mortgage interest on your spouse's Form 1098 was left out. ${spouseLeftOut}`);
+    } else if (isEstimated1098(form1098)) {
+        warnings.push('The mortgage interest on your Form 1098 is an estimate from your wages and was left out. Enter the amounts from your lender\'s Form 1098 to deduct it.');
+    } else if (form1098) {
+        deductions.form1098 = form1098;
+    }
+
+    return { w2Totals: summarizeW2Forms(usable), deductions, warnings };
+};
+
+const calculate = (taxReturn, inputs, { filingStatus, ruleVersion }) => {
+    const { w2Totals, deductions, warnings } = reportedIncome(taxReturn, inputs, filingStatus);
+    const result = calculateForm1040({
+        taxYear: taxReturn.taxYear,
+        filingStatus,
+        w2Totals,
+        dependents: inputs.dependents,
+        deductions,
+        ruleVersion
+    });
+
+    result.warnings.unshift(...warnings);
+
+    return result;
+};
+
+// ruleVersion pins an older rule set, e.g. to reproduce an earlier result
+const calculateTaxReturn = async (taxReturn, { ruleVersion } = {}) => calculate(taxReturn, await returnInputs(taxReturn), {
+    filingStatus: taxReturn.filingStatus,
+    ruleVersion
+});
+
+// What a filing status leaves the user with: refund positive, amount owed
+// negative
+const netResult = ({ summary }) => summary.refund - summary.amountOwed;
+
+// The filing statuses a return's questionnaire answers (default: the saved
+// ones) allow, best estimated result first, and the ones they don't. Null
+// until the questionnaire is answered. The year must be supported.
+const filingStatusEligibility = async (taxReturn, answers = taxReturn.filingStatusAnswers) => {
+    if (!answers) return null;
+
+    const inputs = await returnInputs(taxReturn);
+    const { qualifyingPersons, statuses } = evaluateFilingStatuses({
+        answers,
+        dependents: inputs.dependents,
+        ruleSet: getRuleSet(taxReturn.taxYear)
+    });
+
+    const spouseW2s = inputs.w2Forms.filter(form => form.owner === 'spouse').length;
+    const eligible = statuses.filter(status => status.eligible)
+        .map(status => ({ ...status, result: calculate(taxReturn, inputs, { filingStatus: status.filingStatus }) }))
+        .sort((a, b) => netResult(b.result) - netResult(a.result)
+            || FILING_STATUSES.indexOf(a.filingStatus) - FILING_STATUSES.indexOf(b.filingStatus))
+        .map(({ filingStatus, reasons, result }, index) => ({
+            filingStatus,
+            rank: index + 1,
+            reasons,
+            estimate: {
+                totalTax: result.summary.totalTax,
+                refund: result.summary.refund,
+                amountOwed: result.summary.amountOwed
+            }
+        }));
+
+    return {
+        taxYear: taxReturn.taxYear,
+        answers,
+        recommended: eligible.length ? eligible[0].filingStatus : null,
+        eligible,
+        ineligible: statuses.filter(status => !status.eligible)
+            .map(({ filingStatus, reasons }) => ({ filingStatus, reasons })),
+        qualifyingPersons,
+        warnings: [
+            ...(eligible.some(status => status.filingStatus === 'married-joint') && !spouseW2s
+                ? ['None of your spouse\'s W-2s are on this return, so the married filing jointly estimate includes only your income.']
+                : []),
+            ...(eligible.some(status => status.filingStatus === 'married-separate')
+                ? ['The married filing separately estimate is for your own return; your spouse\'s separate return isn\'t included.']
+                : [])
+        ]
+    };
+};
+
+// Why a return's questionnaire answers rule out a filing status, as {
+// message, reasons }, or null when they don't. Every status is allowed until
+// the questionnaire is answered.
+const filingStatusRejection = async (taxReturn, filingStatus) => {
+    if (!filingStatus || !taxReturn || !taxReturn.filingStatusAnswers || unsupportedYear(taxReturn.taxYear)) return null;
+
+    const { statuses } = evaluateFilingStatuses({
+        answers: taxReturn.filingStatusAnswers,
+        dependents: claimedDependents(taxReturn, await loadDependents(taxReturn)),
+        ruleSet: getRuleSet(taxReturn.taxYear)
+    });
+    const status = statuses.find(candidate => candidate.filingStatus === filingStatus);
+    if (status.eligible) return null;
+
+    return {
+        message: `You can't file as ${FILING_STATUS_LABELS[filingStatus].toLowerCase()} for ${taxReturn.taxYear}. ${status.reasons.join(' ')}`,
+        reasons: status.reasons
+    };
+};
+
+module.exports = {
+    unsupportedYear,
+    calculationBlocker,
+    calculateTaxReturn,
+    filingStatusEligibility,
+    filingStatusRejection
+};
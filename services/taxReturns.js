@@ -0,0 +1,112 @@
+// Tax return lookups shared by the dashboard routes. Every piece of data that
+// belongs to one filing year hangs off the user's TaxReturn for that year.
+
+const { Op } = require('sequelize');
+const { summarizeW2Forms } = require('./w2/totals');
+const { User, TaxReturn, W2Form } = require('../database');
+
+// Start a return. W-2s saved for that year before returns existed are moved
+// onto it.
+const createTaxReturn = async (userId, taxYear, values = {}) => {
+    const user = await User.findByPk(userId, { attributes: ['filingStatus'] });
+    const [taxReturn, created] = await TaxReturn.findOrCreate({
+        where: { userId, taxYear },
+        defaults: { filingStatus: user ? user.filingStatus : null, ...values }
+    });
+
+    if (created) {
+        await W2Form.update({ taxReturnId: taxReturn.id }, {
+            where: { userId, taxYear, taxReturnId: null }
+        });
+    }
+    return taxReturn;
+};
+
+// The user's return for a year, started on first use. A new return takes the
+// filing status from the user's profile.
+const findOrCreateTaxReturn = async (userId, taxYear) => {
+    const existing = await TaxReturn.findOne({ where: { userId, taxYear } });
+    return existing || createTaxReturn(userId, taxYear);
+};
+
+// A finalized return is locked: anything that changes what it reports - its
+// filing status, W-2s, 1098, spouse, deductions or the dependents it
+// claims - is refused until it's reopened
+const FINALIZED_MESSAGE = 'This return has been finalized. Reopen it to make changes.';
+
+// Whether the user's return for a year is finalized, for changes made
+// through a W-2 or document rather than the return itself
+const isReturnFinalized = async (userId, taxYear) => Boolean(await TaxReturn.findOne({
+    where: { userId, taxYear, finalizedAt: { [Op.ne]: null } },
+    attributes: ['id']
+}));
+
+// The user's finalized return, if any, that claims a dependent. Without a
+// dependent id, the one that claims everyone, which a new dependent would
+// join.
+const finalizedReturnClaiming = async (userId, dependentId = null) => {
+    const finalized = await TaxReturn.findAll({
+        where: { userId, finalizedAt: { [Op.ne]: null } },
+        attributes: ['taxYear', 'dependentsClaimed'],
+        order: [['taxYear', 'DESC']]
+    });
+    return finalized.find(taxReturn => !Array.isArray(taxReturn.dependentsClaimed)
+        || (dependentId && taxReturn.dependentsClaimed.includes(dependentId))) || null;
+};
+
+// Move a return out of not_started once the user has saved something on it
+const markInProgress = async (taxReturn) => {
+    if (taxReturn.status === 'not_started') {
+        await taxReturn.update({ status: 'in_progress' });
+    }
+};
+
+// The user's dependents claimed on a return. dependentsClaimed is null until
+// the user picks, which claims everyone.
+const claimedDependents = (taxReturn, dependents) => {
+    if (!Array.isArray(taxReturn.dependentsClaimed)) return dependents;
+    return dependents.filter(dependent => taxReturn.dependentsClaimed.includes(dependent.id));
+};
+
+// Which parts of a return are done, for progress bars
+const returnProgress = (taxReturn, w2Forms) => {
+    const w2Totals = summarizeW2Forms(w2Forms);
+    const steps = {
+        filingStatus: Boolean(taxReturn.filingStatus),
+        w2sAdded: w2Forms.length > 0,
+        w2sReviewed: w2Forms.length > 0 && w2Totals.formsNeedingReview.length === 0,
+        deductions: Boolean(taxReturn.deductions && taxReturn.deductions.form1098),
+        completed: taxReturn.status === 'completed'
+    };
+    const done = Object.values(steps).filter(Boolean).length;
+
+    return {
+        steps,
+        percentComplete: Math.round(done / Object.keys(steps).length * 100)
+    };
+};
+
+const taxReturnSummary = (taxReturn, w2Forms) => ({
+    id: taxReturn.id,
+    taxYear: taxReturn.taxYear,
+    filingStatus: taxReturn.filingStatus,
+    status: taxReturn.status,
+    completedAt: taxReturn.completedAt,
+    finalizedAt: taxReturn.finalizedAt,
+    w2Count: w2Forms.length,
+    progress: returnProgress(taxReturn, w2Forms),
+    createdAt: taxReturn.createdAt,
+    updatedAt: taxReturn.updatedAt
+});
+
+module.exports = {
+    createTaxReturn,
+    findOrCreateTaxReturn,
+    FINALIZED_MESSAGE,
+    isReturnFinalized,
+    finalizedReturnClaiming,
+    markInProgress,
+    claimedDependents,
+    returnProgress,
+    taxReturnSummary
+};
@@ -0,0 +1,29 @@
+// Tax year helpers. During filing season people file for the calendar year
+// that just ended, so that is the default everywhere a year isn't given.
+
+const MIN_TAX_YEAR = 2000;
+const MAX_TAX_YEAR = 2100;
+
+const currentTaxYear = () => new Date().getFullYear() - 1;
+
+// Parse a tax year from a request value. Returns the default year when the
+// value is missing and null when it is present but not a valid year.
+const parseTaxYear = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return currentTaxYear();
+    }
+
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < MIN_TAX_YEAR || year > MAX_TAX_YEAR) {
+        return null;
+    }
+
+    return year;
+};
+
+module.exports = {
+    MIN_TAX_YEAR,
+    MAX_TAX_YEAR,
+    currentTaxYear,
+    parseTaxYear
+};
@@ -0,0 +1,86 @@
+// Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+// HMAC-SHA1 over 30-second steps, 6 digits, secrets shared as base32.
+
+const crypto = require('crypto');
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now still accepted, for clock drift and slow typing
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// A new random secret, base32 encoded (160 bits, as RFC 4226 recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+// The code for a secret at a time step (RFC 4226 dynamic truncation)
+const codeAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The time step a code matches, or null. Callers should refuse steps at or
+// before the last one accepted so a code can't be replayed.
+const verifyCode = (secret, code, now = Date.now()) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+    const step = currentStep(now);
+    for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+        const expected = codeAt(secret, step + offset);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step + offset;
+    }
+    return null;
+};
+
+// otpauth:// URI for authenticator apps (usually shown as a QR code)
+const provisioningUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    PERIOD_SECONDS,
+    DIGITS,
+    generateSecret,
+    codeAt,
+    currentStep,
+    verifyCode,
+    provisioningUri
+};
@@ -0,0 +1,134 @@
+// Opt-in two-factor authentication for accounts: TOTP codes from an
+// authenticator app (services/totp), with one-time recovery codes for when
+// the device is lost.
+//
+// Enrolling stores a new secret without turning anything on; the first
+// code from the app confirms it and enables 2FA. Recovery codes are shown
+// once and only their SHA-256 hashes are kept. Password login for an
+// enrolled account returns a short-lived challenge token instead of a
+// session, to be exchanged together with a code (POST /api/auth/login/2fa).
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../database');
+const { generateSecret, verifyCode, provisioningUri } = require('./totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Tax Filing App';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const isTwoFactorEnabled = (user) => Boolean(user.totpEnabledAt && user.totpSecret);
+
+// Recovery codes look like 'k7f2q-9xw4m'; case and dashes don't matter
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// No 0/o, 1/l/i to misread
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]).join('');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+// Start (or restart) enrollment. Resolves to { secret, provisioningUri }.
+const beginEnrollment = async (user) => {
+    const secret = generateSecret();
+    await user.update({ totpSecret: secret, totpLastUsedStep: null });
+    return {
+        secret,
+        provisioningUri: provisioningUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    };
+};
+
+// Replace the user's recovery codes. Resolves to the new plain codes.
+const resetRecoveryCodes = async (user) => {
+    const codes = generateRecoveryCodes();
+    await user.update({ totpRecoveryCodes: codes.map(hashRecoveryCode) });
+    return codes;
+};
+
+// Accept a TOTP code at most once: the step it matched must be later than
+// the last one used. The conditional update settles two logins racing with
+// the same code.
+const useTotpCode = async (user, code) => {
+    if (!user.totpSecret) return false;
+
+    const step = verifyCode(user.totpSecret, code);
+    if (step === null) return false;
+
+    const [, affected] = await sequelize.query(`
+        UPDATE "Users" SET "totpLastUsedStep" = :step
+        WHERE id = :id AND ("totpLastUsedStep" IS NULL OR "totpLastUsedStep" < :step)
+    `, { replacements: { id: user.id, step }, type: QueryTypes.UPDATE });
+    return affected > 0;
+};
+
+// Use up a recovery code. The removal is conditional on the hash still
+// being there, so each code works once.
+const useRecoveryCode = async (user, code) => {
+    const [, affected] = await sequelize.query(`
+        UPDATE "Users" SET "totpRecoveryCodes" = "totpRecoveryCodes" - :hash
+        WHERE id = :id AND "totpRecoveryCodes" @> jsonb_build_array(CAST(:hash AS text))
+    `, { replacements: { id: user.id, hash: hashRecoveryCode(code) }, type: QueryTypes.UPDATE });
+    return affected > 0;
+};
+
+// Confirm enrollment with the first code from the app. Resolves to the
+// recovery codes, or null when the code is wrong.
+const confirmEnrollment = async (user, code) => {
+    if (!(await useTotpCode(user, code))) return null;
+
+    await user.update({ totpEnabledAt: new Date() });
+    return resetRecoveryCodes(user);
+};
+
+// Check a second factor for an enrolled user: a TOTP code or a recovery
+// code. Resolves to 'totp', 'recovery_code' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (code && await useTotpCode(user, code)) return 'totp';
+    if (recoveryCode && await useRecoveryCode(user, recoveryCode)) return 'recovery_code';
+    return null;
+};
+
+const disableTwoFactor = (user) => user.update({
+    totpSecret: null,
+    totpEnabledAt: null,
+    totpLastUsedStep: null,
+    totpRecoveryCodes: []
+});
+
+// Short-lived token proving the password step of login. It has no session
+// id, so the auth middleware won't accept it as an access token.
+const issueChallengeToken = (user) => jwt.sign(
+    { userId: user.id, purpose: 'mfa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+);
+
+// The user id a challenge token was issued for, or null when it's invalid
+// or expired
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === 'mfa_challenge' ? decoded.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const remainingRecoveryCodes = (user) => (user.totpRecoveryCodes || []).length;
+
+module.exports = {
+    CHALLENGE_TTL,
+    isTwoFactorEnabled,
+    beginEnrollment,
+    confirmEnrollment,
+    resetRecoveryCodes,
+    verifySecondFactor,
+    disableTwoFactor,
+    issueChallengeToken,
+    verifyChallengeToken,
+    remainingRecoveryCodes
+};
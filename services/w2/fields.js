@@ -0,0 +1,184 @@
+// W-2 label patterns and value parsers shared by every extraction path.
+// Layout code finds label text on the form and hands the text below each
+// label to the matching parser here.
+
+// Every label printed on a W-2 that bounds a box. Labels we don't extract
+// (control number, state/local boxes, form titles) are still listed so the
+// boxes around them stop at the right place.
+const LABELS = [
+    { key: 'employeeSSN', pattern: /employee'?s\s+social\s+security\s+n/i },
+    { key: 'employerEIN', pattern: /employer\s+identification\s+n/i },
+    { key: 'employerBlock', pattern: /employer'?s\s+name/i },
+    { key: 'controlNumber', pattern: /control\s+number/i },
+    { key: 'employeeFirstName', pattern: /employee'?s\s+first\s+name|employee'?s\s+name/i },
+    { key: 'employeeLastName', pattern: /^last\s+name/i },
+    { key: 'employeeSuffix', pattern: /^suff\.?$/i },
+    { key: 'employeeAddress', pattern: /employee'?s\s+address/i },
+    { key: 'box1_wages', pattern: /wages,?\s+tips,?\s+other\s+comp/i },
+    { key: 'box2_federalTax', pattern: /federal\s+income\s+tax\s+with/i },
+    { key: 'box3_socialSecurityWages', pattern: /social\s+security\s+wages/i },
+    { key: 'box4_socialSecurityTax', pattern: /social\s+security\s+tax\s+with/i },
+    { key: 'box5_medicareWages', pattern: /medicare\s+wages/i },
+    { key: 'box6_medicareTax', pattern: /medicare\s+tax\s+with/i },
+    { key: 'box7_socialSecurityTips', pattern: /social\s+security\s+tips/i },
+    { key: 'box8_allocatedTips', pattern: /allocated\s+tips/i },
+    { key: 'box9_verificationCode', pattern: /^9$|verification\s+code/i },
+    { key: 'box10_dependentCareBenefits', pattern: /dependent\s+care\s+benefits/i },
+    { key: 'box11_nonqualifiedPlans', pattern: /nonqualified\s+plans/i },
+    // OCR often reads the "c" of 12c as a cent sign
+    { key: 'box12a', pattern: /^12a(?![a-z])/i },
+    { key: 'box12b', pattern: /^12b(?![a-z])/i },
+    { key: 'box12c', pattern: /^12[c¢](?![a-z])/i },
+    { key: 'box12d', pattern: /^12d(?![a-z])/i },
+    { key: 'box13', pattern: /^13\b|statutory\s+employee/i },
+    { key: 'box14', pattern: /^14\s*other|^other$/i },
+    { key: 'stateBoxes', pattern: /^15\b|employer'?s\s+state\s+id|state\s+wages|state\s+income\s+tax|local\s+wages|local\s+income\s+tax|locality\s+name/i },
+    { key: 'formText', pattern: /omb\s+no|form\s+w-?2|wage\s+and\s+tax\s+statement|department\s+of\s+the\s+treasury|copy\s+[a-d12]\b|^void$|^corrected$/i }
+];
+
+// Codes the IRS allows in box 12 (there is no I, O, U or X)
+const BOX12_CODES = [
+    'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P', 'Q', 'R', 'S', 'T', 'V', 'W', 'Y', 'Z',
+    'AA', 'BB', 'DD', 'EE', 'FF', 'GG', 'HH', 'II'
+];
+
+const MONEY_FIELDS = [
+    'box1_wages',
+    'box2_federalTax',
+    'box3_socialSecurityWages',
+    'box4_socialSecurityTax',
+    'box5_medicareWages',
+    'box6_medicareTax',
+    'box7_socialSecurityTips',
+    'box8_allocatedTips',
+    'box10_dependentCareBenefits',
+    'box11_nonqualifiedPlans'
+];
+
+// Fields every W-2 has filled in. When one of these boxes is blank we report
+// it as missing; the others are legitimately blank on most forms.
+const REQUIRED_FIELDS = [
+    'employeeName',
+    'employeeSSN',
+    'employerName',
+    'employerEIN',
+    'box1_wages',
+    'box2_federalTax',
+    'box3_socialSecurityWages',
+    'box4_socialSecurityTax',
+    'box5_medicareWages',
+    'box6_medicareTax'
+];
+
+// Every field reported in w2Data, in form order
+const OUTPUT_FIELDS = [
+    'employeeName',
+    'employeeSSN',
+    'employeeAddress',
+    'employerName',
+    'employerEIN',
+    'employerAddress',
+    ...MONEY_FIELDS.slice(0, 8),
+    'box9_verificationCode',
+    ...MONEY_FIELDS.slice(8),
+    'box12_codes',
+    'box13_statutoryEmployee',
+    'box13_retirementPlan',
+    'box13_thirdPartySickPay',
+    'box14_other'
+];
+
+const MONEY_PATTERN = /^\$?\s*(-?\d{1,3}(?:,\d{3})+|-?\d+)(?:\.(\d{1,2}))?$/;
+
+const parseMoney = (text) => {
+    const cleaned = String(text).replace(/\s+/g, '').replace(/[Ss](?=\d)/, '$');
+    const match = cleaned.match(MONEY_PATTERN);
+    if (!match) return null;
+
+    const whole = match[1].replace(/,/g, '');
+    const cents = (match[2] || '00').padEnd(2, '0');
+    return Math.round(parseFloat(`${whole}.${cents}`) * 100) / 100;
+};
+
+const parseSSN = (text) => {
+    const match = String(text).match(/\b(\d{3})[-\s]?(\d{2})[-\s]?(\d{4})\b/);
+    if (match) {
+        return { value: `${match[1]}-${match[2]}-${match[3]}`, masked: false };
+    }
+
+    // Many payroll providers print only the last four digits
+    const masked = String(text).match(/\b[X*]{3}[-\s]?[X*]{2}[-\s]?(\d{4})\b/i);
+    if (masked) {
+        return { value: `XXX-XX-${masked[1]}`, masked: true };
+    }
+
+    return null;
+};
+
+const parseEIN = (text) => {
+    const match = String(text).match(/\b(\d{2})[-\s]?(\d{7})\b/);
+    return match ? `${match[1]}-${match[2]}` : null;
+};
+
+// "Springfield, IL 62704" / "Springfield IL 62704-1234"
+const CITY_STATE_ZIP = /^(.+?),?\s+([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/;
+
+const parseAddress = (lines) => {
+    if (!lines.length) return null;
+
+    const last = lines[lines.length - 1].trim();
+    const match = last.match(CITY_STATE_ZIP);
+    if (!match) {
+        return {
+            value: { street: lines.join(', '), city: '', state: '', zip: '' },
+            complete: false
+        };
+    }
+
+    return {
+        value: {
+            street: lines.slice(0, -1).join(', '),
+            city: match[1].replace(/,$/, ''),
+            state: match[2],
+            zip: match[3]
+        },
+        complete: lines.length > 1
+    };
+};
+
+// "D 3,200.00", "12a D 3200.00", "DD $8,400.00"
+const parseBox12Entry = (text) => {
+    const match = String(text).trim().match(/^(?:12[a-d]\s+)?([A-Z]{1,2})\s+(.+)$/i);
+    if (!match) return null;
+
+    const code = match[1].toUpperCase();
+    const amount = parseMoney(match[2]);
+    if (!BOX12_CODES.includes(code) || amount === null) return null;
+
+    return { code, amount };
+};
+
+// "SDI 812.00", "UNION DUES 240.00"
+const parseBox14Entry = (text) => {
+    const match = String(text).trim().match(/^(.*?[A-Za-z].*?)\s+(\$?[\d,]+(?:\.\d{1,2})?)$/);
+    if (!match) return null;
+
+    const amount = parseMoney(match[2]);
+    if (amount === null) return null;
+
+    return { description: match[1].trim(), amount };
+};
+
+module.exports = {
+    LABELS,
+    BOX12_CODES,
+    MONEY_FIELDS,
+    REQUIRED_FIELDS,
+    OUTPUT_FIELDS,
+    parseMoney,
+    parseSSN,
+    parseEIN,
+    parseAddress,
+    parseBox12Entry,
+    parseBox14Entry
+};
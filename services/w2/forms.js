@@ -0,0 +1,127 @@
+// Operations on stored W2Form records shared by the W-2 routes
+
+const fs = require('fs');
+const path = require('path');
+const { w2UploadsDir } = require('../../middleware/upload');
+const { OUTPUT_FIELDS, REQUIRED_FIELDS } = require('./fields');
+const { extractW2, REVIEW_THRESHOLD } = require('./index');
+const { w2Ref, recordVersion } = require('../formVersions');
+const { diffValues } = require('../auditTrail');
+
+const w2FilePath = (fileName) => path.join(w2UploadsDir, path.basename(fileName));
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Recalculate the totals kept alongside the boxes
+const withTotals = (data) => ({
+    ...data,
+    taxableIncome: data.box1_wages,
+    totalTaxWithheld: data.box2_federalTax,
+    netPay: data.box1_wages != null && data.box2_federalTax != null
+        ? round2(data.box1_wages - data.box2_federalTax)
+        : null
+});
+
+// Where a W-2's data came from, to label it when its history starts
+const baselineSource = (form) => (form.extractionStatus === 'extracted' ? 'extracted' : 'user-edited');
+
+// Save a W-2's data as its newest version (services/formVersions).
+// previous is the form's { data, extractionStatus } before this change.
+const recordW2Version = (form, source, { previous, revertedFrom } = {}) => recordVersion(w2Ref(form), form.data, source, {
+    previous: previous && { data: previous.data, source: baselineSource(previous) },
+    revertedFrom
+});
+
+// Combine a new extraction with the current data. Fields the user corrected
+// (editedFields) keep their values; every other field takes the newly read
+// one. keptEdits lists corrections that differ from what was read.
+const mergeExtraction = (current, extracted) => {
+    const edited = (current.editedFields || []).filter(field => OUTPUT_FIELDS.includes(field));
+    if (!edited.length) return { data: extracted, keptEdits: [] };
+
+    const merged = { ...extracted, fieldConfidence: { ...(extracted.fieldConfidence || {}) } };
+    edited.forEach(field => {
+        merged[field] = current[field];
+        merged.fieldConfidence[field] = 1;
+    });
+    merged.missingFields = (extracted.missingFields || []).filter(field => !edited.includes(field));
+    merged.missingRequiredFields = merged.missingFields.filter(field => REQUIRED_FIELDS.includes(field));
+    merged.lowConfidenceFields = (extracted.lowConfidenceFields || []).filter(field => !edited.includes(field));
+    merged.editedFields = edited;
+
+    const keptEdits = edited.filter(field => diffValues(extracted[field], current[field], field).length > 0);
+    return { data: withTotals(merged), keptEdits };
+};
+
+// Run extraction on a W2Form's file and store the result on the record,
+// keeping the user's corrections from before. Resolves to the extraction
+// result with the stored data and the corrections kept (keptEdits); the
+// record is marked failed when nothing could be read.
+const extractW2Form = async (form) => {
+    const extraction = await extractW2(w2FilePath(form.fileName));
+
+    if (!extraction.data) {
+        await form.update({
+            extractionStatus: 'failed',
+            extractionMethod: extraction.extractionMethod,
+            lastExtraction: new Date()
+        });
+        return extraction;
+    }
+
+    const previous = { data: form.data, extractionStatus: form.extractionStatus };
+    const { data, keptEdits } = mergeExtraction(form.data || {}, extraction.data);
+
+    await form.update({
+        data,
+        extractionStatus: 'extracted',
+        extractionMethod: extraction.extractionMethod,
+        lastExtraction: new Date()
+    });
+    await recordW2Version(form, 'extracted', { previous });
+    return { ...extraction, data: form.data, keptEdits };
+};
+
+// Merge user-entered values into W-2 data. Only known W-2 fields are
+// accepted; a field the user typed in is fully trusted, so it leaves the
+// missing and low-confidence lists, and is kept when the form is extracted
+// again (editedFields).
+const applyW2Edits = (data, changes) => {
+    const updated = { ...data };
+    const edited = Object.keys(changes).filter(field => OUTPUT_FIELDS.includes(field));
+
+    edited.forEach(field => { updated[field] = changes[field]; });
+    updated.editedFields = [...new Set([...(data.editedFields || []), ...edited])];
+
+    updated.fieldConfidence = { ...(data.fieldConfidence || {}) };
+    edited.forEach(field => { updated.fieldConfidence[field] = 1; });
+
+    updated.missingFields = (data.missingFields || []).filter(field => !edited.includes(field));
+    updated.missingRequiredFields = updated.missingFields.filter(field => REQUIRED_FIELDS.includes(field));
+    updated.lowConfidenceFields = (data.lowConfidenceFields || []).filter(field => (
+        !edited.includes(field) && updated.fieldConfidence[field] < REVIEW_THRESHOLD
+    ));
+
+    const result = edited.includes('box1_wages') || edited.includes('box2_federalTax') ? withTotals(updated) : updated;
+    result.lastModified = new Date();
+    return { data: result, edited };
+};
+
+// Delete a W-2's uploaded file, ignoring files already gone
+const removeW2File = async (form) => {
+    if (!form.fileName) return;
+
+    try {
+        await fs.promises.unlink(w2FilePath(form.fileName));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+module.exports = {
+    w2FilePath,
+    extractW2Form,
+    recordW2Version,
+    applyW2Edits,
+    removeW2File
+};
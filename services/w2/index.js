@@ -0,0 +1,179 @@
+// W-2 data extraction from uploaded files.
+//
+// extractW2 reads a stored upload and returns w2Data in the shape the rest of
+// the API stores under income.w2Data. Every field carries a confidence score;
+// fields we could not read are null and listed in missingFields rather than
+// filled with defaults.
+
+const path = require('path');
+const { OUTPUT_FIELDS, REQUIRED_FIELDS } = require('./fields');
+const { mapTokensToW2 } = require('./layout');
+const { readPdfPages } = require('./pdfText');
+const { readImageTokens } = require('./ocr');
+const { summarizeW2Forms, summarizeW2FormsByOwner, getW2Totals } = require('./totals');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Fields scoring below this are listed in lowConfidenceFields for the user to
+// double-check.
+const REVIEW_THRESHOLD = 0.8;
+
+// A page needs this many recognisable W-2 labels before we treat it as a W-2
+const MIN_LABELS = 4;
+
+// Employee share of FICA, used to sanity-check boxes 4 and 6
+const SOCIAL_SECURITY_RATE = 0.062;
+const MEDICARE_RATE = 0.0145;
+const ADDITIONAL_MEDICARE_RATE = 0.009;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Boxes 4 and 6 follow from boxes 3 and 5. When they agree we trust both
+// more; when they don't, one of them was probably misread.
+const crossCheck = (values, fieldConfidence, warnings) => {
+    const adjust = (fields, factor) => fields.forEach(field => {
+        fieldConfidence[field] = round2(Math.min(1, fieldConfidence[field] * factor));
+    });
+
+    if (values.box3_socialSecurityWages != null && values.box4_socialSecurityTax != null) {
+        const expected = values.box3_socialSecurityWages * SOCIAL_SECURITY_RATE;
+        if (Math.abs(expected - values.box4_socialSecurityTax) <= 1) {
+            adjust(['box3_socialSecurityWages', 'box4_socialSecurityTax'], 1.05);
+        } else {
+            adjust(['box4_socialSecurityTax'], 0.6);
+            warnings.push(`box4_socialSecurityTax: expected about ${expected.toFixed(2)} (6.2% of box 3)`);
+        }
+    }
+
+    if (values.box5_medicareWages != null && values.box6_medicareTax != null) {
+        const minimum = values.box5_medicareWages * MEDICARE_RATE;
+        const maximum = values.box5_medicareWages * (MEDICARE_RATE + ADDITIONAL_MEDICARE_RATE);
+        if (values.box6_medicareTax >= minimum - 1 && values.box6_medicareTax <= maximum + 1) {
+            adjust(['box5_medicareWages', 'box6_medicareTax'], 1.05);
+        } else {
+            adjust(['box6_medicareTax'], 0.6);
+            warnings.push(`box6_medicareTax: expected about ${minimum.toFixed(2)} (1.45% of box 5)`);
+        }
+    }
+};
+
+// Turn layout output into the stored w2Data shape
+const buildW2Data = ({ values, fieldConfidence, warnings }, extractionMethod, metadata = {}) => {
+    const data = {};
+    const confidence = {};
+    const missingFields = [];
+
+    OUTPUT_FIELDS.forEach(field => {
+        if (values[field] === undefined) {
+            data[field] = null;
+            confidence[field] = 0;
+            missingFields.push(field);
+        } else {
+            data[field] = values[field];
+            confidence[field] = fieldConfidence[field];
+        }
+    });
+
+    crossCheck(data, confidence, warnings);
+
+    const scores = OUTPUT_FIELDS.map(field => confidence[field]);
+    const lowConfidenceFields = OUTPUT_FIELDS.filter(field => (
+        !missingFields.includes(field) && confidence[field] < REVIEW_THRESHOLD
+    ));
+
+    return {
+        ...data,
+
+        // Additional calculated fields (null when their inputs are missing)
+        taxableIncome: data.box1_wages,
+        totalTaxWithheld: data.box2_federalTax,
+        netPay: data.box1_wages != null && data.box2_federalTax != null
+            ? round2(data.box1_wages - data.box2_federalTax)
+            : null,
+
+        // Extraction metadata
+        extractionDate: new Date(),
+        extractionMethod,
+        ...metadata,
+        confidence: round2(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+        fieldConfidence: confidence,
+        missingFields,
+        missingRequiredFields: missingFields.filter(field => REQUIRED_FIELDS.includes(field)),
+        lowConfidenceFields,
+        warnings
+    };
+};
+
+// Multi-page PDFs often carry one copy of the W-2 per page, or instructions
+// on later pages. Use the page that looks most like a W-2.
+const bestPage = (mappedPages) => mappedPages.reduce((best, page) => (
+    !best || page.labelsFound.length > best.labelsFound.length ? page : best
+), null);
+
+const extractFromPdf = async (filePath) => {
+    const pages = await readPdfPages(filePath);
+
+    if (!pages.some(page => page.tokens.length)) {
+        return {
+            data: null,
+            extractionMethod: 'pdf_no_text_layer',
+            message: 'This PDF has no readable text (it looks scanned). Please upload a photo or image of the W-2 instead.'
+        };
+    }
+
+    const mapped = bestPage(pages.map(page => mapTokensToW2(page.tokens, { pageWidth: page.width })));
+    if (mapped.labelsFound.length < MIN_LABELS) {
+        return {
+            data: null,
+            extractionMethod: 'pdf_text_layer',
+            message: 'This PDF does not look like a W-2. Please check the uploaded file.'
+        };
+    }
+
+    return { data: buildW2Data(mapped, 'pdf_text_layer'), extractionMethod: 'pdf_text_layer' };
+};
+
+const extractFromImage = async (filePath) => {
+    const { tokens, width, preprocessing } = await readImageTokens(filePath);
+
+    const mapped = mapTokensToW2(tokens, { pageWidth: width });
+    if (mapped.labelsFound.length < MIN_LABELS) {
+        return {
+            data: null,
+            extractionMethod: 'ocr',
+            message: 'We could not read a W-2 in this image. Please retake the photo in good light with the whole form in frame.'
+        };
+    }
+
+    return { data: buildW2Data(mapped, 'ocr', { preprocessing }), extractionMethod: 'ocr' };
+};
+
+// Extract W-2 data from a stored upload. Resolves to
+// { data, extractionMethod, message }; data is null when nothing usable could
+// be read, with message explaining why.
+const extractW2 = async (filePath) => {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.pdf') {
+        return extractFromPdf(filePath);
+    }
+
+    if (IMAGE_EXTENSIONS.includes(extension)) {
+        return extractFromImage(filePath);
+    }
+
+    return {
+        data: null,
+        extractionMethod: 'unsupported_file_type',
+        message: `Automatic extraction is not available for ${extension || 'this'} files. Please upload the W-2 as a PDF or an image.`
+    };
+};
+
+module.exports = {
+    extractW2,
+    buildW2Data,
+    summarizeW2Forms,
+    summarizeW2FormsByOwner,
+    getW2Totals,
+    REVIEW_THRESHOLD
+};
@@ -0,0 +1,354 @@
+// Maps positioned text on a W-2 to its boxes.
+//
+// Input tokens are { text, x, y, width, height, confidence } with y measured
+// from the top of the page and confidence in 0..1. PDF text and OCR words both
+// arrive in this shape, so one layout pass serves every extraction path.
+
+const {
+    LABELS,
+    MONEY_FIELDS,
+    REQUIRED_FIELDS,
+    parseMoney,
+    parseSSN,
+    parseEIN,
+    parseAddress,
+    parseBox12Entry,
+    parseBox14Entry
+} = require('./fields');
+
+// Confidence reported for a box whose label we found but which is blank
+const BLANK_BOX_CONFIDENCE = 0.8;
+
+const CHECK_MARK = /^[Xx✓✔☒■]$/;
+
+// Join words that sit on the same baseline with a normal word gap into a
+// phrase, so "Wages," "tips," "other" ... becomes one label.
+const mergeIntoPhrases = (tokens) => {
+    const sorted = tokens
+        .filter(token => token.text && token.text.trim())
+        .map(token => ({ ...token, text: token.text.trim() }))
+        .sort((a, b) => (Math.abs(a.y - b.y) < Math.min(a.height, b.height) * 0.5 ? a.x - b.x : a.y - b.y));
+
+    const phrases = [];
+    for (const token of sorted) {
+        const last = phrases[phrases.length - 1];
+        const sameLine = last && Math.abs(last.y - token.y) < Math.min(last.height, token.height) * 0.5;
+        const gap = last ? token.x - (last.x + last.width) : Infinity;
+
+        if (sameLine && gap >= -token.height * 0.25 && gap < Math.max(last.height, token.height) * 0.8) {
+            last.text = `${last.text} ${token.text}`;
+            last.width = token.x + token.width - last.x;
+            last.height = Math.max(last.height, token.height);
+            last.confidence = Math.min(last.confidence, token.confidence);
+        } else {
+            phrases.push({ ...token });
+        }
+    }
+
+    return phrases;
+};
+
+// First phrase (in reading order) carrying each label. Forms printed with
+// several copies per page repeat every label; the first copy wins and the
+// others still act as box boundaries.
+const findLabels = (phrases) => {
+    const labels = {};
+    const labelPhrases = [];
+
+    phrases.forEach(phrase => {
+        const label = LABELS.find(candidate => candidate.pattern.test(phrase.text));
+        if (!label) return;
+
+        phrase.labelKey = label.key;
+        labelPhrases.push(phrase);
+        if (!labels[label.key]) {
+            labels[label.key] = phrase;
+        }
+    });
+
+    return { labels, labelPhrases };
+};
+
+// The box a label sits in: from the label rightwards to the next label on
+// roughly the same row, and downwards to the next label in that column.
+const regionFor = (label, labelPhrases, pageWidth) => {
+    const unit = label.height;
+    const left = label.x - unit * 0.5;
+
+    let right = pageWidth;
+    labelPhrases.forEach(other => {
+        if (other === label) return;
+        if (other.x > label.x + unit && Math.abs(other.y - label.y) < unit * 3) {
+            right = Math.min(right, other.x - unit * 0.25);
+        }
+    });
+
+    let bottom = label.y + unit * 10;
+    labelPhrases.forEach(other => {
+        if (other === label) return;
+        if (other.y > label.y + unit * 0.5 && other.x >= left && other.x < right) {
+            bottom = Math.min(bottom, other.y);
+        }
+    });
+
+    return { left, right, top: label.y, bottom };
+};
+
+const contentOf = (label, region, phrases) => {
+    const unit = label.height;
+
+    return phrases.filter(phrase => {
+        if (phrase.labelKey) return false;
+        if (phrase.x < region.left || phrase.x >= region.right) return false;
+
+        const sameRow = Math.abs(phrase.y - label.y) < unit * 0.6 && phrase.x >= label.x + label.width;
+        const below = phrase.y >= label.y + unit * 0.5 && phrase.y < region.bottom - unit * 0.2;
+        return sameRow || below;
+    });
+};
+
+// Group phrases into text lines, top to bottom
+const linesOf = (phrases) => {
+    const lines = [];
+
+    [...phrases].sort((a, b) => a.y - b.y || a.x - b.x).forEach(phrase => {
+        const line = lines.find(candidate => Math.abs(candidate.y - phrase.y) < phrase.height * 0.5);
+        if (line) {
+            line.parts.push(phrase);
+        } else {
+            lines.push({ y: phrase.y, parts: [phrase] });
+        }
+    });
+
+    return lines.map(line => {
+        const parts = line.parts.sort((a, b) => a.x - b.x);
+        return {
+            text: parts.map(part => part.text).join(' '),
+            confidence: Math.min(...parts.map(part => part.confidence)),
+            parts
+        };
+    });
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Read positioned tokens from one W-2 page into w2Data values. Returns the
+// values, a 0..1 confidence per field, the fields we could not find and any
+// warnings worth showing the user.
+const mapTokensToW2 = (tokens, { pageWidth } = {}) => {
+    const phrases = mergeIntoPhrases(tokens);
+    const width = pageWidth || Math.max(0, ...phrases.map(phrase => phrase.x + phrase.width)) + 1;
+    const { labels, labelPhrases } = findLabels(phrases);
+
+    const values = {};
+    const fieldConfidence = {};
+    const warnings = [];
+
+    const set = (field, value, confidence) => {
+        values[field] = value;
+        fieldConfidence[field] = round2(Math.max(0, Math.min(1, confidence)));
+    };
+
+    // Street lines followed by "City, ST ZIP"
+    const setAddress = (field, lines) => {
+        if (!lines || !lines.length) return;
+
+        const address = parseAddress(lines.map(line => line.text));
+        const lineConfidence = Math.min(...lines.map(line => line.confidence));
+        set(field, address.value, lineConfidence * (address.complete ? 0.85 : 0.5));
+    };
+
+    const linesFor = (key) => {
+        const label = labels[key];
+        if (!label) return null;
+        return linesOf(contentOf(label, regionFor(label, labelPhrases, width), phrases));
+    };
+
+    // Money boxes
+    MONEY_FIELDS.forEach(field => {
+        const lines = linesFor(field);
+        if (!lines) return;
+
+        const candidates = [];
+        lines.forEach(line => {
+            const whole = parseMoney(line.text);
+            if (whole !== null) {
+                candidates.push({ amount: whole, confidence: line.confidence });
+                return;
+            }
+            line.parts.forEach(part => {
+                const amount = parseMoney(part.text);
+                if (amount !== null) candidates.push({ amount, confidence: part.confidence });
+            });
+        });
+
+        if (candidates.length) {
+            const placement = candidates.length === 1 ? 0.95 : 0.75;
+            set(field, candidates[0].amount, candidates[0].confidence * placement);
+            if (candidates.length > 1) {
+                warnings.push(`${field}: several amounts found in the box, used the first`);
+            }
+        } else if (!REQUIRED_FIELDS.includes(field) && !lines.length) {
+            set(field, 0, BLANK_BOX_CONFIDENCE);
+        } else if (lines.length) {
+            warnings.push(`${field}: could not read "${lines[0].text}" as an amount`);
+        }
+    });
+
+    // Employee SSN
+    const ssnLines = linesFor('employeeSSN');
+    if (ssnLines) {
+        for (const line of ssnLines) {
+            const ssn = parseSSN(line.text);
+            if (!ssn) continue;
+            set('employeeSSN', ssn.value, line.confidence * (ssn.masked ? 0.5 : 0.95));
+            if (ssn.masked) {
+                warnings.push('employeeSSN: only the last four digits are printed on this W-2');
+            }
+            break;
+        }
+    }
+
+    // Employer EIN
+    const einLines = linesFor('employerEIN');
+    if (einLines) {
+        for (const line of einLines) {
+            const ein = parseEIN(line.text);
+            if (!ein) continue;
+            set('employerEIN', ein, line.confidence * 0.95);
+            break;
+        }
+    }
+
+    // Employer name and address share box c
+    const employerLines = linesFor('employerBlock');
+    if (employerLines && employerLines.length) {
+        const [nameLine, ...addressLines] = employerLines;
+        set('employerName', nameLine.text, nameLine.confidence * 0.9);
+
+        setAddress('employerAddress', addressLines);
+    }
+
+    // Employee name: box e is split into first name / last name / suffix on
+    // current forms, but older layouts print one "Employee's name" box that
+    // also holds the address.
+    const firstNameLines = linesFor('employeeFirstName');
+    if (firstNameLines && firstNameLines.length) {
+        const nameLines = [firstNameLines[0]];
+        let addressLines = linesFor('employeeAddress');
+
+        if (!labels.employeeAddress && firstNameLines.length > 1) {
+            addressLines = firstNameLines.slice(1);
+        }
+
+        [linesFor('employeeLastName'), linesFor('employeeSuffix')].forEach(extra => {
+            if (extra && extra.length) nameLines.push(extra[0]);
+        });
+
+        set(
+            'employeeName',
+            nameLines.map(line => line.text).join(' '),
+            Math.min(...nameLines.map(line => line.confidence)) * 0.9
+        );
+
+        setAddress('employeeAddress', addressLines);
+    } else {
+        setAddress('employeeAddress', linesFor('employeeAddress'));
+    }
+
+    // Box 9 is blank on almost every current W-2
+    const box9Lines = linesFor('box9_verificationCode');
+    if (box9Lines) {
+        if (box9Lines.length) {
+            set('box9_verificationCode', box9Lines.map(line => line.text).join(' '), box9Lines[0].confidence * 0.8);
+        } else {
+            set('box9_verificationCode', '', BLANK_BOX_CONFIDENCE);
+        }
+    }
+
+    // Box 12a-d
+    const box12Keys = ['box12a', 'box12b', 'box12c', 'box12d'].filter(key => labels[key]);
+    if (box12Keys.length) {
+        const entries = [];
+        const confidences = [];
+
+        box12Keys.forEach(key => {
+            const lines = linesFor(key);
+            if (!lines.length) return;
+
+            const text = lines.map(line => line.text).join(' ');
+            const entry = parseBox12Entry(text);
+            if (entry) {
+                entries.push({ box: key.replace('box', ''), ...entry });
+                confidences.push(Math.min(...lines.map(line => line.confidence)) * 0.9);
+            } else {
+                warnings.push(`box12_codes: could not read "${text}" in box ${key.replace('box', '')}`);
+                confidences.push(0.4);
+            }
+        });
+
+        set('box12_codes', entries, confidences.length ? Math.min(...confidences) : BLANK_BOX_CONFIDENCE);
+    }
+
+    // Box 13 checkboxes sit under their captions; a mark is matched to the
+    // nearest caption horizontally.
+    const box13Label = labels.box13;
+    if (box13Label) {
+        const region = regionFor(box13Label, labelPhrases, width);
+        const content = contentOf(box13Label, region, phrases);
+        const captionPhrases = [box13Label, ...content.filter(phrase => !CHECK_MARK.test(phrase.text))];
+
+        const captionX = (pattern, fallbackOffset) => {
+            for (const phrase of captionPhrases) {
+                const index = phrase.text.search(pattern);
+                if (index >= 0) {
+                    return phrase.x + phrase.width * (index / phrase.text.length);
+                }
+            }
+            return box13Label.x + (region.right - box13Label.x) * fallbackOffset;
+        };
+
+        const columns = [
+            { field: 'box13_statutoryEmployee', x: captionX(/statutory/i, 0.15) },
+            { field: 'box13_retirementPlan', x: captionX(/retirement/i, 0.5) },
+            { field: 'box13_thirdPartySickPay', x: captionX(/third/i, 0.85) }
+        ];
+
+        columns.forEach(column => set(column.field, false, BLANK_BOX_CONFIDENCE));
+
+        content.filter(phrase => CHECK_MARK.test(phrase.text)).forEach(mark => {
+            const center = mark.x + mark.width / 2;
+            const nearest = columns.reduce((best, column) => (
+                Math.abs(column.x - center) < Math.abs(best.x - center) ? column : best
+            ));
+            set(nearest.field, true, mark.confidence * 0.85);
+        });
+    }
+
+    // Box 14: free-form "description amount" lines
+    const box14Lines = linesFor('box14');
+    if (box14Lines) {
+        const entries = [];
+        let confidence = BLANK_BOX_CONFIDENCE;
+
+        box14Lines.forEach(line => {
+            const entry = parseBox14Entry(line.text);
+            if (entry) {
+                entries.push(entry);
+                confidence = Math.min(confidence, line.confidence * 0.8);
+            } else {
+                warnings.push(`box14_other: could not read "${line.text}"`);
+                confidence = Math.min(confidence, 0.4);
+            }
+        });
+
+        set('box14_other', entries, confidence);
+    }
+
+    return { values, fieldConfidence, warnings, labelsFound: Object.keys(labels) };
+};
+
+module.exports = {
+    mapTokensToW2,
+    mergeIntoPhrases
+};
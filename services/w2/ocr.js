@@ -0,0 +1,241 @@
+// OCR for photographed or scanned W-2 images.
+//
+// Images are cleaned up with sharp (orientation, deskew, threshold, grid line
+// removal) and read with tesseract.js using the English language data bundled
+// in @tesseract.js-data/eng, so nothing is fetched over the network.
+// Recognised words are returned as positioned tokens for the W-2 layout
+// mapper.
+
+const sharp = require('sharp');
+const { createWorker, OEM, PSM } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+
+// Photos are scaled to this width before OCR; W-2 labels are ~6pt type and
+// need roughly this resolution to be legible.
+const OCR_WIDTH = 2400;
+
+// Skew search: coarse pass over +/-MAX_SKEW degrees, then a fine pass
+const MAX_SKEW = 10;
+const COARSE_STEP = 0.5;
+const FINE_STEP = 0.1;
+const SKEW_SAMPLE_WIDTH = 800;
+
+// Ink runs longer than this fraction of the page are box borders, not text
+const RULE_LENGTH = 1 / 60;
+
+// Words made only of these are fragments of box borders
+const RULE_DEBRIS = /^[|!_\-—–.,:;'"`~\[\](){}\/\\]+$/;
+
+// Otsu's method: the grey level that best splits the histogram into ink and
+// paper.
+const otsuThreshold = (pixels) => {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < pixels.length; i++) histogram[pixels[i]]++;
+
+    const total = pixels.length;
+    let sumAll = 0;
+    for (let level = 0; level < 256; level++) sumAll += level * histogram[level];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = 0;
+    let threshold = 128;
+
+    for (let level = 0; level < 256; level++) {
+        weightBackground += histogram[level];
+        if (!weightBackground) continue;
+
+        const weightForeground = total - weightBackground;
+        if (!weightForeground) break;
+
+        sumBackground += level * histogram[level];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sumAll - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = level;
+        }
+    }
+
+    return threshold;
+};
+
+// Projection-profile skew estimate: text rows produce the sharpest row
+// histogram when the page is rotated level.
+const estimateSkew = (pixels, width, height, threshold) => {
+    const ink = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (pixels[y * width + x] < threshold) ink.push(x, y);
+        }
+    }
+    if (!ink.length) return 0;
+
+    const diagonal = Math.ceil(Math.sqrt(width * width + height * height));
+
+    const score = (degrees) => {
+        const radians = (degrees * Math.PI) / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const rows = new Float64Array(diagonal * 2);
+
+        for (let i = 0; i < ink.length; i += 2) {
+            const row = Math.round(ink[i + 1] * cos - ink[i] * sin) + diagonal;
+            rows[row]++;
+        }
+
+        let total = 0;
+        for (let i = 0; i < rows.length; i++) total += rows[i] * rows[i];
+        return total;
+    };
+
+    const search = (from, to, step) => {
+        let best = { angle: 0, score: -1 };
+        for (let angle = from; angle <= to + 1e-9; angle += step) {
+            const value = score(angle);
+            if (value > best.score) best = { angle, score: value };
+        }
+        return best.angle;
+    };
+
+    const coarse = search(-MAX_SKEW, MAX_SKEW, COARSE_STEP);
+    return Math.round(search(coarse - COARSE_STEP, coarse + COARSE_STEP, FINE_STEP) * 10) / 10;
+};
+
+// Erase the ruled lines of the form grid. Tesseract treats a page full of
+// boxes as a picture and skips the text inside them; the layout mapper finds
+// box positions from the labels instead.
+const removeRules = (pixels, width, height) => {
+    const minRun = Math.round(Math.max(width, height) * RULE_LENGTH);
+    const erase = new Uint8Array(pixels.length);
+
+    const scan = (count, length, indexOf) => {
+        for (let line = 0; line < count; line++) {
+            let start = -1;
+            for (let step = 0; step <= length; step++) {
+                const dark = step < length && pixels[indexOf(line, step)] === 0;
+                if (dark && start < 0) start = step;
+                if (!dark && start >= 0) {
+                    if (step - start >= minRun) {
+                        // Include the neighbouring lines to catch anti-aliased edges
+                        for (let offset = -1; offset <= 1; offset++) {
+                            const neighbour = line + offset;
+                            if (neighbour < 0 || neighbour >= count) continue;
+                            for (let i = start; i < step; i++) erase[indexOf(neighbour, i)] = 1;
+                        }
+                    }
+                    start = -1;
+                }
+            }
+        }
+    };
+
+    scan(height, width, (y, x) => y * width + x);
+    scan(width, height, (x, y) => y * width + x);
+
+    for (let i = 0; i < pixels.length; i++) {
+        if (erase[i]) pixels[i] = 255;
+    }
+    return pixels;
+};
+
+// Orient, deskew, binarise and de-grid an image for OCR. Resolves to the cleaned PNG
+// plus what was done to it.
+const preprocessImage = async (filePath) => {
+    // Apply EXIF orientation so phone photos are upright
+    const upright = await sharp(filePath)
+        .rotate()
+        .greyscale()
+        .normalise()
+        .resize({ width: OCR_WIDTH, withoutEnlargement: false })
+        .toBuffer();
+
+    const sample = await sharp(upright)
+        .resize({ width: SKEW_SAMPLE_WIDTH })
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const threshold = otsuThreshold(sample.data);
+    const skew = estimateSkew(sample.data, sample.info.width, sample.info.height, threshold);
+
+    const binary = await sharp(upright)
+        .rotate(-skew, { background: '#ffffff' })
+        .threshold(threshold)
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { info } = binary;
+    const image = await sharp(removeRules(binary.data, info.width, info.height), {
+        raw: { width: info.width, height: info.height, channels: 1 }
+    }).png().toBuffer();
+
+    return {
+        image,
+        width: info.width,
+        height: info.height,
+        preprocessing: { deskewAngle: skew, threshold }
+    };
+};
+
+// Run tesseract over a preprocessed image and return word tokens. Each word
+// takes its line's top and height so words on one text line group together
+// regardless of ascenders and descenders.
+const recognizeTokens = async (image) => {
+    const worker = await createWorker(englishData.code, OEM.LSTM_ONLY, {
+        langPath: englishData.langPath,
+        gzip: englishData.gzip,
+        cacheMethod: 'none'
+    });
+
+    try {
+        // A W-2 is a grid of small boxes, not running text
+        await worker.setParameters({
+            tessedit_pageseg_mode: PSM.SPARSE_TEXT,
+            user_defined_dpi: '300'
+        });
+
+        const { data } = await worker.recognize(image, {}, { blocks: true });
+        const tokens = [];
+
+        (data.blocks || []).forEach(block => block.paragraphs.forEach(paragraph => paragraph.lines.forEach(line => {
+            const lineHeight = Math.max(1, line.bbox.y1 - line.bbox.y0);
+            line.words.forEach(word => {
+                if (RULE_DEBRIS.test(word.text)) return;
+                tokens.push({
+                    text: word.text,
+                    x: word.bbox.x0,
+                    y: line.bbox.y0,
+                    width: word.bbox.x1 - word.bbox.x0,
+                    height: lineHeight,
+                    confidence: Math.max(0, word.confidence) / 100
+                });
+            });
+        })));
+
+        return tokens;
+    } finally {
+        await worker.terminate();
+    }
+};
+
+// Preprocess and OCR an image file into layout tokens
+const readImageTokens = async (filePath) => {
+    const prepared = await preprocessImage(filePath);
+    const tokens = await recognizeTokens(prepared.image);
+
+    return {
+        tokens,
+        width: prepared.width,
+        height: prepared.height,
+        preprocessing: prepared.preprocessing
+    };
+};
+
+module.exports = {
+    readImageTokens,
+    preprocessImage
+};
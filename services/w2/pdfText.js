@@ -0,0 +1,53 @@
+// Reads the text layer of a PDF into positioned tokens for the W-2 layout
+// mapper. Scanned PDFs have no text layer and come back with no tokens.
+
+const fs = require('fs');
+const path = require('path');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Ship pdf.js' own font metrics so text positions don't depend on fonts
+// installed on the host.
+const standardFontDataUrl = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+const readPdfPages = async (filePath) => {
+    const data = new Uint8Array(await fs.promises.readFile(filePath));
+    const document = await pdfjs.getDocument({
+        data,
+        standardFontDataUrl,
+        disableFontFace: true,
+        verbosity: 0
+    }).promise;
+
+    try {
+        const pages = [];
+
+        for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+            const page = await document.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: 1 });
+            const content = await page.getTextContent();
+
+            const tokens = content.items
+                .filter(item => item.str && item.str.trim())
+                .map(item => {
+                    const height = item.height || Math.abs(item.transform[3]) || 1;
+                    return {
+                        text: item.str,
+                        x: item.transform[4],
+                        // PDF space measures y upwards from the baseline
+                        y: viewport.height - item.transform[5] - height,
+                        width: item.width,
+                        height,
+                        confidence: 1
+                    };
+                });
+
+            pages.push({ pageNumber, width: viewport.width, height: viewport.height, tokens });
+        }
+
+        return pages;
+    } finally {
+        await document.destroy();
+    }
+};
+
+module.exports = { readPdfPages };
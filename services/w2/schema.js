@@ -0,0 +1,118 @@
+// What a user may enter on a W-2: a rule for every box, and checks between
+// boxes that the IRS applies when it processes the form.
+
+const { body } = require('express-validator');
+const { BOX12_CODES, MONEY_FIELDS } = require('./fields');
+const {
+    amountRule,
+    textRule,
+    checkboxRule,
+    ssnRule,
+    einRule,
+    addressRules
+} = require('../formRules');
+
+// Payroll tax is rounded on each paycheck, so a year's withholding can be a
+// little over the rate times the year's wages
+const ROUNDING_TOLERANCE = 1;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Request body rules for editing a W-2. Only fields listed here are
+// accepted; follow them with onlyKnownFields().
+const w2FieldRules = [
+    textRule('employeeName'),
+    ssnRule('employeeSSN', { allowTruncated: true }),
+    ...addressRules('employeeAddress'),
+    textRule('employerName'),
+    einRule('employerEIN'),
+    ...addressRules('employerAddress'),
+    ...MONEY_FIELDS.map(field => amountRule(field)),
+    body('box9_verificationCode')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('box9_verificationCode must be text')
+        .bail()
+        .customSanitizer(value => value.replace(/[\s-]/g, '').toUpperCase())
+        .matches(/^[A-Z0-9]{16}$/)
+        .withMessage('box9_verificationCode must be 16 letters and digits'),
+    body('box12_codes')
+        .optional({ values: 'null' })
+        .isArray({ max: 4 })
+        .withMessage('box12_codes must be a list of at most 4 entries (12a-12d)')
+        .bail()
+        .custom((entries) => {
+            const codes = entries.map(entry => entry && String(entry.code).toUpperCase());
+            if (new Set(codes).size !== codes.length) throw new Error('Each box 12 code can only be entered once');
+            return true;
+        }),
+    body('box12_codes[*].code')
+        .isString()
+        .withMessage('Box 12 code is required')
+        .bail()
+        .trim()
+        .toUpperCase()
+        .isIn(BOX12_CODES)
+        .withMessage(`Box 12 code must be one of ${BOX12_CODES.join(', ')}`),
+    amountRule('box12_codes[*].amount', { required: true }),
+    checkboxRule('box13_statutoryEmployee'),
+    checkboxRule('box13_retirementPlan'),
+    checkboxRule('box13_thirdPartySickPay'),
+    body('box14_other')
+        .optional({ values: 'null' })
+        .isArray({ max: 10 })
+        .withMessage('box14_other must be a list of at most 10 entries'),
+    textRule('box14_other[*].description', { max: 50, required: true }),
+    amountRule('box14_other[*].amount', { required: true })
+];
+
+// Checks between boxes of complete W-2 data, against the tax year's payroll
+// rules. Only checks involving an edited field are run, so values read from
+// the form that the user hasn't touched don't block other corrections.
+// Returns errors as { path, msg } so they line up with express-validator's.
+const validateW2 = (data, ruleSet, edited) => {
+    const errors = [];
+    const error = (path, msg) => errors.push({ type: 'field', path, msg, location: 'body' });
+    const applies = (...fields) => fields.some(field => edited.includes(field));
+    const amount = (field) => (typeof data[field] === 'number' ? data[field] : null);
+    const payroll = ruleSet && ruleSet.payroll;
+
+    const ssWages = amount('box3_socialSecurityWages');
+    const ssTips = amount('box7_socialSecurityTips');
+    const ssTax = amount('box4_socialSecurityTax');
+    const medicareWages = amount('box5_medicareWages');
+    const medicareTax = amount('box6_medicareTax');
+
+    if (payroll && applies('box3_socialSecurityWages', 'box7_socialSecurityTips')
+        && (ssWages || 0) + (ssTips || 0) > payroll.socialSecurityWageBase) {
+        error(edited.includes('box7_socialSecurityTips') ? 'box7_socialSecurityTips' : 'box3_socialSecurityWages',
+            `Social security wages and tips (boxes 3 and 7) can't be more than the ${ruleSet.taxYear} wage base of ${payroll.socialSecurityWageBase}`);
+    }
+
+    // Social security tax is due on wages and tips alike
+    if (payroll && ssTax !== null && applies('box3_socialSecurityWages', 'box4_socialSecurityTax', 'box7_socialSecurityTips')) {
+        const maximum = round2(((ssWages || 0) + (ssTips || 0)) * payroll.socialSecurityRate);
+        if (ssTax > maximum + ROUNDING_TOLERANCE) {
+            error('box4_socialSecurityTax',
+                `Social security tax withheld (box 4) can't be more than ${payroll.socialSecurityRate * 100}% of boxes 3 and 7 (${maximum.toFixed(2)})`);
+        }
+    }
+
+    // Employers withhold Additional Medicare Tax on wages over the single
+    // threshold, whatever the employee's filing status
+    if (payroll && medicareTax !== null && applies('box5_medicareWages', 'box6_medicareTax')) {
+        const wages = medicareWages || 0;
+        const threshold = payroll.additionalMedicareThreshold.single;
+        const maximum = round2(wages * payroll.medicareRate + Math.max(0, wages - threshold) * payroll.additionalMedicareRate);
+        if (medicareTax > maximum + ROUNDING_TOLERANCE) {
+            error('box6_medicareTax', `Medicare tax withheld (box 6) can't be more than the tax on box 5 wages (${maximum.toFixed(2)})`);
+        }
+    }
+
+    return errors;
+};
+
+module.exports = {
+    w2FieldRules,
+    validateW2
+};
@@ -0,0 +1,87 @@
+// Aggregate W-2 totals. Anything that needs wages or withholding for a tax
+// year should read them from here rather than from an individual W-2, so
+// households with several W-2s are counted correctly.
+
+const { MONEY_FIELDS } = require('./fields');
+const { OWNERS } = require('../spouses');
+
+const TOTAL_KEYS = {
+    box1_wages: 'wages',
+    box2_federalTax: 'federalIncomeTaxWithheld',
+    box3_socialSecurityWages: 'socialSecurityWages',
+    box4_socialSecurityTax: 'socialSecurityTaxWithheld',
+    box5_medicareWages: 'medicareWages',
+    box6_medicareTax: 'medicareTaxWithheld',
+    box7_socialSecurityTips: 'socialSecurityTips',
+    box8_allocatedTips: 'allocatedTips',
+    box10_dependentCareBenefits: 'dependentCareBenefits',
+    box11_nonqualifiedPlans: 'nonqualifiedPlans'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Sum a list of W2Form rows (or plain { id, data } objects)
+const summarizeW2Forms = (forms) => {
+    const totals = {};
+    Object.values(TOTAL_KEYS).forEach(key => { totals[key] = 0; });
+
+    const box12 = {};
+    const formsNeedingReview = [];
+
+    forms.forEach(form => {
+        const data = form.data || {};
+
+        MONEY_FIELDS.forEach(field => {
+            if (typeof data[field] === 'number') {
+                totals[TOTAL_KEYS[field]] += data[field];
+            }
+        });
+
+        (data.box12_codes || []).forEach(entry => {
+            if (entry && entry.code && typeof entry.amount === 'number') {
+                box12[entry.code] = (box12[entry.code] || 0) + entry.amount;
+            }
+        });
+
+        const missing = data.missingRequiredFields || [];
+        const lowConfidence = data.lowConfidenceFields || [];
+        if (data.box1_wages == null || missing.length || lowConfidence.length) {
+            formsNeedingReview.push(form.id);
+        }
+    });
+
+    Object.keys(totals).forEach(key => { totals[key] = round2(totals[key]); });
+    Object.keys(box12).forEach(code => { box12[code] = round2(box12[code]); });
+
+    return {
+        count: forms.length,
+        ...totals,
+        box12,
+        formsNeedingReview
+    };
+};
+
+// Separate totals for the taxpayer's and the spouse's W-2s: { taxpayer,
+// spouse }. Forms without an owner are the taxpayer's.
+const summarizeW2FormsByOwner = (forms) => Object.fromEntries(OWNERS.map(owner => [
+    owner,
+    summarizeW2Forms(forms.filter(form => (form.owner || 'taxpayer') === owner))
+]));
+
+// Totals for one user and tax year straight from the database
+const getW2Totals = async (userId, taxYear) => {
+    const { W2Form } = require('../../database');
+
+    const forms = await W2Form.findAll({
+        where: { userId, taxYear },
+        attributes: ['id', 'data']
+    });
+
+    return summarizeW2Forms(forms);
+};
+
+module.exports = {
+    summarizeW2Forms,
+    summarizeW2FormsByOwner,
+    getW2Totals
+};
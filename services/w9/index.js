@@ -0,0 +1,146 @@
+// Form W-9 (Request for Taxpayer Identification Number and Certification)
+// data: which TIN and extra lines each federal tax classification needs,
+// following the IRS Instructions for the Requester of Form W-9.
+//
+// Line 1 name, line 2 business name, the classification and the TINs live on
+// User columns; everything else on the form is kept in User.w9Details.
+// User.ssn is the user's own SSN, also on their 1040, so the W-9 never
+// clears it: tinType says which identifier the W-9 gives.
+
+const { isSSNOrITIN, EIN_PATTERN, formatSSN, formatEIN } = require('../formRules');
+
+const TAX_CLASSIFICATIONS = ['individual', 'sole_proprietor', 'c_corporation', 's_corporation', 'partnership', 'trust_estate', 'llc', 'other'];
+
+// LLCs enter how they're taxed: C corporation, S corporation or partnership.
+// A single-member LLC that is disregarded checks its owner's box instead.
+const LLC_TAX_CLASSIFICATIONS = ['C', 'S', 'P'];
+
+// Exempt payee codes 1-13 and FATCA exemption codes A-M
+const EXEMPT_PAYEE_CODES = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13'];
+const FATCA_CODES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M'];
+
+// Classifications that must give an EIN; individuals give an SSN and sole
+// proprietors may give either
+const EIN_CLASSIFICATIONS = ['c_corporation', 's_corporation', 'partnership', 'trust_estate', 'llc', 'other'];
+
+// The identifier given in Part I
+const TIN_TYPES = ['ssn', 'ein'];
+
+const DETAIL_FIELDS = [
+    'tinType',
+    'llcTaxClassification',
+    'otherClassification',
+    'foreignPartners',
+    'exemptPayeeCode',
+    'fatcaExemptionCode',
+    'accountNumbers',
+    'requesterName',
+    'requesterAddress'
+];
+
+// The identifier a classification gives when the user hasn't chosen: an EIN
+// for entities, and for sole proprietors who only have one; otherwise the SSN
+const defaultTinType = (w9) => {
+    if (EIN_CLASSIFICATIONS.includes(w9.taxClassification)) return 'ein';
+    if (w9.taxClassification === 'sole_proprietor' && w9.ein && !w9.ssn) return 'ein';
+    return 'ssn';
+};
+
+// Current W-9 data for a user
+const w9FromUser = (user) => {
+    const details = user.w9Details || {};
+    const w9 = {
+        name: details.name || [user.firstName, user.lastName].filter(Boolean).join(' ') || null,
+        businessName: user.businessName || null,
+        taxClassification: user.taxClassification || null,
+        llcTaxClassification: details.llcTaxClassification || null,
+        otherClassification: details.otherClassification || null,
+        foreignPartners: Boolean(details.foreignPartners),
+        exemptPayeeCode: details.exemptPayeeCode || null,
+        fatcaExemptionCode: details.fatcaExemptionCode || null,
+        address: user.address && user.address.street ? user.address : null,
+        accountNumbers: details.accountNumbers || null,
+        requesterName: details.requesterName || null,
+        requesterAddress: details.requesterAddress || null,
+        ssn: user.ssn || null,
+        ein: user.ein || null,
+        certification: details.certification || null
+    };
+    w9.tinType = details.tinType || defaultTinType(w9);
+    return w9;
+};
+
+// Classification-specific checks on complete W-9 data. Returns errors as
+// { path, msg } so they line up with express-validator's.
+const validateW9 = (w9) => {
+    const errors = [];
+    const error = (path, msg) => errors.push({ type: 'field', path, msg, location: 'body' });
+    const classification = w9.taxClassification;
+
+    if (w9.ssn && !isSSNOrITIN(w9.ssn)) error('ssn', 'SSN must be a valid 9-digit SSN or ITIN');
+    if (w9.ein && !EIN_PATTERN.test(w9.ein)) error('ein', 'EIN must be 9 digits (XX-XXXXXXX)');
+
+    if (!classification) return errors;
+
+    if (classification === 'individual') {
+        if (w9.tinType === 'ein') error('tinType', 'Individuals provide an SSN, not an EIN');
+        if (w9.businessName) error('businessName', 'Individuals have no business name; choose sole proprietor if you have one');
+    }
+
+    if (classification === 'individual' || classification === 'sole_proprietor') {
+        if (w9.exemptPayeeCode) error('exemptPayeeCode', 'Individuals and sole proprietors are not exempt payees');
+    }
+
+    if (EIN_CLASSIFICATIONS.includes(classification) && w9.tinType === 'ssn') {
+        error('tinType', 'Entities provide an EIN, not an SSN');
+    }
+
+    if (classification === 'llc') {
+        if (!w9.llcTaxClassification) {
+            error('llcTaxClassification', 'LLCs must give their tax classification (C, S or P). A disregarded single-member LLC should choose its owner\'s classification instead');
+        }
+    } else if (w9.llcTaxClassification) {
+        error('llcTaxClassification', 'Only LLCs give an LLC tax classification');
+    }
+
+    if (classification === 'other') {
+        if (!w9.otherClassification) error('otherClassification', 'Describe the classification when choosing "other"');
+    } else if (w9.otherClassification) {
+        error('otherClassification', 'Only the "other" classification takes a description');
+    }
+
+    const passThrough = classification === 'partnership' || classification === 'trust_estate'
+        || (classification === 'llc' && w9.llcTaxClassification === 'P');
+    if (w9.foreignPartners && !passThrough) {
+        error('foreignPartners', 'Foreign partners, owners or beneficiaries only apply to partnerships, trusts/estates and LLCs taxed as partnerships');
+    }
+
+    return errors;
+};
+
+// Fields still needed before the W-9 can be signed and sent
+const missingW9Fields = (w9) => {
+    const missing = [];
+    if (!w9.name) missing.push('name');
+    if (!w9.taxClassification) missing.push('taxClassification');
+    if (!w9.address || !w9.address.street || !w9.address.city || !w9.address.state || !w9.address.zip) missing.push('address');
+
+    if (w9.taxClassification && !w9[w9.tinType]) missing.push(w9.tinType);
+
+    return missing;
+};
+
+module.exports = {
+    TAX_CLASSIFICATIONS,
+    LLC_TAX_CLASSIFICATIONS,
+    EXEMPT_PAYEE_CODES,
+    FATCA_CODES,
+    TIN_TYPES,
+    DETAIL_FIELDS,
+    formatSSN,
+    formatEIN,
+    defaultTinType,
+    w9FromUser,
+    validateW9,
+    missingW9Fields
+};
@@ -0,0 +1,161 @@
+// Renders a completed Form W-9 (Rev. March 2024 layout) into a pdfkit
+// document: lines 1-7, Part I (TIN) and Part II (certification).
+
+const LEFT = 50;
+const RIGHT = 562;
+const WIDTH = RIGHT - LEFT;
+
+const CLASSIFICATION_BOXES = [
+    ['individual', 'Individual/sole proprietor'],
+    ['c_corporation', 'C corporation'],
+    ['s_corporation', 'S corporation'],
+    ['partnership', 'Partnership'],
+    ['trust_estate', 'Trust/estate'],
+    ['llc', 'LLC'],
+    ['other', 'Other']
+];
+
+const CERTIFICATION_STATEMENTS = [
+    'The number shown on this form is my correct taxpayer identification number (or I am waiting for a number to be issued to me); and',
+    'I am not subject to backup withholding because (a) I am exempt from backup withholding, or (b) I have not been notified by the Internal Revenue Service (IRS) that I am subject to backup withholding as a result of a failure to report all interest or dividends, or (c) the IRS has notified me that I am no longer subject to backup withholding; and',
+    'I am a U.S. citizen or other U.S. person (defined in the instructions); and',
+    'The FATCA code(s) entered on this form (if any) indicating that I am exempt from FATCA reporting is correct.'
+];
+
+// A labelled box with its value printed inside
+const field = (doc, { x, y, width, height = 30, label, value }) => {
+    doc.rect(x, y, width, height).stroke();
+    doc.fontSize(7).font('Helvetica').text(label, x + 3, y + 3, { width: width - 6, lineBreak: false });
+    doc.fontSize(10).font('Helvetica-Bold').text(value || '', x + 3, y + 14, { width: width - 6, lineBreak: false });
+    doc.font('Helvetica');
+};
+
+const checkbox = (doc, x, y, checked, label) => {
+    doc.rect(x, y, 8, 8).stroke();
+    if (checked) {
+        doc.moveTo(x + 1, y + 1).lineTo(x + 7, y + 7).moveTo(x + 7, y + 1).lineTo(x + 1, y + 7).stroke();
+    }
+    doc.fontSize(8).text(label, x + 11, y, { lineBreak: false });
+};
+
+// One box per character; masked digits print as *
+const digitBoxes = (doc, x, y, value, groups) => {
+    const digits = (value || '').replace(/[^0-9*]/g, '');
+    let cursor = x;
+    let index = 0;
+
+    groups.forEach((size, groupIndex) => {
+        for (let i = 0; i < size; i += 1) {
+            doc.rect(cursor, y, 14, 18).stroke();
+            doc.fontSize(10).font('Helvetica-Bold').text(digits[index] || '', cursor, y + 4, { width: 14, align: 'center' });
+            doc.font('Helvetica');
+            cursor += 14;
+            index += 1;
+        }
+        if (groupIndex < groups.length - 1) {
+            doc.fontSize(10).text('-', cursor + 2, y + 4);
+            cursor += 10;
+        }
+    });
+};
+
+const formatAddressLines = (address) => ({
+    street: address ? address.street : '',
+    cityStateZip: address ? `${address.city}, ${address.state} ${address.zip}` : ''
+});
+
+const renderW9Pdf = (doc, w9) => {
+    // Header
+    doc.fontSize(16).font('Helvetica-Bold').text('Form W-9', LEFT, 50);
+    doc.fontSize(8).font('Helvetica').text('(Rev. March 2024)', LEFT, 70);
+    doc.fontSize(12).font('Helvetica-Bold').text('Request for Taxpayer', 170, 50, { width: 270, align: 'center' });
+    doc.text('Identification Number and Certification', 170, 65, { width: 270, align: 'center' });
+    doc.fontSize(8).font('Helvetica').text('Give form to the requester. Do not send to the IRS.', 450, 55, { width: 112 });
+    doc.moveTo(LEFT, 88).lineTo(RIGHT, 88).lineWidth(2).stroke().lineWidth(1);
+
+    let y = 96;
+
+    field(doc, { x: LEFT, y, width: WIDTH, label: '1 Name of entity/individual', value: w9.name });
+    y += 30;
+    field(doc, { x: LEFT, y, width: WIDTH, label: '2 Business name/disregarded entity name, if different from above', value: w9.businessName });
+    y += 30;
+
+    // Line 3a/3b and 4
+    doc.rect(LEFT, y, 372, 92).stroke();
+    doc.fontSize(7).text('3a Check the appropriate box for federal tax classification of the entity/individual whose name is entered on line 1.', LEFT + 3, y + 3, { width: 366 });
+    const classification = w9.taxClassification === 'sole_proprietor' ? 'individual' : w9.taxClassification;
+    CLASSIFICATION_BOXES.forEach(([value, label], index) => {
+        const column = index % 4;
+        const row = Math.floor(index / 4);
+        checkbox(doc, LEFT + 6 + column * 92, y + 22 + row * 16, classification === value, label);
+    });
+    doc.fontSize(8).text(
+        `LLC tax classification (C, S, P): ${w9.llcTaxClassification || ''}`,
+        LEFT + 6, y + 56, { lineBreak: false }
+    );
+    doc.text(`Other (see instructions): ${w9.otherClassification || ''}`, LEFT + 190, y + 56, { lineBreak: false });
+    checkbox(doc, LEFT + 6, y + 74, w9.foreignPartners,
+        '3b Has foreign partners, owners or beneficiaries');
+
+    doc.rect(LEFT + 372, y, WIDTH - 372, 92).stroke();
+    doc.fontSize(7).text('4 Exemptions (codes apply only to certain entities, not individuals):', LEFT + 375, y + 3, { width: WIDTH - 378 });
+    doc.fontSize(8).text(`Exempt payee code (if any): ${w9.exemptPayeeCode || ''}`, LEFT + 375, y + 30, { width: WIDTH - 378 });
+    doc.text(`Exemption from FATCA reporting code (if any): ${w9.fatcaExemptionCode || ''}`, LEFT + 375, y + 50, { width: WIDTH - 378 });
+    y += 92;
+
+    const address = formatAddressLines(w9.address);
+    field(doc, { x: LEFT, y, width: 320, label: '5 Address (number, street, and apt. or suite no.)', value: address.street });
+    doc.rect(LEFT + 320, y, WIDTH - 320, 60).stroke();
+    doc.fontSize(7).text('Requester\'s name and address (optional)', LEFT + 323, y + 3);
+    doc.fontSize(9).text([w9.requesterName, w9.requesterAddress].filter(Boolean).join('\n'), LEFT + 323, y + 14, { width: WIDTH - 326, height: 44 });
+    y += 30;
+    field(doc, { x: LEFT, y, width: 320, label: '6 City, state, and ZIP code', value: address.cityStateZip });
+    y += 30;
+    field(doc, { x: LEFT, y, width: WIDTH, label: '7 List account number(s) here (optional)', value: w9.accountNumbers });
+    y += 42;
+
+    // Part I
+    doc.fontSize(10).font('Helvetica-Bold').text('Part I    Taxpayer Identification Number (TIN)', LEFT, y);
+    doc.font('Helvetica');
+    y += 16;
+    doc.fontSize(8).text(
+        'Enter your TIN in the appropriate box. The TIN provided must match the name given on line 1 to avoid backup withholding. '
+        + 'For individuals, this is generally your social security number (SSN). For other entities, it is your employer identification number (EIN).',
+        LEFT, y, { width: 300 }
+    );
+    doc.fontSize(8).text('Social security number', 370, y);
+    digitBoxes(doc, 370, y + 11, (w9.tinType === 'ssn' && w9.ssn) || '', [3, 2, 4]);
+    doc.fontSize(8).text('or', 370, y + 34);
+    doc.text('Employer identification number', 370, y + 46);
+    digitBoxes(doc, 370, y + 57, (w9.tinType === 'ein' && w9.ein) || '', [2, 7]);
+    y += 90;
+
+    // Part II
+    doc.fontSize(10).font('Helvetica-Bold').text('Part II    Certification', LEFT, y);
+    doc.font('Helvetica');
+    y += 16;
+    doc.fontSize(8).text('Under penalties of perjury, I certify that:', LEFT, y);
+    doc.moveDown(0.3);
+    CERTIFICATION_STATEMENTS.forEach((statement, index) => {
+        doc.text(`${index + 1}. ${statement}`, LEFT, doc.y, { width: WIDTH });
+        doc.moveDown(0.2);
+    });
+
+    y = doc.y + 14;
+    const certification = w9.certification;
+    doc.fontSize(10).font('Helvetica-Bold').text('Sign Here', LEFT, y);
+    doc.font('Helvetica').fontSize(8).text('Signature of U.S. person', LEFT + 70, y);
+    doc.moveTo(LEFT + 170, y + 10).lineTo(420, y + 10).stroke();
+    doc.text('Date', 430, y);
+    doc.moveTo(455, y + 10).lineTo(RIGHT, y + 10).stroke();
+
+    if (certification) {
+        doc.fontSize(11).font('Helvetica-Oblique').text(`/s/ ${certification.signature}`, LEFT + 175, y - 4, { lineBreak: false });
+        doc.font('Helvetica').fontSize(10).text(new Date(certification.signedAt).toLocaleDateString('en-US'), 460, y - 3, { lineBreak: false });
+        doc.fontSize(7).text(`Signed electronically on ${new Date(certification.signedAt).toISOString()}`, LEFT, y + 18);
+    }
+};
+
+module.exports = {
+    renderW9Pdf
+};